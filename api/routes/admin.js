@@ -0,0 +1,91 @@
+// api/routes/admin.js — operator endpoints, gated by ADMIN_API_KEY (x-admin-key header)
+import express from 'express';
+import crypto from 'node:crypto';
+import { DB } from '../../lib/db.js';
+import { LABEL_RX, setManualLabel, removeLabel } from '../../core/labels.js';
+
+const router = express.Router();
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+const ADDRESS_RX = /^zig1[0-9a-z]{38,58}$/;
+
+/** constant-time key check (timingSafeEqual needs equal lengths, so compare those first) */
+function keyMatches(given) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(ADMIN_API_KEY);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+router.use((req, res, next) => {
+  if (!ADMIN_API_KEY) return res.status(503).json({ success:false, error:'admin api disabled (ADMIN_API_KEY not set)' });
+  if (!keyMatches(req.get('x-admin-key'))) return res.status(401).json({ success:false, error:'unauthorized' });
+  next();
+});
+
+const shapeLabel = r => ({
+  address: r.address,
+  label: r.label,
+  source: r.source,
+  note: r.note ?? null,
+  meta: r.meta ?? null,
+  hidden: r.is_hidden === true,
+  createdBy: r.created_by ?? null,
+  createdAt: r.created_at,
+  updatedAt: r.updated_at
+});
+
+/** GET /admin/wallet-labels?address=&label=&source=auto|manual&hidden=1&limit=&offset= */
+router.get('/wallet-labels', async (req, res) => {
+  try {
+    const limit  = Math.max(1, Math.min(parseInt(req.query.limit || '200', 10) || 200, 1000));
+    const offset = Math.max(0, parseInt(req.query.offset || '0', 10) || 0);
+    const where = [];
+    const params = [];
+    if (req.query.address) { params.push(String(req.query.address)); where.push(`address = $${params.length}`); }
+    if (req.query.label)   { params.push(String(req.query.label).toLowerCase()); where.push(`label = $${params.length}`); }
+    if (req.query.source)  { params.push(String(req.query.source).toLowerCase()); where.push(`source = $${params.length}`); }
+    if (req.query.hidden !== '1') where.push(`NOT is_hidden`);
+
+    const { rows } = await DB.query(`
+      SELECT *, COUNT(*) OVER() AS total
+      FROM wallet_labels
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY updated_at DESC, address, label
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    res.json({ success:true, data: rows.map(shapeLabel), meta: { limit, offset, total: rows[0] ? Number(rows[0].total) : 0 } });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/** POST /admin/wallet-labels  { address, label, note?, createdBy? } */
+router.post('/wallet-labels', async (req, res) => {
+  try {
+    const address = String(req.body?.address || '').trim();
+    const label = String(req.body?.label || '').trim().toLowerCase();
+    if (!ADDRESS_RX.test(address)) return res.status(400).json({ success:false, error:'invalid address' });
+    if (!LABEL_RX.test(label)) return res.status(400).json({ success:false, error:'label must match [a-z0-9_:-]{1,48}' });
+    const row = await setManualLabel({
+      address,
+      label,
+      note: req.body?.note != null ? String(req.body.note).slice(0, 500) : null,
+      createdBy: req.body?.createdBy != null ? String(req.body.createdBy).slice(0, 100) : null
+    });
+    res.json({ success:true, data: shapeLabel(row) });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/** DELETE /admin/wallet-labels/:address/:label  (manual → deleted, auto → hidden) */
+router.delete('/wallet-labels/:address/:label', async (req, res) => {
+  try {
+    const row = await removeLabel(req.params.address, String(req.params.label).toLowerCase());
+    if (!row) return res.status(404).json({ success:false, error:'label not found' });
+    res.json({ success:true, data: { address: row.address, label: row.label, source: row.source, hidden: row.is_hidden === true } });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,198 @@
+// api/routes/follows.js — follow trader wallets and read their swaps as a signal feed
+import express from 'express';
+import { DB } from '../../lib/db.js';
+import { getZigUsd } from '../util/resolve-token.js';
+import { labelsFor } from '../../core/labels.js';
+import { runningPositions, shapeSignal } from '../util/follow-feed.js';
+
+const router = express.Router();
+const toNum = x => (x == null ? null : Number(x));
+const ADDRESS_RX = /^zig1[0-9a-z]{38,58}$/;
+const ID_RX = /^[1-9]\d{0,17}$/;   // BIGINT ids (wallet ids, follow ids, trade id cursors)
+
+/** id path/query param as a string for a ::bigint bind; null when not a positive integer */
+const idOrNull = (v) => (ID_RX.test(String(v ?? '').trim()) ? String(v).trim() : null);
+
+/** optional non-negative number from body/query; undefined when absent, NaN when invalid */
+function optMin(v) {
+  if (v == null || v === '') return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+const shapeFollow = (r, labels = new Map()) => ({
+  id: r.id,
+  walletId: r.wallet_id,
+  address: r.address,
+  labels: labels.get(r.address) || [],
+  minValueNative: toNum(r.min_value_zig),
+  minValueUsd: toNum(r.min_value_usd),
+  note: r.note ?? null,
+  lastTradeAt: r.last_trade_at ?? null,
+  createdAt: r.created_at
+});
+
+/** GET /follows/:walletId */
+router.get('/:walletId', async (req, res) => {
+  try {
+    const wid = idOrNull(req.params.walletId);
+    if (!wid) return res.status(400).json({ success:false, error:'invalid walletId' });
+    const { rows } = await DB.query(`
+      SELECT f.*, lt.last_trade_at
+      FROM wallet_follows f
+      LEFT JOIN LATERAL (
+        SELECT MAX(t.created_at) AS last_trade_at FROM trades t
+        WHERE t.signer = f.address AND t.action = 'swap'
+      ) lt ON TRUE
+      WHERE f.wallet_id = $1
+      ORDER BY f.created_at DESC
+    `, [wid]);
+    const labels = await labelsFor(rows.map(r => r.address));
+    res.json({ success:true, data: rows.map(r => shapeFollow(r, labels)) });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/** POST /follows  { walletId, address, minValueNative?, minValueUsd?, note? } */
+router.post('/', async (req, res) => {
+  try {
+    const { walletId, note } = req.body || {};
+    const address = String(req.body?.address || '').trim();
+    const minZig = optMin(req.body?.minValueNative);
+    const minUsd = optMin(req.body?.minValueUsd);
+    if (!idOrNull(walletId)) return res.status(400).json({ success:false, error:'walletId required' });
+    if (!ADDRESS_RX.test(address)) return res.status(400).json({ success:false, error:'invalid address' });
+    if (Number.isNaN(minZig) || Number.isNaN(minUsd)) return res.status(400).json({ success:false, error:'minValueNative/minValueUsd must be non-negative numbers' });
+    const { rows } = await DB.query(`
+      INSERT INTO wallet_follows(wallet_id, address, min_value_zig, min_value_usd, note)
+      VALUES ($1,$2,$3,$4,$5)
+      ON CONFLICT (wallet_id, address) DO UPDATE SET
+        min_value_zig = EXCLUDED.min_value_zig,
+        min_value_usd = EXCLUDED.min_value_usd,
+        note = COALESCE(EXCLUDED.note, wallet_follows.note)
+      RETURNING *
+    `, [walletId, address, minZig ?? null, minUsd ?? null, note || null]);
+    res.json({ success:true, data: shapeFollow(rows[0]) });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/** PATCH /follows/:id  { minValueNative?, minValueUsd?, note? }  (null clears a minimum) */
+router.patch('/:id', async (req, res) => {
+  try {
+    const id = idOrNull(req.params.id);
+    if (!id) return res.status(400).json({ success:false, error:'invalid id' });
+    const body = req.body || {};
+    const minZig = optMin(body.minValueNative);
+    const minUsd = optMin(body.minValueUsd);
+    if (Number.isNaN(minZig) || Number.isNaN(minUsd)) return res.status(400).json({ success:false, error:'minValueNative/minValueUsd must be non-negative numbers' });
+    const { rows } = await DB.query(`
+      UPDATE wallet_follows
+      SET min_value_zig = CASE WHEN $2 THEN $3::numeric ELSE min_value_zig END,
+          min_value_usd = CASE WHEN $4 THEN $5::numeric ELSE min_value_usd END,
+          note = COALESCE($6, note)
+      WHERE id = $1
+      RETURNING *
+    `, [id, 'minValueNative' in body, minZig ?? null, 'minValueUsd' in body, minUsd ?? null, body.note ?? null]);
+    if (!rows[0]) return res.status(404).json({ success:false, error:'follow not found' });
+    res.json({ success:true, data: shapeFollow(rows[0]) });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/** DELETE /follows/:id */
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = idOrNull(req.params.id);
+    if (!id) return res.status(400).json({ success:false, error:'invalid id' });
+    await DB.query(`DELETE FROM wallet_follows WHERE id=$1`, [id]);
+    res.json({ success:true });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/* =======================================================================
+   GET /follows/:walletId/feed?address=&direction=buy|sell&minValueNative=&minValueUsd=&before=&limit=
+   swaps by followed wallets, newest first, each with token, size, price and
+   the trader's running position. Each follow's own minimum applies as well
+   as the query's. `before` is a tradeId cursor (meta.nextBefore).
+   Live: subscribe to WS topic trades.stream.wallet:{address}.
+   ======================================================================= */
+router.get('/:walletId/feed', async (req, res) => {
+  try {
+    const wid = idOrNull(req.params.walletId);
+    if (!wid) return res.status(400).json({ success:false, error:'invalid walletId' });
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit || '100', 10) || 100, 500));
+    const before = req.query.before ? idOrNull(req.query.before) : null;
+    if (req.query.before && !before) return res.status(400).json({ success:false, error:'before must be a tradeId' });
+    const minZig = optMin(req.query.minValueNative);
+    const minUsd = optMin(req.query.minValueUsd);
+    if (Number.isNaN(minZig) || Number.isNaN(minUsd)) return res.status(400).json({ success:false, error:'minValueNative/minValueUsd must be non-negative numbers' });
+    const direction = String(req.query.direction || '').toLowerCase();
+    if (direction && direction !== 'buy' && direction !== 'sell') return res.status(400).json({ success:false, error:'direction must be buy|sell' });
+
+    const zigUsd = await getZigUsd();
+    const params = [wid, zigUsd];
+    const where = [`t.action = 'swap'`, `t.direction IN ('buy','sell')`];
+    if (direction) { params.push(direction); where.push(`t.direction = $${params.length}`); }
+    if (req.query.address) { params.push(String(req.query.address)); where.push(`f.address = $${params.length}`); }
+    if (before) { params.push(before); where.push(`t.trade_id < $${params.length}::bigint`); }
+    if (minZig != null) { params.push(minZig); where.push(`v.value_zig >= $${params.length}`); }
+    if (minUsd != null) { params.push(minUsd); where.push(`v.value_zig * $2 >= $${params.length}`); }
+
+    const { rows } = await DB.query(`
+      SELECT t.*, p.pair_contract, p.is_uzig_quote, p.base_token_id,
+             b.symbol AS base_symbol, b.denom AS base_denom, b.image_uri AS base_image, b.exponent AS bexp,
+             q.exponent AS qexp, q.denom AS quote_denom, qp.price_in_zig AS pq_price_in_zig
+      FROM wallet_follows f
+      JOIN trades t ON t.signer = f.address
+      JOIN pools  p ON p.pool_id = t.pool_id
+      JOIN tokens b ON b.token_id = p.base_token_id
+      JOIN tokens q ON q.token_id = p.quote_token_id
+      LEFT JOIN LATERAL (
+        SELECT pr.price_in_zig FROM prices pr
+        JOIN pools pp ON pp.pool_id = pr.pool_id AND pp.is_uzig_quote = TRUE
+        WHERE pr.token_id = p.quote_token_id
+        ORDER BY pr.updated_at DESC LIMIT 1
+      ) qp ON NOT p.is_uzig_quote
+      CROSS JOIN LATERAL (
+        SELECT (CASE WHEN t.direction = 'buy' THEN t.offer_amount_base ELSE t.return_amount_base END)::NUMERIC
+                 / power(10::numeric, COALESCE(q.exponent,6))
+                 * CASE WHEN p.is_uzig_quote THEN 1 ELSE qp.price_in_zig END AS value_zig
+      ) v
+      WHERE f.wallet_id = $1
+        AND (f.min_value_zig IS NULL OR v.value_zig >= f.min_value_zig)
+        AND (f.min_value_usd IS NULL OR v.value_zig * $2 >= f.min_value_usd)
+        AND ${where.join(' AND ')}
+      ORDER BY t.trade_id DESC
+      LIMIT $${params.length + 1}
+    `, [...params, limit]);
+
+    const [positions, labels] = await Promise.all([
+      runningPositions(rows),
+      labelsFor(rows.map(r => r.signer))
+    ]);
+    const data = rows.map(r => shapeSignal(r, zigUsd, positions, labels));
+
+    res.json({
+      success: true,
+      data,
+      meta: {
+        walletId: Number(wid),
+        limit,
+        direction: direction || null,
+        minValueNative: minZig ?? null,
+        minValueUsd: minUsd ?? null,
+        nextBefore: rows.length === limit ? String(rows[rows.length - 1].trade_id) : null
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+export default router;
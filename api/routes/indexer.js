@@ -0,0 +1,50 @@
+// api/routes/indexer.js
+import express from 'express';
+import { DB } from '../../lib/db.js';
+import { getStatus } from '../../lib/rpc.js';
+import { findGaps } from '../../core/index-ranges.js';
+
+const router = express.Router();
+
+async function chainTip() {
+  try {
+    const j = await getStatus();
+    const n = Number(j?.result?.sync_info?.latest_block_height ?? j?.sync_info?.latest_block_height);
+    return Number.isFinite(n) ? n : null;
+  } catch { return null; }
+}
+
+/** GET /indexer/gaps?from=&to=&limit= */
+router.get('/gaps', async (req, res) => {
+  try {
+    const from = req.query.from != null ? parseInt(req.query.from, 10) : null;
+    const to = req.query.to != null ? parseInt(req.query.to, 10) : null;
+    const limit = Math.min(parseInt(req.query.limit || '500', 10) || 500, 5000);
+    if ((from != null && !Number.isFinite(from)) || (to != null && !Number.isFinite(to))) {
+      return res.status(400).json({ success:false, error:'from/to must be heights' });
+    }
+
+    const [report, tip, ranges] = await Promise.all([
+      findGaps({ from, to, limit }),
+      chainTip(),
+      DB.query(`SELECT COUNT(*)::int AS n FROM index_ranges`)
+    ]);
+
+    res.json({
+      success: true,
+      data: report.gaps,
+      meta: {
+        from: report.from,
+        to: report.to,
+        chainTip: tip,
+        lag: (tip != null && report.to != null) ? tip - report.to : null,
+        missingHeights: report.missing,
+        ranges: ranges.rows[0].n
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+export default router;
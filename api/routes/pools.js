@@ -0,0 +1,559 @@
+// api/routes/pools.js
+import express from 'express';
+import { DB } from '../../lib/db.js';
+import { getZigUsd, resolveTokenId } from '../util/resolve-token.js';
+import { resolvePoolRef } from '../util/resolve-pool.js';
+import { TF_MAP, ensureTf } from '../util/ohlcv-agg.js';
+import { listPoolsWithMetrics } from '../util/prices.js';
+import { poolFee, DEFAULT_ADAPTER } from '../../core/dex/index.js';
+import { isConcentrated } from '../../core/cl.js';
+import { isStable } from '../../core/stableswap.js';
+import { LP_SHARE_EXP } from '../../core/lp.js';
+
+const router = express.Router();
+const toNum = x => (x == null ? null : Number(x));
+const disp = (base, exp) => (base == null ? null : Number(base) / (10 ** (exp || 0)));
+
+const MAX_POINTS = 5000;
+const BUCKETS = new Set(['30m', '1h', '4h', '24h']);
+
+/** one listPoolsWithMetrics() row in the API shape */
+function poolItem(r, zigUsd) {
+  const tvlN = toNum(r.tvl_zig);
+  const volN = toNum(r.vol_zig) || 0;
+  const feesN = toNum(r.fees_zig);
+  return {
+    poolId: r.pool_id,
+    pairContract: r.pair_contract,
+    pairType: r.pair_type,
+    dex: { dexId: r.dex_id, name: r.dex_name, adapter: r.adapter },
+    base: { tokenId: r.base_token_id, symbol: r.base_symbol, denom: r.base_denom, exponent: toNum(r.base_exp), imageUri: r.base_image },
+    quote: { tokenId: r.quote_token_id, symbol: r.quote_symbol, denom: r.quote_denom, exponent: toNum(r.quote_exp) },
+    isUzigQuote: r.is_uzig_quote === true,
+    createdAt: r.created_at,
+    reserves: { base: toNum(r.reserve_base_disp), quote: toNum(r.reserve_quote_disp) },
+    tvlNative: tvlN, tvlUsd: tvlN != null ? tvlN * zigUsd : null,
+    volumeNative: volN, volumeUsd: volN * zigUsd,
+    tx: toNum(r.tx) || 0,
+    uniqueTraders: toNum(r.unique_traders) || 0,
+    fee: toNum(r.fee) ?? poolFee(r.adapter, r.pair_type),
+    feesNative: feesN, feesUsd: feesN != null ? feesN * zigUsd : null,
+    apr: toNum(r.apr),
+    apr7d: toNum(r.apr_7d),
+    apr30d: toNum(r.apr_30d),
+    lpTokenDenom: r.lp_token_denom || null,
+    lpPriceNative: toNum(r.lp_price_zig),
+    lpPriceUsd: r.lp_price_zig != null ? Number(r.lp_price_zig) * zigUsd : null
+  };
+}
+
+/* =======================================================================
+   GET /pools?sort=tvl|volume|apr|apr7d|apr30d|created|tx&dir=&bucket=&dex=&pairType=&quote=&limit=&offset=
+   ======================================================================= */
+router.get('/', async (req, res) => {
+  try {
+    const bucket = (req.query.bucket || '24h').toLowerCase();
+    if (!BUCKETS.has(bucket)) return res.status(400).json({ success:false, error:'bucket must be 30m|1h|4h|24h' });
+    const sort = (req.query.sort || 'tvl').toLowerCase();
+    const dir  = (req.query.dir || 'desc').toLowerCase() === 'asc' ? 'asc' : 'desc';
+    const limit  = Math.max(1, Math.min(parseInt(req.query.limit || '50', 10) || 50, 200));
+    const offset = Math.max(0, parseInt(req.query.offset || '0', 10) || 0);
+
+    let quoteTokenId = null;
+    if (req.query.quote) {
+      const qt = await resolveTokenId(req.query.quote);
+      if (!qt) return res.status(404).json({ success:false, error:'quote token not found' });
+      quoteTokenId = qt.token_id;
+    }
+
+    const [{ rows, total }, zigUsd] = await Promise.all([
+      listPoolsWithMetrics({
+        bucket, sort, dir, limit, offset, quoteTokenId,
+        dexRef: req.query.dex || null,
+        pairType: req.query.pairType || null
+      }),
+      getZigUsd()
+    ]);
+
+    res.json({
+      success: true,
+      data: rows.map(r => poolItem(r, zigUsd)),
+      meta: {
+        bucket, sort, dir, limit, offset, total,
+        dex: req.query.dex || null, pairType: req.query.pairType || null, quote: req.query.quote || null
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/* =======================================================================
+   GET /pools/search?q=   (pair contract, token symbol/denom, or "BASE/QUOTE")
+   ======================================================================= */
+router.get('/search', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ success:false, error:'missing q' });
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit || '20', 10) || 20, 100));
+
+    const [{ rows }, zigUsd] = await Promise.all([
+      listPoolsWithMetrics({ q, sort: 'tvl', dir: 'desc', limit }),
+      getZigUsd()
+    ]);
+    res.json({ success: true, data: rows.map(r => poolItem(r, zigUsd)), meta: { q, limit } });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/* =======================================================================
+   GET /pools/:ref   (ref = pool_id or pair contract)
+   ======================================================================= */
+router.get('/:ref', async (req, res) => {
+  try {
+    const pool = await resolvePoolRef(req.params.ref);
+    if (!pool) return res.status(404).json({ success:false, error:'pool not found' });
+
+    const [meta, matrix, state, cl, price, zigUsd] = await Promise.all([
+      DB.query(`
+        SELECT p.lp_token_denom, p.lp_supply_base, p.lp_supply_updated_at, p.lp_price_zig,
+               p.factory_contract, p.router_contract, p.created_height, p.created_tx_hash,
+               p.signer, p.amp, d.dex_id, d.dex_name, COALESCE(d.adapter, $2) AS adapter, d.website, d.twitter
+        FROM pools p
+        LEFT JOIN dex_catalogue d ON d.dex_id = p.dex_id
+        WHERE p.pool_id = $1
+      `, [pool.pool_id, DEFAULT_ADAPTER]),
+      DB.query(`
+        SELECT bucket, vol_buy_zig, vol_sell_zig, tx_buy, tx_sell, unique_traders, tvl_zig,
+               reserve_base_disp, reserve_quote_disp, fees_zig, fee_apr,
+               fees_7d_zig, fees_30d_zig, apr_7d, apr_30d, updated_at
+        FROM pool_matrix WHERE pool_id = $1
+      `, [pool.pool_id]),
+      DB.query(`SELECT reserve_base_base, reserve_quote_base, height, updated_at FROM pool_state WHERE pool_id = $1`, [pool.pool_id]),
+      isConcentrated(pool.pair_type)
+        ? DB.query(`SELECT sqrt_price, tick, liquidity, height, updated_at FROM cl_pool_state WHERE pool_id = $1`, [pool.pool_id])
+        : Promise.resolve({ rows: [] }),
+      DB.query(`SELECT price_in_zig, updated_at FROM prices WHERE pool_id = $1 AND token_id = $2`, [pool.pool_id, pool.base_token_id]),
+      getZigUsd()
+    ]);
+
+    const m = meta.rows[0] || {};
+    const fee = poolFee(m.adapter, pool.pair_type);
+    const baseExp = Number(pool.base_exp), quoteExp = Number(pool.quote_exp);
+    const st = state.rows[0] || null;
+    const priceN = toNum(price.rows[0]?.price_in_zig);
+
+    const buckets = {};
+    let yieldRow = null;
+    for (const r of matrix.rows) {
+      const tvlN = toNum(r.tvl_zig);
+      const volN = (toNum(r.vol_buy_zig) || 0) + (toNum(r.vol_sell_zig) || 0);
+      const feesN = toNum(r.fees_zig);
+      if (r.apr_7d != null || r.apr_30d != null) yieldRow = r;
+      buckets[r.bucket] = {
+        volBuyNative: toNum(r.vol_buy_zig) || 0,
+        volSellNative: toNum(r.vol_sell_zig) || 0,
+        volumeNative: volN,
+        volumeUsd: volN * zigUsd,
+        txBuy: toNum(r.tx_buy) || 0,
+        txSell: toNum(r.tx_sell) || 0,
+        uniqueTraders: toNum(r.unique_traders) || 0,
+        tvlNative: tvlN,
+        tvlUsd: tvlN != null ? tvlN * zigUsd : null,
+        feesNative: feesN,
+        feesUsd: feesN != null ? feesN * zigUsd : null,
+        apr: toNum(r.fee_apr),
+        updatedAt: r.updated_at
+      };
+    }
+    const f7 = toNum(yieldRow?.fees_7d_zig), f30 = toNum(yieldRow?.fees_30d_zig);
+
+    res.json({
+      success: true,
+      data: {
+        poolId: pool.pool_id,
+        pairContract: pool.pair_contract,
+        pairType: pool.pair_type,
+        lpTokenDenom: m.lp_token_denom || null,
+        lpToken: m.lp_token_denom ? {
+          denom: m.lp_token_denom,
+          supply: disp(m.lp_supply_base, LP_SHARE_EXP),
+          supplyUpdatedAt: m.lp_supply_updated_at || null,
+          priceNative: toNum(m.lp_price_zig),
+          priceUsd: m.lp_price_zig != null ? Number(m.lp_price_zig) * zigUsd : null
+        } : null,
+        dex: { dexId: m.dex_id ?? null, name: m.dex_name ?? null, adapter: m.adapter, factory: m.factory_contract || null, router: m.router_contract || null, website: m.website || null, twitter: m.twitter || null },
+        base: { tokenId: pool.base_token_id, symbol: pool.base_symbol, denom: pool.base_denom, exponent: baseExp },
+        quote: { tokenId: pool.quote_token_id, symbol: pool.quote_symbol, denom: pool.quote_denom, exponent: quoteExp },
+        isUzigQuote: pool.is_uzig_quote === true,
+        fee,
+        ...(isStable(pool.pair_type) ? { amp: toNum(m.amp) } : {}),
+        reserves: st ? {
+          base: disp(st.reserve_base_base, baseExp),
+          quote: disp(st.reserve_quote_base, quoteExp),
+          height: toNum(st.height),
+          updatedAt: st.updated_at
+        } : null,
+        ...(cl.rows[0] ? {
+          concentrated: {
+            sqrtPrice: toNum(cl.rows[0].sqrt_price),
+            tick: toNum(cl.rows[0].tick),
+            liquidity: cl.rows[0].liquidity,
+            height: toNum(cl.rows[0].height),
+            updatedAt: cl.rows[0].updated_at
+          }
+        } : {}),
+        priceNative: pool.is_uzig_quote ? priceN : null,
+        priceUsd: pool.is_uzig_quote && priceN != null ? priceN * zigUsd : null,
+        buckets,
+        yield: {
+          fees7dNative: f7, fees7dUsd: f7 != null ? f7 * zigUsd : null,
+          fees30dNative: f30, fees30dUsd: f30 != null ? f30 * zigUsd : null,
+          apr7d: toNum(yieldRow?.apr_7d),
+          apr30d: toNum(yieldRow?.apr_30d)
+        },
+        creator: m.signer || null,
+        createdAt: pool.created_at,
+        createdHeight: toNum(m.created_height),
+        createdTxHash: m.created_tx_hash || null
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/** ZIG per 1 quote token (1 for UZIG-quoted pools), from its latest UZIG price */
+async function zigPerQuote(pool) {
+  if (pool.is_uzig_quote) return 1;
+  const { rows } = await DB.query(`
+    SELECT pr.price_in_zig
+    FROM prices pr
+    JOIN pools p ON p.pool_id = pr.pool_id AND p.is_uzig_quote = TRUE
+    WHERE pr.token_id = $1
+    ORDER BY pr.updated_at DESC
+    LIMIT 1
+  `, [pool.quote_token_id]);
+  return toNum(rows[0]?.price_in_zig);
+}
+
+/* =======================================================================
+   GET /pools/:ref/reserves?tf=&from=&to=&fill=prev|none
+   reserve history from pool_state_history, last snapshot per tf bucket
+   ======================================================================= */
+router.get('/:ref/reserves', async (req, res) => {
+  try {
+    const pool = await resolvePoolRef(req.params.ref);
+    if (!pool) return res.status(404).json({ success:false, error:'pool not found' });
+
+    const tf = ensureTf(req.query.tf || '1h');
+    const stepSec = TF_MAP[tf];
+    const fill = (req.query.fill || 'prev').toLowerCase();   // prev|none
+
+    const toD = req.query.to ? new Date(req.query.to) : new Date();
+    const fromD = req.query.from ? new Date(req.query.from) : new Date(toD.getTime() - 300 * stepSec * 1000);
+    if (isNaN(toD) || isNaN(fromD)) return res.status(400).json({ success:false, error:'from/to must be dates' });
+    const toIso = toD.toISOString();
+    const fromIso = fromD.toISOString();
+    if ((new Date(toIso) - new Date(fromIso)) / 1000 / stepSec > MAX_POINTS) {
+      return res.status(400).json({ success:false, error:`window too large for tf=${tf} (max ${MAX_POINTS} points)` });
+    }
+
+    const [{ rows }, { rows: seedRows }, zigUsd, zq] = await Promise.all([
+      DB.query(`
+        WITH win AS (
+          SELECT height, reserve_base_base, reserve_quote_base,
+                 to_timestamp(floor(extract(epoch from created_at)/$4)*$4) AS bucket_ts
+          FROM pool_state_history
+          WHERE pool_id = $1 AND created_at >= $2::timestamptz AND created_at < $3::timestamptz
+        )
+        SELECT DISTINCT ON (bucket_ts)
+               bucket_ts AS ts, height, reserve_base_base, reserve_quote_base,
+               COUNT(*) OVER (PARTITION BY bucket_ts) AS changes
+        FROM win
+        ORDER BY bucket_ts, height DESC
+      `, [pool.pool_id, fromIso, toIso, stepSec]),
+      // last state before the window, so fill=prev starts from a real value
+      DB.query(`
+        SELECT height, reserve_base_base, reserve_quote_base
+        FROM pool_state_history
+        WHERE pool_id = $1 AND created_at < $2::timestamptz
+        ORDER BY created_at DESC, height DESC
+        LIMIT 1
+      `, [pool.pool_id, fromIso]),
+      getZigUsd(),
+      zigPerQuote(pool)
+    ]);
+
+    const baseExp = Number(pool.base_exp), quoteExp = Number(pool.quote_exp);
+    const point = (ts, r, changes) => {
+      const base = disp(r.reserve_base_base, baseExp);
+      const quote = disp(r.reserve_quote_base, quoteExp);
+      const price = base > 0 ? quote / base : null;
+      // both sides valued at the pool's own price
+      const tvlQuote = price != null ? quote + base * price : null;
+      const tvlNative = tvlQuote != null && zq != null ? tvlQuote * zq : null;
+      return {
+        ts: new Date(ts).toISOString(),
+        height: toNum(r.height),
+        reserveBase: base,
+        reserveQuote: quote,
+        price,
+        tvlQuote,
+        tvlNative,
+        tvlUsd: tvlNative != null ? tvlNative * zigUsd : null,
+        changes
+      };
+    };
+
+    let data;
+    if (fill === 'prev') {
+      const byTs = new Map(rows.map(r => [Math.floor(new Date(r.ts).getTime() / 1000), r]));
+      const start = Math.floor(new Date(fromIso).getTime() / 1000 / stepSec) * stepSec;
+      const end = new Date(toIso).getTime() / 1000;
+      let last = seedRows[0] || null;
+      data = [];
+      for (let t = start; t < end; t += stepSec) {
+        const r = byTs.get(t);
+        if (r) last = r;
+        if (last) data.push(point(t * 1000, last, r ? Number(r.changes) : 0));
+      }
+    } else {
+      data = rows.map(r => point(r.ts, r, Number(r.changes)));
+    }
+
+    res.json({
+      success: true,
+      pool: {
+        poolId: pool.pool_id,
+        pairContract: pool.pair_contract,
+        pairType: pool.pair_type,
+        base: { tokenId: pool.base_token_id, symbol: pool.base_symbol, denom: pool.base_denom, exponent: baseExp },
+        quote: { tokenId: pool.quote_token_id, symbol: pool.quote_symbol, denom: pool.quote_denom, exponent: quoteExp },
+        isUzigQuote: pool.is_uzig_quote === true
+      },
+      data,
+      meta: { tf, from: fromIso, to: toIso, fill, zigPerQuote: zq }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/* =======================================================================
+   GET /pools/:ref/liquidity?tf=&from=&to=&action=provide|withdraw&limit=&offset=&top=
+   provide/withdraw events with token amounts and value, net flow per tf
+   bucket, and the largest providers / withdrawers in the window
+   ======================================================================= */
+router.get('/:ref/liquidity', async (req, res) => {
+  try {
+    const pool = await resolvePoolRef(req.params.ref);
+    if (!pool) return res.status(404).json({ success:false, error:'pool not found' });
+
+    const tf = ensureTf(req.query.tf || '1h');
+    const stepSec = TF_MAP[tf];
+    const action = req.query.action ? String(req.query.action).toLowerCase() : null;
+    if (action && action !== 'provide' && action !== 'withdraw') {
+      return res.status(400).json({ success:false, error:'action must be provide|withdraw' });
+    }
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000));
+    const offset = Math.max(0, parseInt(req.query.offset || '0', 10) || 0);
+    const top = Math.max(1, Math.min(parseInt(req.query.top || '10', 10) || 10, 100));
+
+    const toD = req.query.to ? new Date(req.query.to) : new Date();
+    const fromD = req.query.from ? new Date(req.query.from) : new Date(toD.getTime() - 300 * stepSec * 1000);
+    if (isNaN(toD) || isNaN(fromD)) return res.status(400).json({ success:false, error:'from/to must be dates' });
+    const toIso = toD.toISOString();
+    const fromIso = fromD.toISOString();
+    if ((new Date(toIso) - new Date(fromIso)) / 1000 / stepSec > MAX_POINTS) {
+      return res.status(400).json({ success:false, error:`window too large for tf=${tf} (max ${MAX_POINTS} points)` });
+    }
+
+    const baseExp = Number(pool.base_exp), quoteExp = Number(pool.quote_exp);
+    // token amounts come from lp_events; liquidity rows indexed before it only carry the share
+    const EV = `
+      WITH ev AS (
+        SELECT t.action, t.tx_hash, t.height, t.msg_index, t.created_at,
+               COALESCE(e.owner, t.signer) AS owner,
+               t.return_amount_base AS share_base,
+               t.reserve_asset1_denom, t.reserve_asset1_amount_base,
+               t.reserve_asset2_denom, t.reserve_asset2_amount_base,
+               e.base_amount_base  / power(10::numeric, $4) AS base_amt,
+               e.quote_amount_base / power(10::numeric, $5) AS quote_amt,
+               e.price_quote
+        FROM trades t
+        LEFT JOIN lp_events e ON e.tx_hash = t.tx_hash AND e.pool_id = t.pool_id AND e.msg_index = t.msg_index
+        WHERE t.pool_id = $1 AND t.action IN ('provide','withdraw')
+          AND t.created_at >= $2::timestamptz AND t.created_at < $3::timestamptz
+      ),
+      vq AS (
+        SELECT ev.*,
+               ev.quote_amt + ev.base_amt * COALESCE(ev.price_quote, ev.quote_amt / NULLIF(ev.base_amt, 0), 0) AS value_quote
+        FROM ev
+      )`;
+    const args = [pool.pool_id, fromIso, toIso, baseExp, quoteExp];
+
+    const [events, flow, owners, largest, zigUsd, zq] = await Promise.all([
+      DB.query(`${EV}
+        SELECT *, COUNT(*) OVER() AS total
+        FROM vq
+        ${action ? 'WHERE action = $8' : ''}
+        ORDER BY created_at DESC, msg_index DESC
+        LIMIT $6 OFFSET $7
+      `, action ? [...args, limit, offset, action] : [...args, limit, offset]),
+      DB.query(`${EV}
+        SELECT to_timestamp(floor(extract(epoch from created_at)/$6)*$6) AS ts,
+               COUNT(*) FILTER (WHERE action = 'provide')  AS provides,
+               COUNT(*) FILTER (WHERE action = 'withdraw') AS withdraws,
+               COALESCE(SUM(value_quote) FILTER (WHERE action = 'provide'), 0)  AS added_quote,
+               COALESCE(SUM(value_quote) FILTER (WHERE action = 'withdraw'), 0) AS removed_quote,
+               COALESCE(SUM(base_amt)  FILTER (WHERE action = 'provide'), 0)  AS added_base,
+               COALESCE(SUM(quote_amt) FILTER (WHERE action = 'provide'), 0)  AS added_quote_amt,
+               COALESCE(SUM(base_amt)  FILTER (WHERE action = 'withdraw'), 0) AS removed_base,
+               COALESCE(SUM(quote_amt) FILTER (WHERE action = 'withdraw'), 0) AS removed_quote_amt
+        FROM vq
+        GROUP BY 1
+        ORDER BY 1
+      `, [...args, stepSec]),
+      DB.query(`${EV},
+      owners AS (
+        SELECT owner,
+               COUNT(*) FILTER (WHERE action = 'provide')  AS provides,
+               COUNT(*) FILTER (WHERE action = 'withdraw') AS withdraws,
+               COALESCE(SUM(value_quote) FILTER (WHERE action = 'provide'), 0)  AS added_quote,
+               COALESCE(SUM(value_quote) FILTER (WHERE action = 'withdraw'), 0) AS removed_quote,
+               MAX(created_at) AS last_at
+        FROM vq
+        WHERE owner IS NOT NULL
+        GROUP BY owner
+      )
+      (SELECT 'provider' AS side, * FROM owners WHERE added_quote > 0 ORDER BY added_quote DESC LIMIT $6)
+      UNION ALL
+      (SELECT 'withdrawer' AS side, * FROM owners WHERE removed_quote > 0 ORDER BY removed_quote DESC LIMIT $6)
+      `, [...args, top]),
+      DB.query(`${EV}
+        SELECT * FROM vq
+        WHERE action = 'withdraw' AND value_quote IS NOT NULL
+        ORDER BY value_quote DESC
+        LIMIT 1
+      `, args),
+      getZigUsd(),
+      zigPerQuote(pool)
+    ]);
+
+    const native = (q) => (q != null && zq != null ? q * zq : null);
+    const usd = (q) => (native(q) != null ? native(q) * zigUsd : null);
+
+    /** event value as % of the pool: of what was there before a withdraw, of what is there after a provide */
+    const poolPct = (r, valueQ) => {
+      if (valueQ == null) return null;
+      const res = (denom, exp) => {
+        if (r.reserve_asset1_denom === denom) return disp(r.reserve_asset1_amount_base, exp);
+        if (r.reserve_asset2_denom === denom) return disp(r.reserve_asset2_amount_base, exp);
+        return null;
+      };
+      const rb = res(pool.base_denom, baseExp), rq = res(pool.quote_denom, quoteExp);
+      if (rb == null || rq == null) return null;
+      const px = r.price_quote != null ? Number(r.price_quote) : (rb > 0 ? rq / rb : 0);
+      const afterQ = rq + rb * px;
+      const whole = r.action === 'withdraw' ? afterQ + valueQ : afterQ;
+      return whole > 0 ? (valueQ / whole) * 100 : null;
+    };
+
+    const event = (r) => {
+      const vq = toNum(r.value_quote);
+      return {
+        action: r.action,
+        owner: r.owner || null,
+        txHash: r.tx_hash,
+        height: toNum(r.height),
+        msgIndex: toNum(r.msg_index),
+        time: r.created_at,
+        shares: disp(r.share_base, LP_SHARE_EXP),
+        base: toNum(r.base_amt),
+        quote: toNum(r.quote_amt),
+        valueQuote: vq,
+        valueNative: native(vq),
+        valueUsd: usd(vq),
+        poolPct: poolPct(r, vq)
+      };
+    };
+
+    const totals = { provides: 0, withdraws: 0, addedQ: 0, removedQ: 0 };
+    let cumulativeQ = 0;
+    const series = flow.rows.map(r => {
+      const added = Number(r.added_quote), removed = Number(r.removed_quote);
+      totals.provides += Number(r.provides);
+      totals.withdraws += Number(r.withdraws);
+      totals.addedQ += added;
+      totals.removedQ += removed;
+      cumulativeQ += added - removed;
+      return {
+        ts: new Date(r.ts).toISOString(),
+        provides: Number(r.provides),
+        withdraws: Number(r.withdraws),
+        added: { base: Number(r.added_base), quote: Number(r.added_quote_amt) },
+        removed: { base: Number(r.removed_base), quote: Number(r.removed_quote_amt) },
+        addedNative: native(added),
+        removedNative: native(removed),
+        netNative: native(added - removed),
+        netUsd: usd(added - removed),
+        cumulativeNetNative: native(cumulativeQ)
+      };
+    });
+
+    const ownerItem = (r) => {
+      const added = Number(r.added_quote), removed = Number(r.removed_quote);
+      return {
+        address: r.owner,
+        provides: Number(r.provides),
+        withdraws: Number(r.withdraws),
+        addedNative: native(added),
+        addedUsd: usd(added),
+        removedNative: native(removed),
+        removedUsd: usd(removed),
+        netNative: native(added - removed),
+        lastAt: r.last_at
+      };
+    };
+
+    res.json({
+      success: true,
+      pool: {
+        poolId: pool.pool_id,
+        pairContract: pool.pair_contract,
+        pairType: pool.pair_type,
+        base: { tokenId: pool.base_token_id, symbol: pool.base_symbol, denom: pool.base_denom, exponent: baseExp },
+        quote: { tokenId: pool.quote_token_id, symbol: pool.quote_symbol, denom: pool.quote_denom, exponent: quoteExp },
+        isUzigQuote: pool.is_uzig_quote === true
+      },
+      data: {
+        summary: {
+          provides: totals.provides,
+          withdraws: totals.withdraws,
+          addedNative: native(totals.addedQ),
+          addedUsd: usd(totals.addedQ),
+          removedNative: native(totals.removedQ),
+          removedUsd: usd(totals.removedQ),
+          netNative: native(totals.addedQ - totals.removedQ),
+          netUsd: usd(totals.addedQ - totals.removedQ),
+          largestWithdrawal: largest.rows[0] ? event(largest.rows[0]) : null
+        },
+        flow: series,
+        topProviders: owners.rows.filter(r => r.side === 'provider').map(ownerItem),
+        topWithdrawers: owners.rows.filter(r => r.side === 'withdrawer').map(ownerItem),
+        events: events.rows.map(event)
+      },
+      meta: {
+        tf, from: fromIso, to: toIso, action, limit, offset, top,
+        total: Number(events.rows[0]?.total ?? 0),
+        zigPerQuote: zq
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+export default router;
@@ -2,6 +2,18 @@
 import express from 'express';
 import { DB } from '../../lib/db.js';
 import { resolveTokenId, getZigUsd } from '../util/resolve-token.js';
+import { poolFee, getAdapter } from '../../core/dex/index.js';
+import { isConcentrated, loadClStates } from '../../core/cl.js';
+import { isStable, fetchAmp } from '../../core/stableswap.js';
+import { simulatePool, simulatePoolExactOut } from '../util/swap-sim.js';
+import {
+  loadPoolGraph, poolsAt, findBestRoute, findDisjointRoutes, simulatePath, zigMidOf, SWAP_MAX_HOPS,
+  findBestRouteExactOut, simulatePathExactOut
+} from '../util/swap-graph.js';
+import { splitAcross } from '../util/swap-split.js';
+import {
+  parseSlippageBps, snapshotOf, liveRecheck, makeQuote, verifyQuote, isExpired, minReceived, maxAmountIn
+} from '../util/swap-quote.js';
 
 const router = express.Router();
 
@@ -17,54 +29,21 @@ async function resolveRef(ref) {
   return { type: 'token', token: tok };
 }
 
-/** Oroswap pair type → taker fee fraction */
-function pairFee(pairType) {
-  if (!pairType) return 0.003;
-  const t = String(pairType).toLowerCase();
-  if (t === 'xyk') return 0.0001;
-  if (t === 'concentrated') return 0.01;
-  const m = t.match(/xyk[_-](\d+)/);
-  if (m) {
-    const bps = Number(m[1]);
-    if (Number.isFinite(bps)) return bps / 10_000;
-  }
-  return 0.003;
-}
-
-/** XYK simulation (fee-on-input). Rz = zig reserve, Rt = token reserve. */
-function simulateXYK({ fromIsZig, amountIn, Rz, Rt, fee }) {
-  if (!(Rz > 0 && Rt > 0) || !(amountIn > 0)) {
-    return { out: 0, price: 0, impact: 0 };
-  }
-  const mid = Rz / Rt; // zig per token
-  const xin = amountIn * (1 - fee);
-
-  if (fromIsZig) {
-    // ZIG -> Token
-    const outToken = (xin * Rt) / (Rz + xin);
-    const effZigPerToken = amountIn / Math.max(outToken, 1e-18);
-    const impact = mid > 0 ? (effZigPerToken / mid) - 1 : 0;
-    return { out: outToken, price: effZigPerToken, impact };
-  } else {
-    // Token -> ZIG
-    const outZig = (xin * Rz) / (Rt + xin);
-    const effZigPerToken = outZig / amountIn; // executable zig per 1 token
-    const impact = mid > 0 ? (mid / Math.max(effZigPerToken, 1e-18)) - 1 : 0;
-    return { out: outZig, price: effZigPerToken, impact };
-  }
-}
-
 /** Load all UZIG-quoted pools for a token, including mid price & reserves (display units). */
-async function loadUzigPoolsForToken(tokenId, { minTvlZig = 0 } = {}) {
+async function loadUzigPoolsForToken(tokenId, { minTvlZig = 0, at = null } = {}) {
   const { rows } = await DB.query(
     `
     SELECT
       p.pool_id,
       p.pair_contract,
       p.pair_type,
+      d.adapter,
+      p.amp,
       pr.price_in_zig,           -- mid zig per token
       ps.reserve_base_base   AS res_base_base,
       ps.reserve_quote_base  AS res_quote_base,
+      ps.height              AS state_height,
+      ps.updated_at          AS state_updated_at,
       tb.exponent            AS base_exp,
       tq.exponent            AS quote_exp,
       COALESCE(pm.tvl_zig,0) AS tvl_zig,
@@ -76,12 +55,22 @@ async function loadUzigPoolsForToken(tokenId, { minTvlZig = 0 } = {}) {
     JOIN tokens tb           ON tb.token_id = p.base_token_id
     JOIN tokens tq           ON tq.token_id = p.quote_token_id
     LEFT JOIN pool_matrix pm ON pm.pool_id = p.pool_id AND pm.bucket = '24h'
+    LEFT JOIN dex_catalogue d ON d.dex_id = p.dex_id
     WHERE p.is_uzig_quote = TRUE
     `,
     [tokenId]
   );
 
-  return rows
+  const clStates = await loadClStates(
+    rows.filter(r => isConcentrated(r.pair_type)).map(r => r.pool_id)
+  );
+
+  // stable pairs created before amp capture: ask the contract (cached)
+  await Promise.all(rows.filter(r => isStable(r.pair_type) && r.amp == null).map(async (r) => {
+    r.amp = await fetchAmp(r.pair_contract, r.adapter).catch(() => null);
+  }));
+
+  const pools = rows
     .map(r => {
       const Rt = Number(r.res_base_base  || 0) / Math.pow(10, Number(r.base_exp  || 0)); // token reserve
       const Rz = Number(r.res_quote_base || 0) / Math.pow(10, Number(r.quote_exp || 0)); // zig reserve
@@ -89,24 +78,31 @@ async function loadUzigPoolsForToken(tokenId, { minTvlZig = 0 } = {}) {
         poolId:       String(r.pool_id),
         pairContract: r.pair_contract,
         pairType:     r.pair_type,
+        adapter:      r.adapter,
+        isUzigQuote:  true,
         priceInZig:   Number(r.price_in_zig || 0), // **mid** zig per token
         tokenReserve: Rt,
         zigReserve:   Rz,
         tvlZig:       Number(r.tvl_zig || 0),
+        baseExp:      Number(r.base_exp || 0),
+        quoteExp:     Number(r.quote_exp || 0),
+        baseDenom:    r.base_denom,
+        quoteDenom:   r.quote_denom,
+        height:       r.state_height != null ? Number(r.state_height) : null, // pool_state snapshot
+        updatedAt:    r.state_updated_at,
+        cl:           clStates.get(String(r.pool_id)) || null, // concentrated pools only
+        amp:          r.amp != null ? Number(r.amp) : null,    // stable pools only
       };
-    })
-    .filter(p => p.tvlZig >= minTvlZig);
+    });
+  return (at ? await poolsAt(pools, at) : pools).filter(p => p.tvlZig >= minTvlZig);
 }
 
 /** Pick best pool by sim (maximize out). */
 function pickBySimulation(pools, side, { fromIsZig, amountIn }) {
   let best = null;
   for (const p of pools) {
-    const fee = pairFee(p.pairType);
-    const hasRes = p.zigReserve > 0 && p.tokenReserve > 0;
-    const sim = hasRes
-      ? simulateXYK({ fromIsZig, amountIn, Rz: p.zigReserve, Rt: p.tokenReserve, fee })
-      : null;
+    const fee = poolFee(p.adapter, p.pairType);
+    const sim = simulatePool(p, { fromIsZig, amountIn, fee });
     const score = sim ? sim.out : 0;
     const cand = { ...p, fee, sim, score };
     if (!best || cand.score > best.score) best = cand;
@@ -114,6 +110,18 @@ function pickBySimulation(pools, side, { fromIsZig, amountIn }) {
   return best;
 }
 
+/** Exact-out: pick the pool needing the least input for `amountOut`. */
+function pickByExactOut(pools, { fromIsZig, amountOut }) {
+  let best = null;
+  for (const p of pools) {
+    const fee = poolFee(p.adapter, p.pairType);
+    const sim = simulatePoolExactOut(p, { fromIsZig, amountOut, fee });
+    if (!sim) continue;
+    if (!best || sim.in < best.sim.in) best = { ...p, fee, sim, score: sim.out };
+  }
+  return best;
+}
+
 /** Default notional (~$100) when amt not provided. */
 function defaultAmount(side, { zigUsd, pools }) {
   const targetUsd = 100;
@@ -152,24 +160,225 @@ function makePairBlock({ side, pool, sim, fee, zigUsd, amountIn }) {
   };
 }
 
+const tokenLabel = (t) => t.denom || t.symbol || String(t.token_id);
+
+/**
+ * One graph hop in the pairs[] shape (superset of makePairBlock): prices are
+ * quote per 1 base of that pool; USD only when the pool is UZIG-quoted.
+ */
+function makeHopBlock(h, { zigUsd }) {
+  const { pool, sim } = h;
+  const usd = (v) => (v != null && pool.isUzigQuote) ? v * zigUsd : null;
+  return {
+    poolId: pool.poolId,
+    pairContract: pool.pairContract,
+    pairType: pool.pairType,
+    side: sim.fromIsQuote ? 'buy' : 'sell',
+    from: sim.fromIsQuote ? pool.quoteDenom : pool.baseDenom,
+    to: sim.fromIsQuote ? pool.baseDenom : pool.quoteDenom,
+    price_native_exec: sim.price,
+    price_usd_exec: usd(sim.price),
+    price_native_mid: pool.mid,
+    price_usd_mid: usd(pool.mid),
+    amount_in: h.amountIn,
+    amount_out: sim.out,
+    price_impact: sim.impact,
+    fee: pool.fee
+  };
+}
+
+/** legacy token→token route through UZIG: best sell pool for A, best buy pool for B */
+function makeViaUzigBlock({ from, to, sellA, buyB, zigUsd }) {
+  const route = [tokenLabel(from.token), 'uzig', tokenLabel(to.token)];
+  if (!sellA || !buyB) {
+    return {
+      route,
+      pairs: [],
+      price_native: null,
+      cross: { zig_per_from: null, usd_per_from: null },
+      usd_baseline: { from_usd: null, to_usd: null },
+      diagnostics: { sellA: !!sellA, buyB: !!buyB }
+    };
+  }
+  const leg = (side, p) => ({
+    side,
+    poolId: p.poolId,
+    pairType: p.pairType,
+    tvl_zig: p.tvlZig,
+    reserves: { zig: p.zigReserve, token: p.tokenReserve },
+    sim: p.sim || null
+  });
+  const from_usd = sellA.priceInZig * zigUsd; // mid(A)
+  const to_usd   = buyB.priceInZig  * zigUsd; // mid(B)
+  return {
+    route,
+    pairs: [
+      makePairBlock({ side:'sell', pool: sellA, sim: sellA.sim, fee: sellA.fee, zigUsd, amountIn: sellA.amtUsed }),
+      makePairBlock({ side:'buy',  pool: buyB,  sim: buyB.sim,  fee: buyB.fee,  zigUsd, amountIn: buyB.amtUsed })
+    ],
+    // Executable cross-rate (B per 1 A): (zig/A) / (zig/B)
+    price_native: sellA.priceInZig / Math.max(buyB.priceInZig, 1e-18),
+    cross: { zig_per_from: sellA.priceInZig, usd_per_from: from_usd },
+    usd_baseline: { from_usd, to_usd },
+    diagnostics: { sell_leg: leg('sell', sellA), buy_leg: leg('buy', buyB) }
+  };
+}
+
 /* ─────────────────────── per-side selectors ─────────────────────── */
 
-async function bestBuyPool(tokenId, { amountIn, minTvlZig, zigUsd }) {
-  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig });
+async function bestBuyPool(tokenId, { amountIn, amountOut, minTvlZig, zigUsd, at }) {
+  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig, at });
   if (!pools.length) return null;
+  if (Number.isFinite(amountOut)) {
+    const pick = pickByExactOut(pools, { fromIsZig: true, amountOut });
+    return pick ? { ...pick, amtUsed: pick.sim.in, candidates: pools } : null;
+  }
   const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('buy', { zigUsd, pools });
   const pick = pickBySimulation(pools, 'buy', { fromIsZig: true, amountIn: amt });
   if (!pick) return null;
-  return { ...pick, amtUsed: amt };
+  return { ...pick, amtUsed: amt, candidates: pools };
 }
 
-async function bestSellPool(tokenId, { amountIn, minTvlZig, zigUsd }) {
-  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig });
+async function bestSellPool(tokenId, { amountIn, amountOut, minTvlZig, zigUsd, at }) {
+  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig, at });
   if (!pools.length) return null;
+  if (Number.isFinite(amountOut)) {
+    const pick = pickByExactOut(pools, { fromIsZig: false, amountOut });
+    return pick ? { ...pick, amtUsed: pick.sim.in, candidates: pools } : null;
+  }
   const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('sell', { zigUsd, pools });
   const pick = pickBySimulation(pools, 'sell', { fromIsZig: false, amountIn: amt });
   if (!pick) return null;
-  return { ...pick, amtUsed: amt };
+  return { ...pick, amtUsed: amt, candidates: pools };
+}
+
+/* ───────────────────────── split=1 ───────────────────────── */
+
+const SPLIT_MAX_ROUTES = parseInt(process.env.SWAP_SPLIT_MAX_ROUTES || '4', 10);
+
+/** spread a ZIG↔token order over all of the token's UZIG pools */
+function makePoolSplit(pools, { fromIsZig, amountIn }) {
+  const r = splitAcross(pools, amountIn, (p, a) =>
+    simulatePool(p, { fromIsZig, amountIn: a, fee: poolFee(p.adapter, p.pairType) })
+  );
+  if (!(r.amountOut > 0)) return null;
+  return {
+    amount_in: r.amountIn,
+    amount_out: r.amountOut,
+    price_native: fromIsZig ? r.amountIn / r.amountOut : r.amountOut / r.amountIn, // zig per token
+    price_impact: r.impact,
+    allocations: r.allocations.map(a => ({
+      poolId: a.candidate.poolId,
+      pairContract: a.candidate.pairContract,
+      pairType: a.candidate.pairType,
+      share: a.share,
+      amount_in: a.amountIn,
+      amount_out: a.amountOut,
+      price_impact: a.impact
+    }))
+  };
+}
+
+/** spread a token→token order over pool-disjoint graph paths */
+function makeRouteSplit(graph, { fromId, toId, amountIn, maxHops }) {
+  const routes = findDisjointRoutes(graph, { fromId, toId, amountIn, maxHops, k: SPLIT_MAX_ROUTES });
+  if (!routes.length) return null;
+  const r = splitAcross(routes, amountIn, (route, a) => simulatePath(route, a));
+  if (!(r.amountOut > 0)) return null;
+  return {
+    amount_in: r.amountIn,
+    amount_out: r.amountOut,
+    price_native: r.amountOut / r.amountIn, // B per A
+    price_impact: r.impact,
+    allocations: r.allocations.map(a => ({
+      route: a.candidate.hops.map(h => h.pool.poolId),
+      path: [
+        a.candidate.hops[0].sim.fromIsQuote ? a.candidate.hops[0].pool.quoteDenom : a.candidate.hops[0].pool.baseDenom,
+        ...a.candidate.hops.map(h => h.sim.fromIsQuote ? h.pool.baseDenom : h.pool.quoteDenom)
+      ],
+      share: a.share,
+      amount_in: a.amountIn,
+      amount_out: a.amountOut,
+      price_impact: a.impact
+    }))
+  };
+}
+
+/* ───────────────────────── at= (historical) ───────────────────────── */
+
+/** at= block height, unix seconds/ms or an ISO time → { height } | { ts } (null if unparseable) */
+function parseAt(v) {
+  const s = String(v).trim();
+  if (/^\d+$/.test(s)) {
+    const n = Number(s);
+    if (n < 1e9) return { height: n };
+    return { ts: new Date(n < 1e12 ? n * 1000 : n) };
+  }
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? { ts: new Date(t) } : null;
+}
+
+/** wall-clock time of an `at`, for the ZIG/USD rate in force then */
+async function atTime(at) {
+  if (at.ts) return at.ts;
+  const { rows } = await DB.query(
+    `SELECT block_time FROM block_hashes WHERE height <= $1 ORDER BY height DESC LIMIT 1`,
+    [at.height]
+  );
+  return rows[0]?.block_time || null;
+}
+
+/** replaces `quote` on historical responses: which snapshots were replayed */
+function makeHistoricalBlock(at, time, pools) {
+  return {
+    at: at.height != null ? { height: at.height } : { time: at.ts.toISOString() },
+    time: time ? new Date(time).toISOString() : null,
+    pools: pools.map(p => ({
+      poolId: p.poolId,
+      height: p.height ?? null,
+      time: p.updatedAt ? new Date(p.updatedAt).toISOString() : null
+    }))
+  };
+}
+
+/* ───────────────────────── quote freshness ───────────────────────── */
+
+/** quote block for a single-pool ZIG leg (pool = bestBuyPool/bestSellPool pick) */
+async function quoteDirect(pool, { fromIsZig, fromId, toId, slippageBps, live, exactOut = null }) {
+  const amountIn = pool.amtUsed;
+  const amountOut = pool.sim?.out || 0;
+  const recheck = live
+    ? await liveRecheck([pool], amountOut, (byId) =>
+        simulatePool(byId.get(pool.poolId), { fromIsZig, amountIn, fee: pool.fee })?.out ?? null)
+    : null;
+  return makeQuote({
+    fromId, toId, route: [pool.poolId], amountIn, amountOut, slippageBps,
+    snapshot: snapshotOf([pool]), live: recheck, exactOut
+  });
+}
+
+/** quote block for a graph route */
+async function quoteRoute(route, { fromId, toId, slippageBps, live, exactOut = null }) {
+  const pools = route.hops.map(h => h.pool);
+  const recheck = live
+    ? await liveRecheck(pools, route.amountOut, (byId) =>
+        simulatePath({ hops: route.hops.map(h => ({ ...h, pool: byId.get(h.pool.poolId) || h.pool })) }, route.amountIn)?.amountOut ?? null)
+    : null;
+  return makeQuote({
+    fromId, toId, route: pools.map(p => p.poolId), amountIn: route.amountIn, amountOut: route.amountOut,
+    slippageBps, snapshot: snapshotOf(pools), live: recheck, exactOut
+  });
+}
+
+/** amtOut=: what the requested output costs, and the most to allow in for the slippage */
+function makeExactOutBlock({ amountOut, amountIn, impact, slippageBps }) {
+  return {
+    amount_out: amountOut,
+    amount_in_required: amountIn,
+    max_amount_in: maxAmountIn(amountIn, slippageBps),
+    price_impact: impact,
+    slippage_bps: slippageBps
+  };
 }
 
 /* ─────────────────────────── route API ─────────────────────────── */
@@ -180,18 +389,34 @@ router.get('/', async (req, res) => {
     const toRef   = req.query.to;
     if (!fromRef || !toRef) return res.status(400).json({ success:false, error:'missing from/to' });
 
-    const zigUsd    = await getZigUsd();           // from exchange_rates
+    const at        = req.query.at != null ? parseAt(req.query.at) : null; // replay past reserves
+    if (req.query.at != null && !at) return res.status(400).json({ success:false, error:'at must be a height, unix time or ISO date' });
+    const atWhen    = at ? await atTime(at) : null;
+    const zigUsd    = await getZigUsd(atWhen);     // from exchange_rates
     const amt       = req.query.amt ? Number(req.query.amt) : undefined;
+    const amtOut    = req.query.amtOut ? Number(req.query.amtOut) : undefined; // exact-out mode
     const minTvlZig = req.query.minTvl ? Number(req.query.minTvl) : 0;
+    const split     = req.query.split === '1' || req.query.split === 'true';
+    const live      = req.query.live === '1' || req.query.live === 'true'; // re-read stale pools
+    const slippageBps = parseSlippageBps(req.query.slippageBps);
+    if (slippageBps == null) return res.status(400).json({ success:false, error:'slippageBps must be an integer in (0, 5000]' });
+    if (amt != null && amtOut != null) return res.status(400).json({ success:false, error:'pass either amt or amtOut, not both' });
+    if (amtOut != null && !(amtOut > 0)) return res.status(400).json({ success:false, error:'amtOut must be > 0' });
+    if (amtOut != null && split) return res.status(400).json({ success:false, error:'split is only supported with amt' });
 
     const from = await resolveRef(fromRef);
     const to   = await resolveRef(toRef);
     if (!from) return res.status(404).json({ success:false, error:'from token not found' });
     if (!to)   return res.status(404).json({ success:false, error:'to token not found' });
 
+    // quote ids carry token ids; uzig is a token row too
+    const uzigId = (from.type === 'uzig' || to.type === 'uzig')
+      ? String((await resolveTokenId('uzig'))?.token_id ?? 'uzig')
+      : null;
+
     /* ── ZIG → TOKEN (BUY) ─────────────────────────────────────── */
     if (from.type === 'uzig' && to.type === 'token') {
-      const buy = await bestBuyPool(to.token.token_id, { amountIn: amt, minTvlZig, zigUsd });
+      const buy = await bestBuyPool(to.token.token_id, { amountIn: amt, amountOut: amtOut, minTvlZig, zigUsd, at });
       if (!buy) {
         return res.json({ success:true, data:{
           route:['uzig', to.token.denom || to.token.symbol], pairs:[],
@@ -222,6 +447,13 @@ router.get('/', async (req, res) => {
           cross: { zig_per_from: 1, usd_per_from: zigUsd },
           usd_baseline: { from_usd, to_usd },// **UI should use these for $**
           source: 'direct_uzig',
+          ...(at
+            ? { historical: makeHistoricalBlock(at, atWhen, [buy]) }
+            : { quote: await quoteDirect(buy, {
+                fromIsZig: true, fromId: uzigId, toId: String(to.token.token_id), slippageBps, live, exactOut: amtOut ?? null
+              }) }),
+          ...(amtOut != null ? { exact_out: makeExactOutBlock({ amountOut: amtOut, amountIn: buy.amtUsed, impact: buy.sim.impact, slippageBps }) } : {}),
+          ...(split ? { split: makePoolSplit(buy.candidates, { fromIsZig: true, amountIn: buy.amtUsed }) } : {}),
           diagnostics: {
             side: 'buy',
             poolId: buy.poolId,
@@ -229,7 +461,7 @@ router.get('/', async (req, res) => {
             tvl_zig: buy.tvlZig,
             reserves: { zig: buy.zigReserve, token: buy.tokenReserve },
             sim: buy.sim || null,
-            params: { amt: amt ?? null, minTvlZig }
+            params: { amt: amt ?? null, amtOut: amtOut ?? null, minTvlZig, at: req.query.at ?? null }
           }
         }
       });
@@ -237,7 +469,7 @@ router.get('/', async (req, res) => {
 
     /* ── TOKEN → ZIG (SELL) ────────────────────────────────────── */
     if (from.type === 'token' && to.type === 'uzig') {
-      const sell = await bestSellPool(from.token.token_id, { amountIn: amt, minTvlZig, zigUsd });
+      const sell = await bestSellPool(from.token.token_id, { amountIn: amt, amountOut: amtOut, minTvlZig, zigUsd, at });
       if (!sell) {
         return res.json({ success:true, data:{
           route:[from.token.denom || from.token.symbol, 'uzig'], pairs:[],
@@ -267,6 +499,13 @@ router.get('/', async (req, res) => {
           cross: { zig_per_from: price_native, usd_per_from: from_usd },
           usd_baseline: { from_usd, to_usd },  // **UI should use these for $**
           source: 'direct_uzig',
+          ...(at
+            ? { historical: makeHistoricalBlock(at, atWhen, [sell]) }
+            : { quote: await quoteDirect(sell, {
+                fromIsZig: false, fromId: String(from.token.token_id), toId: uzigId, slippageBps, live, exactOut: amtOut ?? null
+              }) }),
+          ...(amtOut != null ? { exact_out: makeExactOutBlock({ amountOut: amtOut, amountIn: sell.amtUsed, impact: sell.sim.impact, slippageBps }) } : {}),
+          ...(split ? { split: makePoolSplit(sell.candidates, { fromIsZig: false, amountIn: sell.amtUsed }) } : {}),
           diagnostics: {
             side: 'sell',
             poolId: sell.poolId,
@@ -274,84 +513,77 @@ router.get('/', async (req, res) => {
             tvl_zig: sell.tvlZig,
             reserves: { zig: sell.zigReserve, token: sell.tokenReserve },
             sim: sell.sim || null,
-            params: { amt: amt ?? null, minTvlZig }
+            params: { amt: amt ?? null, amtOut: amtOut ?? null, minTvlZig, at: req.query.at ?? null }
           }
         }
       });
     }
 
-    /* ── TOKEN A → TOKEN B (via UZIG) ──────────────────────────── */
+    /* ── TOKEN A → TOKEN B ──────────────────────────────────────
+     * top-level fields are the best path over all pools (what quote,
+     * exact_out and split are built from); `via_uzig` keeps the legacy
+     * two-leg route (sell A for ZIG, buy B) for comparison.
+     */
     if (from.type === 'token' && to.type === 'token') {
-      const sellA = await bestSellPool(from.token.token_id, { amountIn: amt, minTvlZig, zigUsd });
-      const zigOut = sellA?.sim ? sellA.sim.out : undefined;
-      const buyB  = await bestBuyPool(to.token.token_id,   { amountIn: zigOut, minTvlZig, zigUsd });
-
-      if (!sellA || !buyB) {
-        return res.json({
-          success: true,
-          data: {
-            route: [
-              from.token.denom || from.token.symbol || String(from.token.token_id),
-              'uzig',
-              to.token.denom || to.token.symbol || String(to.token.token_id)
-            ],
-            pairs: [],
-            price_native: null,
-            price_usd: null,
-            cross: { zig_per_from: null, usd_per_from: null },
-            usd_baseline: { from_usd: null, to_usd: null },
-            source: 'via_uzig',
-            diagnostics: { sellA: !!sellA, buyB: !!buyB }
-          }
-        });
+      const maxHops = Math.min(Math.max(parseInt(req.query.maxHops || String(SWAP_MAX_HOPS), 10) || SWAP_MAX_HOPS, 1), 4);
+      const graph = await loadPoolGraph({ minTvlZig, at });
+      const fromId = String(from.token.token_id);
+      const toId = String(to.token.token_id);
+
+      const zigPerA = zigMidOf(graph, fromId);
+      const amtA = Number.isFinite(amt)
+        ? amt
+        : (100 / Math.max(zigUsd, 1e-9)) / Math.max(zigPerA || 1, 1e-12); // ~$100 of A
+
+      const best = amtOut != null
+        ? findBestRouteExactOut(graph, { fromId, toId, amountOut: amtOut, maxHops })
+        : findBestRoute(graph, { fromId, toId, amountIn: amtA, maxHops });
+
+      // via_uzig legs (exact-out: buy B first, then sell enough A for the ZIG it needs)
+      let sellA, buyB;
+      if (amtOut != null) {
+        buyB  = await bestBuyPool(to.token.token_id, { amountOut: amtOut, minTvlZig, zigUsd, at });
+        sellA = buyB ? await bestSellPool(from.token.token_id, { amountOut: buyB.amtUsed, minTvlZig, zigUsd, at }) : null;
+      } else {
+        sellA = await bestSellPool(from.token.token_id, { amountIn: amt, minTvlZig, zigUsd, at });
+        const zigOut = sellA?.sim ? sellA.sim.out : undefined;
+        buyB  = await bestBuyPool(to.token.token_id, { amountIn: zigOut, minTvlZig, zigUsd, at });
       }
 
-      const sellBlock = makePairBlock({
-        side:'sell', pool: sellA, sim: sellA.sim, fee: sellA.fee, zigUsd, amountIn: sellA.amtUsed
-      });
-      const buyBlock  = makePairBlock({
-        side:'buy',  pool: buyB,  sim: buyB.sim,  fee: buyB.fee,  zigUsd, amountIn: buyB.amtUsed
-      });
-
-      // Executable cross-rate (B per 1 A): (zig/A) / (zig/B)
-      const bPerA = sellA.priceInZig / Math.max(buyB.priceInZig, 1e-18);
-
-      // Baselines for $ labels
-      const from_usd = sellA.priceInZig * zigUsd; // mid(A)
-      const to_usd   = buyB.priceInZig  * zigUsd; // mid(B)
+      const params = { amt: amt ?? null, amtOut: amtOut ?? null, minTvlZig, at: req.query.at ?? null };
+      const graphPairs = best ? best.hops.map(h => makeHopBlock(h, { zigUsd })) : [];
+      const graphExtras = best ? {
+        ...(at
+          ? { historical: makeHistoricalBlock(at, atWhen, best.hops.map(h => h.pool)) }
+          : { quote: await quoteRoute(best, { fromId, toId, slippageBps, live, exactOut: amtOut ?? null }) }),
+        ...(amtOut != null ? { exact_out: makeExactOutBlock({ amountOut: amtOut, amountIn: best.amountIn, impact: best.impact, slippageBps }) } : {}),
+        ...(split ? { split: makeRouteSplit(graph, { fromId, toId, amountIn: amtA, maxHops }) } : {})
+      } : {};
+
+      // Baselines for $ labels: mids of each token's UZIG pool in the graph
+      const zigPerB = zigMidOf(graph, toId);
+      const from_usd = zigPerA != null ? zigPerA * zigUsd : null;
+      const to_usd   = zigPerB != null ? zigPerB * zigUsd : null;
 
       return res.json({
         success: true,
         data: {
-          route: [
-            from.token.denom || from.token.symbol || String(from.token.token_id),
-            'uzig',
-            to.token.denom || to.token.symbol || String(to.token.token_id)
-          ],
-          pairs: [ sellBlock, buyBlock ],          // exec + mid per leg (diagnostic)
-          price_native: bPerA,                     // B per A (exec snapshot)
+          route: best
+            ? [tokenLabel(from.token), ...best.hops.map(h => h.sim.fromIsQuote ? h.pool.baseDenom : h.pool.quoteDenom)]
+            : [tokenLabel(from.token), tokenLabel(to.token)],
+          pairs: graphPairs,                                          // one block per hop
+          price_native: best ? best.amountOut / best.amountIn : null, // B per A (exec, whole path)
           price_usd: null,
-          cross: { zig_per_from: sellA.priceInZig, usd_per_from: from_usd }, // exec sell-side rate
-          usd_baseline: { from_usd, to_usd },      // **UI should use these for $**
-          source: 'via_uzig',
-          diagnostics: {
-            sell_leg: {
-              side: 'sell',
-              poolId: sellA.poolId,
-              pairType: sellA.pairType,
-              tvl_zig: sellA.tvlZig,
-              reserves: { zig: sellA.zigReserve, token: sellA.tokenReserve },
-              sim: sellA.sim || null
-            },
-            buy_leg: {
-              side: 'buy',
-              poolId: buyB.poolId,
-              pairType: buyB.pairType,
-              tvl_zig: buyB.tvlZig,
-              reserves: { zig: buyB.zigReserve, token: buyB.tokenReserve },
-              sim: buyB.sim || null
-            }
-          }
+          amount_in: best ? best.amountIn : null,
+          amount_out: best ? best.amountOut : null,
+          price_impact: best ? best.impact : null,
+          hops: graphPairs.length,
+          cross: { zig_per_from: zigPerA, usd_per_from: from_usd },
+          usd_baseline: { from_usd, to_usd },                         // **UI should use these for $**
+          source: 'graph',
+          ...graphExtras,
+          via_uzig: makeViaUzigBlock({ from, to, sellA, buyB, zigUsd }),
+          diagnostics: { found: !!best, maxHops, params }
         }
       });
     }
@@ -363,4 +595,282 @@ router.get('/', async (req, res) => {
   }
 });
 
+/* ───────────────────────── POST /swap/build ───────────────────────── */
+
+const SENDER_RX = /^zig1[0-9a-z]{38,58}$/;
+
+/**
+ * display amount → raw integer string, floored. Shifts the decimal digits of
+ * the shortest round-trip form instead of multiplying by 10^exp in floats.
+ */
+function toRaw(x, exp) {
+  const n = Number(x);
+  if (!(n > 0) || !Number.isFinite(n)) return '0';
+  const [mant, e] = n.toExponential().split('e');
+  const digits = mant.replace('.', '');
+  const point = 1 + Number(e) + Number(exp); // digits before the decimal point
+  if (point <= 0) return '0';
+  const int = point >= digits.length ? digits + '0'.repeat(point - digits.length) : digits.slice(0, point);
+  return BigInt(int).toString();
+}
+/** cosmwasm Decimal string */
+const decStr = (x) => Number(x).toFixed(18).replace(/\.?0+$/, '');
+
+const hopOffer = (h) => h.sim.fromIsQuote
+  ? { denom: h.pool.quoteDenom, exp: h.pool.quoteExp }
+  : { denom: h.pool.baseDenom, exp: h.pool.baseExp };
+const hopAsk = (h) => h.sim.fromIsQuote
+  ? { denom: h.pool.baseDenom, exp: h.pool.baseExp }
+  : { denom: h.pool.quoteDenom, exp: h.pool.quoteExp };
+
+/** the caller's chosen pools (poolIds from a quote's pairs[]), re-simulated now */
+function routeFromPoolIds(graph, fromId, poolIds, amountIn) {
+  const byId = new Map(graph.pools.map(p => [p.poolId, p]));
+  const hops = [];
+  let tok = fromId;
+  for (const id of poolIds) {
+    const pool = byId.get(String(id));
+    if (!pool || (pool.baseId !== tok && pool.quoteId !== tok)) return null;
+    const toId = tok === pool.quoteId ? pool.baseId : pool.quoteId;
+    hops.push({ pool, fromId: tok, toId });
+    tok = toId;
+  }
+  return { tokenOut: tok, route: simulatePath({ hops }, amountIn) };
+}
+
+/** a bestBuyPool/bestSellPool pick (or a split share of one) → route leg, same shape as a graph path */
+function directLeg(pool, { fromIsZig, amountIn, sim }) {
+  if (!sim || !(sim.out > 0)) return null;
+  return {
+    amountIn,
+    amountOut: sim.out,
+    impact: sim.impact,
+    hops: [{ pool, sim: { ...sim, fromIsQuote: fromIsZig } }]
+  };
+}
+
+/** one route leg → unsigned MsgExecuteContract (direct pair, or router for multi-hop) */
+function legToMsg(leg, { sender, slippageBps }) {
+  const slippage = slippageBps / 10_000;
+  const first = leg.hops[0];
+  const last = leg.hops.at(-1);
+  const offer = hopOffer(first);
+  const ask = hopAsk(last);
+  const offerAmount = toRaw(leg.amountIn, offer.exp);
+  const expectedRaw = toRaw(leg.amountOut, ask.exp);
+  const minimumReceive = (BigInt(expectedRaw) * BigInt(10_000 - slippageBps) / 10_000n).toString();
+  const adapter = getAdapter(first.pool.adapter);
+
+  let msg;
+  if (leg.hops.length === 1) {
+    msg = adapter.buildSwapMsg({
+      sender,
+      pairContract: first.pool.pairContract,
+      offerDenom: offer.denom,
+      offerAmount,
+      beliefPrice: decStr(Number(offerAmount) / Math.max(Number(expectedRaw), 1e-18)), // offer per ask, as quoted
+      maxSpread: decStr(slippage)
+    });
+  } else {
+    if (leg.hops.some(h => (h.pool.adapter || null) !== (first.pool.adapter || null))) {
+      return { error: 'route spans DEXes without a shared router' };
+    }
+    const router = first.pool.router || process.env.ROUTER_ADDR || null;
+    if (!router) return { error: 'no router contract configured for this DEX' };
+    msg = adapter.buildRouterMsg({
+      sender,
+      router,
+      hops: leg.hops.map(h => ({ offerDenom: hopOffer(h).denom, askDenom: hopAsk(h).denom })),
+      offerAmount,
+      minimumReceive,
+      maxSpread: decStr(slippage)
+    });
+  }
+
+  return {
+    msg,
+    leg: {
+      route: leg.hops.map(h => h.pool.poolId),
+      path: [offer.denom, ...leg.hops.map(h => hopAsk(h).denom)],
+      amount_in: leg.amountIn,
+      expected_out: leg.amountOut,
+      min_receive: Number(minimumReceive) / Math.pow(10, ask.exp),
+      offer_amount_base: offerAmount,
+      min_receive_base: minimumReceive,
+      price_impact: leg.impact
+    }
+  };
+}
+
+/**
+ * POST /swap/build
+ * { from, to, amount, sender, slippageBps?=50, route?:[poolId...], split?, maxHops?, minTvl? }
+ * or { quoteId, sender, slippageBps? } to build exactly a quote returned by GET /swap.
+ * → unsigned MsgExecuteContract(s) matching the GET /swap quote for the same inputs.
+ */
+router.post('/build', async (req, res) => {
+  try {
+    let quoted = null;
+    if (req.body?.quoteId) {
+      const v = verifyQuote(req.body.quoteId);
+      if (!v.ok) return res.status(v.disabled ? 503 : 400).json({ success:false, error: v.error });
+      if (isExpired(v.payload)) return res.status(410).json({ success:false, error:'quote expired' });
+      quoted = v.payload;
+    }
+    const body = quoted
+      ? { ...req.body, from: quoted.f, to: quoted.t, amount: quoted.a, route: quoted.r, slippageBps: req.body.slippageBps ?? quoted.bps }
+      : (req.body || {});
+
+    const { from: fromRef, to: toRef, sender } = body;
+    const amount = Number(body.amount);
+    const slippageBps = parseSlippageBps(body.slippageBps);
+    const minTvlZig = body.minTvl ? Number(body.minTvl) : 0;
+    const split = body.split === true || body.split === '1' || body.split === 1;
+
+    if (!fromRef || !toRef) return res.status(400).json({ success:false, error:'missing from/to' });
+    if (!(amount > 0)) return res.status(400).json({ success:false, error:'amount must be > 0' });
+    if (!SENDER_RX.test(String(sender || ''))) return res.status(400).json({ success:false, error:'invalid sender address' });
+    if (slippageBps == null) return res.status(400).json({ success:false, error:'slippageBps must be an integer in (0, 5000]' });
+
+    const from = await resolveRef(fromRef);
+    const to   = await resolveRef(toRef);
+    if (!from) return res.status(404).json({ success:false, error:'from token not found' });
+    if (!to)   return res.status(404).json({ success:false, error:'to token not found' });
+
+    const uzig = (from.type === 'uzig' || to.type === 'uzig') ? await resolveTokenId('uzig') : null;
+    if ((from.type === 'uzig' || to.type === 'uzig') && !uzig) return res.status(404).json({ success:false, error:'uzig token not indexed' });
+    const fromId = String(from.type === 'uzig' ? uzig.token_id : from.token.token_id);
+    const toId   = String(to.type === 'uzig' ? uzig.token_id : to.token.token_id);
+    if (fromId === toId) return res.status(400).json({ success:false, error:'from and to are the same token' });
+
+    // same selectors as GET /swap: UZIG pools picked by simulation for ZIG legs, graph paths token→token
+    const zigLeg = from.type === 'uzig' || to.type === 'uzig';
+    const fromIsZig = from.type === 'uzig';
+    const maxHops = Math.min(Math.max(parseInt(body.maxHops || String(SWAP_MAX_HOPS), 10) || SWAP_MAX_HOPS, 1), 4);
+    const tokenId = fromIsZig ? to.token.token_id : (zigLeg ? from.token.token_id : null);
+    const pools = zigLeg ? await loadUzigPoolsForToken(tokenId, { minTvlZig }) : null;
+    const directPool = zigLeg && Array.isArray(body.route) && body.route.length === 1
+      ? pools.find(p => p.poolId === String(body.route[0]))
+      : null;
+
+    let legs;
+    if (directPool) {
+      const fee = poolFee(directPool.adapter, directPool.pairType);
+      const leg = directLeg({ ...directPool, fee }, { fromIsZig, amountIn: amount, sim: simulatePool(directPool, { fromIsZig, amountIn: amount, fee }) });
+      if (!leg) return res.status(422).json({ success:false, error:'route cannot fill this amount' });
+      legs = [leg];
+    } else if (Array.isArray(body.route) && body.route.length) {
+      const graph = await loadPoolGraph({ minTvlZig });
+      const r = routeFromPoolIds(graph, fromId, body.route, amount);
+      if (!r || r.tokenOut !== toId) return res.status(400).json({ success:false, error:'route does not connect from → to' });
+      if (!r.route) return res.status(422).json({ success:false, error:'route cannot fill this amount' });
+      legs = [r.route];
+    } else if (zigLeg && split) {
+      const fee = (p) => poolFee(p.adapter, p.pairType);
+      legs = splitAcross(pools, amount, (p, a) => simulatePool(p, { fromIsZig, amountIn: a, fee: fee(p) }))
+        .allocations.map(a => directLeg({ ...a.candidate, fee: fee(a.candidate) }, {
+          fromIsZig, amountIn: a.amountIn, sim: simulatePool(a.candidate, { fromIsZig, amountIn: a.amountIn, fee: fee(a.candidate) })
+        }))
+        .filter(Boolean);
+    } else if (zigLeg) {
+      const pick = pools.length ? pickBySimulation(pools, fromIsZig ? 'buy' : 'sell', { fromIsZig, amountIn: amount }) : null;
+      const leg = pick ? directLeg(pick, { fromIsZig, amountIn: amount, sim: pick.sim }) : null;
+      legs = leg ? [leg] : [];
+    } else if (split) {
+      const graph = await loadPoolGraph({ minTvlZig });
+      const routes = findDisjointRoutes(graph, { fromId, toId, amountIn: amount, maxHops, k: SPLIT_MAX_ROUTES });
+      legs = splitAcross(routes, amount, (route, a) => simulatePath(route, a))
+        .allocations.map(a => simulatePath(a.candidate, a.amountIn))
+        .filter(Boolean);
+    } else {
+      const graph = await loadPoolGraph({ minTvlZig });
+      const best = findBestRoute(graph, { fromId, toId, amountIn: amount, maxHops });
+      legs = best ? [best] : [];
+    }
+    if (!legs.length) return res.status(404).json({ success:false, error:'no route found' });
+    if (quoted && legs[0].amountOut < quoted.m) {
+      return res.status(409).json({ success:false, error:'pool state moved below the quote\'s min_received', data:{ min_received: quoted.m, expected_out: legs[0].amountOut } });
+    }
+
+    const built = legs.map(l => legToMsg(l, { sender, slippageBps }));
+    const bad = built.find(b => b.error);
+    if (bad) return res.status(422).json({ success:false, error: bad.error });
+
+    const expectedOut = built.reduce((a, b) => a + b.leg.expected_out, 0);
+    const minReceive = built.reduce((a, b) => a + b.leg.min_receive, 0);
+    res.json({
+      success: true,
+      data: {
+        msgs: built.map(b => b.msg),
+        legs: built.map(b => b.leg),
+        amount_in: amount,
+        expected_out: expectedOut,
+        min_receive: minReceive,
+        slippage_bps: slippageBps,
+        sender,
+        quote_id: req.body.quoteId || null
+      }
+    });
+  } catch (e) {
+    console.error('[swap/build] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/**
+ * GET /swap/quote/:id — re-validate a quote id from GET /swap
+ * re-simulates the quoted route on current pool state (?live=1 re-reads stale pools)
+ */
+router.get('/quote/:id', async (req, res) => {
+  try {
+    const v = verifyQuote(req.params.id);
+    if (!v.ok) return res.status(v.disabled ? 503 : 400).json({ success:false, error: v.error });
+    const q = v.payload;
+    const live = req.query.live === '1' || req.query.live === 'true';
+
+    const graph = await loadPoolGraph();
+    const r = routeFromPoolIds(graph, q.f, q.r, q.a);
+    const route = r && r.tokenOut === String(q.t) ? r.route : null;
+    const pools = route ? route.hops.map(h => h.pool) : [];
+    const recheck = route && live
+      ? await liveRecheck(pools, route.amountOut, (byId) =>
+          simulatePath({ hops: route.hops.map(h => ({ ...h, pool: byId.get(h.pool.poolId) || h.pool })) }, q.a)?.amountOut ?? null)
+      : null;
+    const amountNow = recheck?.checked && recheck.amount_out != null ? recheck.amount_out : (route?.amountOut ?? null);
+    const expired = isExpired(q);
+    const meetsMin = amountNow != null && amountNow >= q.m;
+    // exact-out quotes: what the target costs now vs the quoted max input
+    const inNow = route && q.xo != null ? (simulatePathExactOut(route, q.xo)?.amountIn ?? null) : null;
+    const meetsMax = q.xo != null ? inNow != null && inNow <= q.mx : null;
+
+    res.json({
+      success: true,
+      data: {
+        valid: !expired && (q.xo != null ? meetsMax : meetsMin),
+        expired,
+        expires_at: new Date(q.exp * 1000).toISOString(),
+        route: q.r,
+        amount_in: q.a,
+        amount_out_quoted: q.o,
+        amount_out_now: amountNow,
+        min_received: q.m,
+        slippage_bps: q.bps,
+        meets_min: meetsMin,
+        drift_bps: amountNow != null && q.o > 0 ? Math.round((amountNow / q.o - 1) * 10_000) : null,
+        quoted_height: q.h ?? null,
+        snapshot: route ? snapshotOf(pools) : null,
+        live: recheck,
+        // what the slippage tolerance would guarantee if re-quoted now
+        min_received_now: amountNow != null ? minReceived(amountNow, q.bps) : null,
+        ...(q.xo != null ? {
+          exact_out: { amount_out: q.xo, max_amount_in: q.mx, amount_in_required_now: inNow, meets_max: meetsMax }
+        } : {})
+      }
+    });
+  } catch (e) {
+    console.error('[swap/quote] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
 export default router;
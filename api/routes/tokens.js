@@ -4,6 +4,7 @@ import { DB } from '../../lib/db.js';
 import { resolveTokenId, getZigUsd } from '../util/resolve-token.js';
 import { resolvePoolSelection, changePctForMinutes } from '../util/pool-select.js';
 import { getCandles, ensureTf } from '../util/ohlcv-agg.js';
+import { labelsFor } from '../../core/labels.js';
 import e from 'express';
 import log from '../../lib/log.js';
 
@@ -120,7 +121,12 @@ router.get('/swap-list', async (req, res) => {
         SELECT p.base_token_id AS token_id,
                SUM(pm.vol_buy_zig + pm.vol_sell_zig) AS vol_zig,
                SUM(pm.tx_buy + pm.tx_sell) AS tx,
-               SUM(pm.tvl_zig) AS tvl_zig  
+               SUM(pm.tvl_zig) AS tvl_zig,
+               SUM(pm.fees_zig) AS fees_zig,
+               /* TVL-weighted across the token's pools */
+               SUM(pm.fee_apr * pm.tvl_zig) / NULLIF(SUM(pm.tvl_zig) FILTER (WHERE pm.fee_apr IS NOT NULL), 0) AS apr,
+               SUM(pm.apr_7d  * pm.tvl_zig) / NULLIF(SUM(pm.tvl_zig) FILTER (WHERE pm.apr_7d  IS NOT NULL), 0) AS apr_7d,
+               SUM(pm.apr_30d * pm.tvl_zig) / NULLIF(SUM(pm.tvl_zig) FILTER (WHERE pm.apr_30d IS NOT NULL), 0) AS apr_30d
         FROM pool_matrix pm
         JOIN pools p ON p.pool_id=pm.pool_id
         WHERE pm.bucket=$1
@@ -128,7 +134,7 @@ router.get('/swap-list', async (req, res) => {
       )
       SELECT t.token_id, t.symbol, t.name, t.denom, t.image_uri, t.exponent,
              tm.price_in_zig, tm.mcap_zig, tm.fdv_zig,
-             a.vol_zig, a.tx, a.tvl_zig
+             a.vol_zig, a.tx, a.tvl_zig, a.fees_zig, a.apr, a.apr_7d, a.apr_30d
       FROM tokens t
       LEFT JOIN token_matrix tm ON tm.token_id=t.token_id AND tm.bucket=$1
       LEFT JOIN agg a ON a.token_id=t.token_id
@@ -142,6 +148,7 @@ router.get('/swap-list', async (req, res) => {
       const fdvN   = toNum(r.fdv_zig);
       const volN   = toNum(r.vol_zig) || 0;
       const tvlN   = toNum(r.tvl_zig) || 0;
+      const feesN  = toNum(r.fees_zig) || 0;
       return {
         tokenId: r.token_id,
         symbol: r.symbol,
@@ -159,6 +166,11 @@ router.get('/swap-list', async (req, res) => {
         volUsd: volN * zigUsd,
         tvlNative: tvlN,
         tvlUsd: tvlN * zigUsd,
+        feesNative: feesN,
+        feesUsd: feesN * zigUsd,
+        apr: toNum(r.apr),
+        apr7d: toNum(r.apr_7d),
+        apr30d: toNum(r.apr_30d),
         tx: toNum(r.tx) || 0,
       };
     });
@@ -413,6 +425,7 @@ router.get('/:id/pools', async (req, res) => {
         COALESCE(pm.vol_buy_zig,0) + COALESCE(pm.vol_sell_zig,0) AS vol_zig,
         COALESCE(pm.tx_buy,0) + COALESCE(pm.tx_sell,0) AS tx,
         COALESCE(pm.unique_traders,0) AS unique_traders,
+        pm.fee_rate, pm.fees_zig, pm.fee_apr, pm.apr_7d, pm.apr_30d,
         pr.price_in_zig
       FROM pools p
       JOIN tokens b ON b.token_id=p.base_token_id
@@ -430,6 +443,7 @@ router.get('/:id/pools', async (req, res) => {
       const priceN = r.is_uzig_quote ? toNum(r.price_in_zig) : null;
       const tvlN   = toNum(r.tvl_zig) || 0;
       const volN   = toNum(r.vol_zig) || 0;
+      const feesN  = toNum(r.fees_zig);
       const mcapN  = includeCaps && priceN != null && circ != null ? priceN * circ : null;
       const fdvN   = includeCaps && priceN != null && max  != null ? priceN * max  : null;
       return {
@@ -444,6 +458,11 @@ router.get('/:id/pools', async (req, res) => {
         volumeNative: volN, volumeUsd: volN * zigUsd,
         tx: toNum(r.tx) || 0,
         uniqueTraders: toNum(r.unique_traders) || 0,
+        fee: toNum(r.fee_rate),
+        feesNative: feesN, feesUsd: feesN != null ? feesN * zigUsd : null,
+        apr: toNum(r.fee_apr),
+        apr7d: toNum(r.apr_7d),
+        apr30d: toNum(r.apr_30d),
         ...(includeCaps ? {
           mcapNative: mcapN, mcapUsd: mcapN != null ? mcapN * zigUsd : null,
           fdvNative: fdvN,   fdvUsd:  fdvN  != null ? fdvN  * zigUsd : null
@@ -487,6 +506,7 @@ router.get('/:id/holders', async (req, res) => {
       ORDER BY bal DESC
       LIMIT $2 OFFSET $3
     `, [tok.token_id, limit, offset]);
+    const labels = await labelsFor(rows.map(r => r.address));
 
     const top10 = rows.slice(0, 10).reduce((a, r) => a + Number(r.bal), 0);
     const pctTop10Max = maxBase > 0 ? (top10 / maxBase) * 100 : null;
@@ -495,7 +515,7 @@ router.get('/:id/holders', async (req, res) => {
       const balDisp = Number(r.bal) / (10 ** exp);
       const pctMax  = maxBase > 0 ? (Number(r.bal) / maxBase) * 100 : null;
       const pctTot  = totBase > 0 ? (Number(r.bal) / totBase) * 100 : null;
-      return { address: r.address, balance: balDisp, pctOfMax: pctMax, pctOfTotal: pctTot };
+      return { address: r.address, labels: labels.get(r.address) || [], balance: balDisp, pctOfMax: pctMax, pctOfTotal: pctTot };
     });
 
     res.json({ success: true, data: holders, meta: { limit, offset, totalHolders: total, top10PctOfMax: pctTop10Max } });
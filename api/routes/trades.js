@@ -2,6 +2,7 @@
 import express from 'express';
 import { DB } from '../../lib/db.js';
 import { getZigUsd, resolveTokenId } from '../util/resolve-token.js';
+import { labelsFor } from '../../core/labels.js';
 
 const router = express.Router();
 
@@ -168,7 +169,7 @@ function buildTradesQuery({
 }
 
 /** shape a trade row + compute value + per-trade price (ZIG per BASE) */
-function shapeRow(r, unit, zigUsd) {
+function shapeRow(r, unit, zigUsd, labels = new Map()) {
   // scaled legs for response
   const offerScaled = scale(
     r.offer_amount_base,
@@ -256,6 +257,7 @@ function shapeRow(r, unit, zigUsd) {
     txHash: r.tx_hash,
     pairContract: r.pair_contract,
     signer: r.signer,
+    signerLabels: labels.get(r.signer) || [],
     direction: r.direction,
 
     offerDenom: r.offer_asset_denom,
@@ -311,7 +313,8 @@ router.get('/', async (req, res) => {
     });
 
     const { rows } = await DB.query(sql, params);
-    let data = rows.map(r => shapeRow(r, unit, zigUsd));
+    const labels = await labelsFor(rows.map(r => r.signer));
+    let data = rows.map(r => shapeRow(r, unit, zigUsd, labels));
 
     const klass = String(req.query.class || '').toLowerCase();
     if (klass) data = data.filter(x => x.class === klass);
@@ -347,7 +350,8 @@ router.get('/token/:id', async (req, res) => {
     });
 
     const { rows } = await DB.query(sql, params);
-    let data = rows.map(r => shapeRow(r, unit, zigUsd));
+    const labels = await labelsFor(rows.map(r => r.signer));
+    let data = rows.map(r => shapeRow(r, unit, zigUsd, labels));
 
     const klass = String(req.query.class || '').toLowerCase();
     if (klass) data = data.filter(x => x.class === klass);
@@ -388,7 +392,8 @@ router.get('/pool/:ref', async (req, res) => {
     });
 
     const { rows } = await DB.query(sql, params);
-    let data = rows.map(r => shapeRow(r, unit, zigUsd));
+    const labels = await labelsFor(rows.map(r => r.signer));
+    let data = rows.map(r => shapeRow(r, unit, zigUsd, labels));
 
     const klass = String(req.query.class || '').toLowerCase();
     if (klass) data = data.filter(x => x.class === klass);
@@ -484,7 +489,8 @@ router.get('/wallet/:address', async (req, res) => {
     `;
 
     const { rows } = await DB.query(sql, params);
-    const data = rows.map(r => shapeRow(r, unit, zigUsd));
+    const labels = await labelsFor(rows.map(r => r.signer));
+    const data = rows.map(r => shapeRow(r, unit, zigUsd, labels));
     const total = rows[0]?.total ? Number(rows[0].total) : data.length;
 
     res.json({ success:true, data, meta:{ unit, tf:req.query.tf || '24h', limit, offset, total } });
@@ -512,11 +518,13 @@ router.get('/large', async (req, res) => {
       ORDER BY lt.tx_hash, lt.pool_id, lt.direction, lt.created_at DESC
       LIMIT 2000
     `, [bucket]);
+    const labels = await labelsFor(rows.map(r => r.signer));
 
     let data = rows.map(r => ({
       pairContract: r.pair_contract,
       txHash: r.tx_hash,
       signer: r.signer,
+      signerLabels: labels.get(r.signer) || [],
       direction: r.direction,
       valueNative: Number(r.value_zig),
       valueUsd: Number(r.value_zig) * zigUsd,
@@ -613,7 +621,8 @@ router.get('/recent', async (req, res) => {
     `;
 
     const { rows } = await DB.query(sql, params);
-    let data = rows.map(r => shapeRow(r, unit, zigUsd));
+    const labels = await labelsFor(rows.map(r => r.signer));
+    let data = rows.map(r => shapeRow(r, unit, zigUsd, labels));
 
     if (minV != null) data = data.filter(x => (unit === 'usd' ? x.valueUsd : x.valueNative) >= minV);
     if (maxV != null) data = data.filter(x => (unit === 'usd' ? x.valueUsd : x.valueNative) <= maxV);
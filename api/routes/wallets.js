@@ -0,0 +1,614 @@
+// api/routes/wallets.js
+import express from 'express';
+import { DB } from '../../lib/db.js';
+import { getZigUsd } from '../util/resolve-token.js';
+import { LP_SHARE_EXP } from '../../core/lp.js';
+import { PNL_METHODS } from '../../core/pnl.js';
+import { dailyTokenCloses, reconstructPortfolioHistory } from '../../core/portfolio.js';
+import { TF_MAP, ensureTf } from '../util/ohlcv-agg.js';
+
+const router = express.Router();
+const toNum = x => (x == null ? null : Number(x));
+const disp = (base, exp) => (base == null ? null : Number(base) / (10 ** (exp || 0)));
+
+const MAX_POINTS = 5000;
+// days of history rebuilt on demand ahead of the first snapshot
+const HISTORY_BACKFILL_DAYS = 365;
+const ADDRESS_RX = /^zig1[0-9a-z]{38,58}$/;
+
+/** ZIG per 1 token for each quote token id (1 for uzig), from latest UZIG-pool prices */
+async function zigPerTokens(tokenIds) {
+  const out = new Map();
+  if (!tokenIds.length) return out;
+  const { rows } = await DB.query(`
+    SELECT DISTINCT ON (t.token_id) t.token_id, pr.price_in_zig, t.denom
+    FROM tokens t
+    LEFT JOIN prices pr ON pr.token_id = t.token_id
+    LEFT JOIN pools p   ON p.pool_id = pr.pool_id AND p.is_uzig_quote = TRUE
+    WHERE t.token_id = ANY($1)
+    ORDER BY t.token_id, (p.pool_id IS NOT NULL) DESC, pr.updated_at DESC NULLS LAST
+  `, [tokenIds]);
+  for (const r of rows) {
+    out.set(String(r.token_id), r.denom === 'uzig' ? 1 : toNum(r.price_in_zig));
+  }
+  return out;
+}
+
+/* =======================================================================
+   GET /wallets/:address
+   one-call wallet page: labels, portfolio, activity, trade classes, favourite
+   tokens, win rate and swap volume per timeframe
+   ======================================================================= */
+router.get('/:address', async (req, res) => {
+  try {
+    const address = String(req.params.address || '').trim();
+    if (!ADDRESS_RX.test(address)) return res.status(400).json({ success:false, error:'invalid address' });
+    const topN = Math.max(1, Math.min(parseInt(req.query.top || '10', 10), 50));
+
+    // quote leg of a swap in ZIG (latest price for non-UZIG quotes, as in leaderboards)
+    const QUOTE_ZIG = `
+      (CASE WHEN t.direction = 'buy' THEN t.offer_amount_base ELSE t.return_amount_base END)::NUMERIC
+        / power(10::numeric, COALESCE(q.exponent,6))
+        * CASE WHEN p.is_uzig_quote THEN 1 ELSE COALESCE(qp.price_in_zig, 0) END`;
+    const QUOTE_PRICE = `
+      LEFT JOIN LATERAL (
+        SELECT pr.price_in_zig FROM prices pr
+        JOIN pools pp ON pp.pool_id = pr.pool_id AND pp.is_uzig_quote = TRUE
+        WHERE pr.token_id = p.quote_token_id
+        ORDER BY pr.updated_at DESC LIMIT 1
+      ) qp ON NOT p.is_uzig_quote`;
+
+    const [portfolio, holdings, activity, favourites, pnl, labels, zigUsd] = await Promise.all([
+      DB.query(`
+        SELECT total_value_zig, total_value_usd, total_tokens, last_updated
+        FROM wallet_portfolios WHERE address = $1
+      `, [address]),
+      DB.query(`
+        SELECT w.token_id, w.value_zig, w.value_usd, w.updated_at,
+               t.symbol, t.denom, t.image_uri, COALESCE(t.exponent,6) AS exp, h.balance_base
+        FROM wallet_portfolio_tokens w
+        JOIN tokens t ON t.token_id = w.token_id
+        LEFT JOIN holders h ON h.token_id = w.token_id AND h.address = w.address
+        WHERE w.address = $1 AND w.value_zig > 0
+        ORDER BY w.value_zig DESC
+        LIMIT $2
+      `, [address, topN]),
+      DB.query(`
+        SELECT
+          MIN(t.created_at) AS first_seen,
+          MAX(t.created_at) AS last_seen,
+          MIN(t.height) AS first_height,
+          MAX(t.height) AS last_height,
+          COUNT(*) FILTER (WHERE t.action = 'swap') AS swaps,
+          COUNT(*) FILTER (WHERE t.action = 'swap' AND t.direction = 'buy')  AS buys,
+          COUNT(*) FILTER (WHERE t.action = 'swap' AND t.direction = 'sell') AS sells,
+          COUNT(*) FILTER (WHERE t.action = 'provide')  AS provides,
+          COUNT(*) FILTER (WHERE t.action = 'withdraw') AS withdraws,
+          COUNT(*) FILTER (WHERE t.action = 'swap' AND t.class = 'shrimp') AS shrimp,
+          COUNT(*) FILTER (WHERE t.action = 'swap' AND t.class = 'shark')  AS shark,
+          COUNT(*) FILTER (WHERE t.action = 'swap' AND t.class = 'whale')  AS whale,
+          COUNT(DISTINCT t.pool_id) FILTER (WHERE t.action = 'swap') AS pools,
+          COALESCE(SUM(${QUOTE_ZIG}) FILTER (WHERE t.action = 'swap' AND t.created_at >= now() - INTERVAL '24 hours'), 0) AS vol_24h,
+          COALESCE(SUM(${QUOTE_ZIG}) FILTER (WHERE t.action = 'swap' AND t.created_at >= now() - INTERVAL '7 days'), 0)   AS vol_7d,
+          COALESCE(SUM(${QUOTE_ZIG}) FILTER (WHERE t.action = 'swap' AND t.created_at >= now() - INTERVAL '30 days'), 0)  AS vol_30d,
+          COALESCE(SUM(${QUOTE_ZIG}) FILTER (WHERE t.action = 'swap'), 0) AS vol_all,
+          COUNT(*) FILTER (WHERE t.action = 'swap' AND t.created_at >= now() - INTERVAL '24 hours') AS tx_24h,
+          COUNT(*) FILTER (WHERE t.action = 'swap' AND t.created_at >= now() - INTERVAL '7 days')   AS tx_7d,
+          COUNT(*) FILTER (WHERE t.action = 'swap' AND t.created_at >= now() - INTERVAL '30 days')  AS tx_30d
+        FROM trades t
+        JOIN pools p  ON p.pool_id = t.pool_id
+        JOIN tokens q ON q.token_id = p.quote_token_id
+        ${QUOTE_PRICE}
+        WHERE t.signer = $1 AND t.action IN ('swap','provide','withdraw')
+      `, [address]),
+      DB.query(`
+        SELECT p.base_token_id AS token_id, b.symbol, b.denom, b.image_uri,
+               COUNT(*) AS trades,
+               COUNT(*) FILTER (WHERE t.direction = 'buy')  AS buys,
+               COUNT(*) FILTER (WHERE t.direction = 'sell') AS sells,
+               COALESCE(SUM(${QUOTE_ZIG}), 0) AS vol_zig,
+               MAX(t.created_at) AS last_at
+        FROM trades t
+        JOIN pools p  ON p.pool_id = t.pool_id
+        JOIN tokens b ON b.token_id = p.base_token_id
+        JOIN tokens q ON q.token_id = p.quote_token_id
+        ${QUOTE_PRICE}
+        WHERE t.signer = $1 AND t.action = 'swap'
+        GROUP BY p.base_token_id, b.symbol, b.denom, b.image_uri
+        ORDER BY vol_zig DESC, trades DESC
+        LIMIT $2
+      `, [address, topN]),
+      // closed-out results per token (FIFO): a win is a token sold for more than it cost
+      DB.query(`
+        SELECT COUNT(*) FILTER (WHERE sells > 0 AND realized_zig > 0)  AS wins,
+               COUNT(*) FILTER (WHERE sells > 0 AND realized_zig <= 0) AS losses,
+               COALESCE(SUM(realized_zig), 0) AS realized_zig,
+               COUNT(*) FILTER (WHERE qty > 0) AS open_positions
+        FROM wallet_pnl_positions
+        WHERE address = $1 AND method = 'fifo'
+      `, [address]),
+      DB.query(`
+        SELECT label, source, note, meta
+        FROM wallet_labels
+        WHERE address = $1 AND NOT is_hidden
+        ORDER BY source DESC, label
+      `, [address]),
+      getZigUsd()
+    ]);
+
+    const a = activity.rows[0] || {};
+    const pf = portfolio.rows[0] || null;
+    const w = pnl.rows[0] || {};
+    const wins = Number(w.wins || 0), losses = Number(w.losses || 0);
+    const vol = (k) => ({ volumeNative: Number(a[`vol_${k}`] || 0), volumeUsd: Number(a[`vol_${k}`] || 0) * zigUsd });
+
+    if (!pf && !a.first_seen && !labels.rows.length) return res.status(404).json({ success:false, error:'wallet not found' });
+
+    res.json({
+      success: true,
+      data: {
+        address,
+        labels: labels.rows.map(r => ({ label: r.label, source: r.source, note: r.note ?? null, meta: r.meta ?? null })),
+        portfolio: {
+          valueNative: toNum(pf?.total_value_zig) ?? 0,
+          valueUsd: toNum(pf?.total_value_usd) ?? 0,
+          tokens: toNum(pf?.total_tokens) ?? 0,
+          updatedAt: pf?.last_updated || null,
+          holdings: holdings.rows.map(r => ({
+            tokenId: r.token_id,
+            symbol: r.symbol,
+            denom: r.denom,
+            imageUri: r.image_uri,
+            balance: disp(r.balance_base, Number(r.exp)),
+            valueNative: toNum(r.value_zig),
+            valueUsd: toNum(r.value_usd),
+            updatedAt: r.updated_at
+          }))
+        },
+        activity: {
+          firstSeen: a.first_seen || null,
+          lastSeen: a.last_seen || null,
+          firstHeight: toNum(a.first_height),
+          lastHeight: toNum(a.last_height),
+          swaps: Number(a.swaps || 0),
+          buys: Number(a.buys || 0),
+          sells: Number(a.sells || 0),
+          provides: Number(a.provides || 0),
+          withdraws: Number(a.withdraws || 0),
+          pools: Number(a.pools || 0),
+          byClass: { shrimp: Number(a.shrimp || 0), shark: Number(a.shark || 0), whale: Number(a.whale || 0) }
+        },
+        volume: {
+          '24h': { ...vol('24h'), tx: Number(a.tx_24h || 0) },
+          '7d': { ...vol('7d'), tx: Number(a.tx_7d || 0) },
+          '30d': { ...vol('30d'), tx: Number(a.tx_30d || 0) },
+          all: { ...vol('all'), tx: Number(a.swaps || 0) }
+        },
+        favouriteTokens: favourites.rows.map(r => ({
+          tokenId: r.token_id,
+          symbol: r.symbol,
+          denom: r.denom,
+          imageUri: r.image_uri,
+          trades: Number(r.trades),
+          buys: Number(r.buys),
+          sells: Number(r.sells),
+          volumeNative: Number(r.vol_zig),
+          volumeUsd: Number(r.vol_zig) * zigUsd,
+          lastTradeAt: r.last_at
+        })),
+        performance: {
+          wins,
+          losses,
+          winRate: wins + losses > 0 ? wins / (wins + losses) : null,
+          realizedPnlNative: Number(w.realized_zig || 0),
+          realizedPnlUsd: Number(w.realized_zig || 0) * zigUsd,
+          openPositions: Number(w.open_positions || 0),
+          method: 'fifo'
+        }
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/* =======================================================================
+   GET /wallets/:address/lp?includeClosed=1
+   LP positions valued from current pool_state, with cost basis and IL vs holding.
+   Pool share uses the LP denom's on-chain supply, or the indexed one until it is known.
+   ======================================================================= */
+router.get('/:address/lp', async (req, res) => {
+  try {
+    const address = String(req.params.address || '').trim();
+    if (!ADDRESS_RX.test(address)) return res.status(400).json({ success:false, error:'invalid address' });
+    const includeClosed = req.query.includeClosed === '1';
+
+    const { rows } = await DB.query(`
+      WITH mine AS (
+        SELECT * FROM lp_positions WHERE owner = $1 AND ($2 OR share_base > 0)
+      ),
+      supply AS (
+        -- indexed LP supply (every wallet's share in the same pools), until the chain's is read
+        SELECT lp.pool_id, SUM(lp.share_base) AS total_share
+        FROM lp_positions lp
+        WHERE lp.pool_id IN (SELECT pool_id FROM mine)
+        GROUP BY lp.pool_id
+      )
+      SELECT m.*, s.total_share,
+             p.pair_contract, p.pair_type, p.is_uzig_quote, p.lp_token_denom, p.lp_supply_base, p.lp_price_zig,
+             p.base_token_id, b.symbol AS base_symbol, b.denom AS base_denom, COALESCE(b.exponent,6) AS base_exp,
+             p.quote_token_id, q.symbol AS quote_symbol, q.denom AS quote_denom, COALESCE(q.exponent,6) AS quote_exp,
+             ps.reserve_base_base, ps.reserve_quote_base, ps.updated_at AS reserves_at
+      FROM mine m
+      JOIN supply s  ON s.pool_id = m.pool_id
+      JOIN pools p   ON p.pool_id = m.pool_id
+      JOIN tokens b  ON b.token_id = p.base_token_id
+      JOIN tokens q  ON q.token_id = p.quote_token_id
+      LEFT JOIN pool_state ps ON ps.pool_id = m.pool_id
+      ORDER BY m.share_base DESC, m.pool_id
+    `, [address, includeClosed]);
+
+    const [zigUsd, zq] = await Promise.all([
+      getZigUsd(),
+      zigPerTokens([...new Set(rows.map(r => r.quote_token_id))])
+    ]);
+
+    const totals = { valueNative: 0, costNative: 0, realizedNative: 0, ilNative: 0 };
+    const data = rows.map(r => {
+      const share = Number(r.share_base);
+      const onChain = Number(r.lp_supply_base) > 0;
+      const total = onChain ? Number(r.lp_supply_base) : Number(r.total_share);
+      const frac = total > 0 ? share / total : 0;
+      const resBase = disp(r.reserve_base_base, Number(r.base_exp)) || 0;
+      const resQuote = disp(r.reserve_quote_base, Number(r.quote_exp)) || 0;
+      const mid = resBase > 0 ? resQuote / resBase : null;
+
+      const underBase = frac * resBase;
+      const underQuote = frac * resQuote;
+      const valueQ = mid != null ? underBase * mid + underQuote : null;
+      // the same deposits, had they stayed in the wallet
+      const hodlQ = mid != null ? Number(r.deposited_base) * mid + Number(r.deposited_quote) : null;
+      const costQ = Number(r.cost_quote);
+      const realizedQ = Number(r.realized_quote);
+
+      const z = zq.get(String(r.quote_token_id)) ?? null;
+      const native = (v) => (v != null && z != null ? v * z : null);
+      const usd = (v) => (native(v) != null ? native(v) * zigUsd : null);
+
+      const valueN = native(valueQ);
+      const ilQ = valueQ != null && hodlQ != null ? valueQ - hodlQ : null;
+      if (valueN != null) totals.valueNative += valueN;
+      totals.costNative += native(costQ) || 0;
+      totals.realizedNative += native(realizedQ) || 0;
+      totals.ilNative += native(ilQ) || 0;
+
+      return {
+        poolId: r.pool_id,
+        pairContract: r.pair_contract,
+        pairType: r.pair_type,
+        lpTokenDenom: r.lp_token_denom || null,
+        lpPriceNative: toNum(r.lp_price_zig),
+        lpPriceUsd: r.lp_price_zig != null ? Number(r.lp_price_zig) * zigUsd : null,
+        base: { tokenId: r.base_token_id, symbol: r.base_symbol, denom: r.base_denom },
+        quote: { tokenId: r.quote_token_id, symbol: r.quote_symbol, denom: r.quote_denom },
+        shareBase: r.share_base,
+        shares: disp(r.share_base, LP_SHARE_EXP),
+        poolShare: frac,
+        supplySource: onChain ? 'chain' : 'indexed',
+        underlying: { base: underBase, quote: underQuote },
+        deposited: { base: Number(r.deposited_base), quote: Number(r.deposited_quote) },
+        valueQuote: valueQ,
+        valueNative: valueN,
+        valueUsd: usd(valueQ),
+        costBasisQuote: costQ,
+        costBasisNative: native(costQ),
+        costBasisUsd: usd(costQ),
+        unrealizedPnlNative: valueN != null && native(costQ) != null ? valueN - native(costQ) : null,
+        realizedPnlNative: native(realizedQ),
+        unmatchedWithdrawnNative: native(Number(r.unmatched_quote || 0)),
+        hodlValueNative: native(hodlQ),
+        impermanentLossNative: native(ilQ),
+        impermanentLossPct: valueQ != null && hodlQ > 0 ? (valueQ / hodlQ - 1) * 100 : null,
+        provides: r.provides,
+        withdraws: r.withdraws,
+        unmatchedWithdraws: r.unmatched_withdraws,
+        openedAt: r.opened_at,
+        firstHeight: toNum(r.first_height),
+        lastHeight: toNum(r.last_height),
+        reservesAt: r.reserves_at
+      };
+    });
+
+    res.json({
+      success: true,
+      data,
+      summary: {
+        positions: data.filter(d => Number(d.shareBase) > 0).length,
+        valueNative: totals.valueNative,
+        valueUsd: totals.valueNative * zigUsd,
+        costBasisNative: totals.costNative,
+        unrealizedPnlNative: totals.valueNative - totals.costNative,
+        realizedPnlNative: totals.realizedNative,
+        impermanentLossNative: totals.ilNative,
+        impermanentLossUsd: totals.ilNative * zigUsd
+      },
+      meta: { address, includeClosed: includeClosed ? 1 : 0 }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/* =======================================================================
+   GET /wallets/:address/pnl?method=fifo|avg&days=30&includeClosed=1
+   realized / unrealized PnL per token (ZIG value at execution) and a daily series
+   ======================================================================= */
+router.get('/:address/pnl', async (req, res) => {
+  try {
+    const address = String(req.params.address || '').trim();
+    if (!ADDRESS_RX.test(address)) return res.status(400).json({ success:false, error:'invalid address' });
+    const method = String(req.query.method || 'fifo').toLowerCase();
+    if (!PNL_METHODS.includes(method)) return res.status(400).json({ success:false, error:`method must be ${PNL_METHODS.join('|')}` });
+    const days = Math.max(1, Math.min(parseInt(req.query.days || '30', 10) || 30, 365));
+    const includeClosed = req.query.includeClosed !== '0';
+
+    const fromDay = new Date(Date.now() - (days - 1) * 86400_000).toISOString().slice(0, 10);
+
+    const [pos, daily, seed] = await Promise.all([
+      DB.query(`
+        SELECT w.*, t.symbol, t.denom, t.image_uri
+        FROM wallet_pnl_positions w
+        JOIN tokens t ON t.token_id = w.token_id
+        WHERE w.address = $1 AND w.method = $2
+        ORDER BY w.last_trade_at DESC NULLS LAST
+      `, [address, method]),
+      DB.query(`
+        SELECT token_id, to_char(day, 'YYYY-MM-DD') AS day, realized_zig, buy_value_zig, sell_value_zig,
+               trades, qty_eod, cost_eod
+        FROM wallet_pnl_daily
+        WHERE address = $1 AND method = $2 AND day >= $3::date
+        ORDER BY day
+      `, [address, method, fromDay]),
+      // position and realized total going into the window
+      DB.query(`
+        SELECT DISTINCT ON (token_id) token_id, qty_eod, cost_eod,
+               SUM(realized_zig) OVER (PARTITION BY token_id) AS realized_before
+        FROM wallet_pnl_daily
+        WHERE address = $1 AND method = $2 AND day < $3::date
+        ORDER BY token_id, day DESC
+      `, [address, method, fromDay])
+    ]);
+
+    const tokenIds = [...new Set([...pos.rows, ...daily.rows, ...seed.rows].map(r => String(r.token_id)))];
+    const [zigUsd, px, closes] = await Promise.all([getZigUsd(), zigPerTokens(tokenIds), dailyTokenCloses(tokenIds, fromDay)]);
+
+    const totals = { realized: 0, unrealized: 0, cost: 0, value: 0 };
+    const tokens = [];
+    for (const r of pos.rows) {
+      const qty = Number(r.qty), cost = Number(r.cost_zig), realized = Number(r.realized_zig);
+      const price = px.get(String(r.token_id)) ?? null;
+      const value = price != null ? qty * price : null;
+      const unrealized = value != null ? value - cost : null;
+      totals.realized += realized;
+      totals.unrealized += unrealized || 0;
+      totals.cost += cost;
+      totals.value += value || 0;
+      if (!includeClosed && !(qty > 0)) continue;
+      tokens.push({
+        tokenId: r.token_id,
+        symbol: r.symbol,
+        denom: r.denom,
+        imageUri: r.image_uri,
+        qty,
+        avgCostNative: qty > 0 ? cost / qty : null,
+        costBasisNative: cost,
+        priceNative: price,
+        valueNative: value,
+        valueUsd: value != null ? value * zigUsd : null,
+        realizedPnlNative: realized,
+        realizedPnlUsd: realized * zigUsd,
+        unrealizedPnlNative: unrealized,
+        unrealizedPnlUsd: unrealized != null ? unrealized * zigUsd : null,
+        totalPnlNative: realized + (unrealized || 0),
+        roiPct: Number(r.buy_value_zig) > 0 ? ((realized + (unrealized || 0)) / Number(r.buy_value_zig)) * 100 : null,
+        bought: { qty: Number(r.bought_qty), valueNative: Number(r.buy_value_zig), trades: r.buys },
+        sold: { qty: Number(r.sold_qty), valueNative: Number(r.sell_value_zig), trades: r.sells },
+        unmatchedQty: Number(r.unmatched_qty),
+        lastTradeAt: r.last_trade_at
+      });
+    }
+
+    // daily series: realized per day, unrealized on each day's close, carried forward
+    const held = new Map();     // token_id → { qty, cost }
+    let cumRealized = 0;
+    for (const r of seed.rows) {
+      held.set(String(r.token_id), { qty: Number(r.qty_eod), cost: Number(r.cost_eod) });
+      cumRealized += Number(r.realized_before);
+    }
+    const byDay = new Map();
+    for (const r of daily.rows) {
+      if (!byDay.has(r.day)) byDay.set(r.day, []);
+      byDay.get(r.day).push(r);
+    }
+    const lastClose = new Map();
+    const series = [];
+    for (let t = new Date(`${fromDay}T00:00:00Z`).getTime(); t <= Date.now(); t += 86400_000) {
+      const day = new Date(t).toISOString().slice(0, 10);
+      let realized = 0, bought = 0, sold = 0, trades = 0;
+      for (const r of byDay.get(day) || []) {
+        realized += Number(r.realized_zig);
+        bought += Number(r.buy_value_zig);
+        sold += Number(r.sell_value_zig);
+        trades += Number(r.trades);
+        held.set(String(r.token_id), { qty: Number(r.qty_eod), cost: Number(r.cost_eod) });
+      }
+      cumRealized += realized;
+      let unrealized = 0;
+      for (const [tokenId, h] of held) {
+        const c = closes.get(tokenId)?.get(day);
+        if (c != null) lastClose.set(tokenId, c);
+        const close = lastClose.get(tokenId) ?? null;
+        if (close != null && h.qty > 0) unrealized += h.qty * close - h.cost;
+      }
+      series.push({
+        day,
+        realizedPnlNative: realized,
+        cumulativeRealizedNative: cumRealized,
+        unrealizedPnlNative: unrealized,
+        totalPnlNative: cumRealized + unrealized,
+        totalPnlUsd: (cumRealized + unrealized) * zigUsd,
+        boughtNative: bought,
+        soldNative: sold,
+        trades
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          tokens: pos.rows.length,
+          openPositions: pos.rows.filter(r => Number(r.qty) > 0).length,
+          costBasisNative: totals.cost,
+          valueNative: totals.value,
+          valueUsd: totals.value * zigUsd,
+          realizedPnlNative: totals.realized,
+          realizedPnlUsd: totals.realized * zigUsd,
+          unrealizedPnlNative: totals.unrealized,
+          unrealizedPnlUsd: totals.unrealized * zigUsd,
+          totalPnlNative: totals.realized + totals.unrealized,
+          totalPnlUsd: (totals.realized + totals.unrealized) * zigUsd
+        },
+        tokens,
+        daily: series
+      },
+      meta: { address, method, days, includeClosed: includeClosed ? 1 : 0 }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/* =======================================================================
+   GET /wallets/:address/portfolio/history?tf=1d&from=&to=&fill=prev|none
+   total ZIG / USD value over time: hourly snapshots, plus end-of-day values
+   reconstructed from holders + ohlcv_1m before the first snapshot (computed
+   per request, never stored)
+   ======================================================================= */
+router.get('/:address/portfolio/history', async (req, res) => {
+  try {
+    const address = String(req.params.address || '').trim();
+    if (!ADDRESS_RX.test(address)) return res.status(400).json({ success:false, error:'invalid address' });
+
+    const tf = ensureTf(req.query.tf || '1d');
+    const stepSec = TF_MAP[tf];
+    const fill = (req.query.fill || 'prev').toLowerCase();   // prev|none
+
+    const toD = req.query.to ? new Date(req.query.to) : new Date();
+    const fromD = req.query.from ? new Date(req.query.from) : new Date(toD.getTime() - 90 * stepSec * 1000);
+    if (isNaN(toD) || isNaN(fromD)) return res.status(400).json({ success:false, error:'from/to must be dates' });
+    const toIso = toD.toISOString();
+    const fromIso = fromD.toISOString();
+    if ((new Date(toIso) - new Date(fromIso)) / 1000 / stepSec > MAX_POINTS) {
+      return res.status(400).json({ success:false, error:`window too large for tf=${tf} (max ${MAX_POINTS} points)` });
+    }
+
+    // completed days before the first snapshot, from the day before the window (fill=prev seed)
+    const { rows: [first] } = await DB.query(
+      `SELECT MIN(ts) AS ts FROM wallet_portfolio_history WHERE address = $1`, [address]
+    );
+    const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+    const yesterday = dayOf(Date.now() - 86400_000);
+    const floorDay = dayOf(Date.now() - HISTORY_BACKFILL_DAYS * 86400_000);
+    const seedDay = dayOf(fromD.getTime() - 86400_000);
+    const wantFrom = seedDay > floorDay ? seedDay : floorDay;
+    const haveFrom = first?.ts ? dayOf(new Date(first.ts).getTime() - 86400_000) : yesterday;
+    const lastDay = [haveFrom, yesterday, dayOf(toD.getTime())].sort()[0];
+    const recon = wantFrom <= lastDay ? await reconstructPortfolioHistory(address, wantFrom, lastDay) : [];
+
+    const [{ rows: stored }, { rows: storedSeed }, { rows: [latest] }] = await Promise.all([
+      DB.query(`
+        SELECT DISTINCT ON (bucket_ts)
+               bucket_ts AS ts, total_value_zig, total_value_usd, total_tokens, 'snapshot' AS source
+        FROM (
+          SELECT *, to_timestamp(floor(extract(epoch from ts)/$4)*$4) AS bucket_ts
+          FROM wallet_portfolio_history
+          WHERE address = $1 AND ts >= $2::timestamptz AND ts < $3::timestamptz
+        ) w
+        ORDER BY bucket_ts, ts DESC
+      `, [address, fromIso, toIso, stepSec]),
+      // last value before the window, so fill=prev starts from a real value
+      DB.query(`
+        SELECT total_value_zig, total_value_usd, total_tokens, 'snapshot' AS source
+        FROM wallet_portfolio_history
+        WHERE address = $1 AND ts < $2::timestamptz
+        ORDER BY ts DESC
+        LIMIT 1
+      `, [address, fromIso]),
+      DB.query(`
+        SELECT total_value_zig, total_value_usd, total_tokens, last_updated
+        FROM wallet_portfolios WHERE address = $1
+      `, [address])
+    ]);
+
+    // stored snapshots all come after the reconstructed days, so they win any shared bucket
+    const bucketOf = (ts) => Math.floor(new Date(ts).getTime() / 1000 / stepSec) * stepSec;
+    const byBucket = new Map();
+    for (const r of recon) {
+      const t = Date.parse(r.ts);
+      if (t >= fromD.getTime() && t < toD.getTime()) byBucket.set(bucketOf(t), { ...r, ts: new Date(bucketOf(t) * 1000) });
+    }
+    for (const r of stored) byBucket.set(bucketOf(r.ts), r);
+    const rows = [...byBucket.entries()].sort((a, b) => a[0] - b[0]).map(([, r]) => r);
+    const seedRows = storedSeed.length ? storedSeed : recon.filter(r => Date.parse(r.ts) < fromD.getTime()).slice(-1);
+
+    const point = (ts, r) => ({
+      ts: new Date(ts).toISOString(),
+      valueNative: toNum(r.total_value_zig),
+      valueUsd: toNum(r.total_value_usd),
+      tokens: toNum(r.total_tokens),
+      source: r.source
+    });
+
+    let data;
+    if (fill === 'prev') {
+      const byTs = new Map(rows.map(r => [Math.floor(new Date(r.ts).getTime() / 1000), r]));
+      const start = Math.floor(new Date(fromIso).getTime() / 1000 / stepSec) * stepSec;
+      const end = new Date(toIso).getTime() / 1000;
+      let last = seedRows[0] || null;
+      data = [];
+      for (let t = start; t < end; t += stepSec) {
+        const r = byTs.get(t);
+        if (r) last = r;
+        if (last) data.push(point(t * 1000, last));
+      }
+    } else {
+      data = rows.map(r => point(r.ts, r));
+    }
+
+    const firstVal = data.find(d => d.valueNative != null)?.valueNative ?? null;
+    const lastVal = data.length ? data[data.length - 1].valueNative : null;
+    res.json({
+      success: true,
+      data,
+      meta: {
+        address,
+        tf,
+        from: fromIso,
+        to: toIso,
+        fill,
+        current: latest ? {
+          valueNative: toNum(latest.total_value_zig),
+          valueUsd: toNum(latest.total_value_usd),
+          tokens: toNum(latest.total_tokens),
+          updatedAt: latest.last_updated
+        } : null,
+        changePct: firstVal > 0 && lastVal != null ? ((lastVal - firstVal) / firstVal) * 100 : null
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+export default router;
@@ -9,6 +9,11 @@ import tradesRouter from './routes/trades.js';
 import swapRouter from './routes/swap.js';
 import watchlistRouter from './routes/watchlist.js';
 import alertsRouter from './routes/alerts.js';
+import indexerRouter from './routes/indexer.js';
+import poolsRouter from './routes/pools.js';
+import walletsRouter from './routes/wallets.js';
+import followsRouter from './routes/follows.js';
+import adminRouter from './routes/admin.js';
 import { startWS } from './ws.js';
 
 const app = express();
@@ -23,6 +28,11 @@ app.use('/trades', tradesRouter);
 app.use('/swap', swapRouter);
 app.use('/watchlist', watchlistRouter);
 app.use('/alerts', alertsRouter);
+app.use('/indexer', indexerRouter);
+app.use('/pools', poolsRouter);
+app.use('/wallets', walletsRouter);
+app.use('/follows', followsRouter);
+app.use('/admin', adminRouter);
 
 // IMPORTANT: create a raw HTTP server and attach WS to it
 const PORT = parseInt(process.env.API_PORT || '8003', 10);
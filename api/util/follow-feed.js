@@ -0,0 +1,91 @@
+// api/util/follow-feed.js — copy-trading signals: a followed wallet's swap with size, price and running position
+import { DB } from '../../lib/db.js';
+
+const scale = (base, exp) => (base == null ? null : Number(base) / 10 ** (exp == null ? 6 : Number(exp)));
+
+/**
+ * base-token position of the signer right before and after each trade, from
+ * the signer's swap history in that token (height, msg order). Tokens that
+ * arrived by transfer are not seen, so the running qty is floored at 0.
+ * @returns {Promise<Map<string,{before:number,after:number}>>} keyed by trade_id
+ */
+export async function runningPositions(rows) {
+  const out = new Map();
+  const ids = [...new Set(rows.filter(r => r.direction === 'buy' || r.direction === 'sell').map(r => String(r.trade_id)))];
+  if (!ids.length) return out;
+  const { rows: pos } = await DB.query(`
+    SELECT t.trade_id,
+           COALESCE(b.exponent, 6) AS bexp,
+           (SELECT COALESCE(SUM(CASE WHEN x.direction = 'buy' THEN x.return_amount_base ELSE -x.offer_amount_base END), 0)
+              FROM trades x
+              JOIN pools px ON px.pool_id = x.pool_id
+             WHERE x.signer = t.signer AND px.base_token_id = p.base_token_id
+               AND x.action = 'swap' AND x.direction IN ('buy','sell')
+               AND (x.height, COALESCE(x.msg_index,0), x.trade_id) <= (t.height, COALESCE(t.msg_index,0), t.trade_id)
+           ) AS after_base
+    FROM trades t
+    JOIN pools p  ON p.pool_id = t.pool_id
+    JOIN tokens b ON b.token_id = p.base_token_id
+    WHERE t.trade_id = ANY($1::bigint[])
+  `, [ids]);
+  const byId = new Map(rows.map(r => [String(r.trade_id), r]));
+  for (const p of pos) {
+    const r = byId.get(String(p.trade_id));
+    const after = scale(p.after_base, p.bexp);
+    const delta = r.direction === 'buy' ? scale(r.return_amount_base, p.bexp) : -scale(r.offer_amount_base, p.bexp);
+    out.set(String(p.trade_id), { before: Math.max(0, after - delta), after: Math.max(0, after) });
+  }
+  return out;
+}
+
+/**
+ * row needs trades.* plus pair_contract, is_uzig_quote, base_token_id,
+ * base_symbol, base_denom, base_image, bexp, qexp, quote_denom, pq_price_in_zig
+ */
+export function shapeSignal(r, zigUsd, positions = new Map(), labels = new Map()) {
+  const buy = r.direction === 'buy';
+  const baseAmt = buy ? scale(r.return_amount_base, r.bexp) : scale(r.offer_amount_base, r.bexp);
+  const quoteAmt = buy ? scale(r.offer_amount_base, r.qexp) : scale(r.return_amount_base, r.qexp);
+  const qPrice = r.is_uzig_quote ? 1 : (r.pq_price_in_zig != null ? Number(r.pq_price_in_zig) : null);
+  const valueNative = quoteAmt != null && qPrice != null ? quoteAmt * qPrice : null;
+  const priceNative = valueNative != null && baseAmt > 0 ? valueNative / baseAmt : null;
+  const pos = positions.get(String(r.trade_id)) || null;
+
+  return {
+    tradeId: r.trade_id != null ? String(r.trade_id) : null,
+    time: r.created_at,
+    height: r.height != null ? Number(r.height) : null,
+    txHash: r.tx_hash,
+    wallet: r.signer,
+    walletLabels: labels.get(r.signer) || [],
+    direction: r.direction,
+    pairContract: r.pair_contract,
+    token: { tokenId: r.base_token_id, symbol: r.base_symbol, denom: r.base_denom, imageUri: r.base_image ?? null },
+    size: {
+      amount: baseAmt,
+      quoteAmount: quoteAmt,
+      quoteDenom: r.quote_denom ?? null,
+      valueNative,
+      valueUsd: valueNative != null ? valueNative * zigUsd : null
+    },
+    priceNative,
+    priceUsd: priceNative != null ? priceNative * zigUsd : null,
+    position: pos ? {
+      before: pos.before,
+      after: pos.after,
+      changePct: pos.before > 0 ? ((pos.after - pos.before) / pos.before) * 100 : null,
+      opened: buy && pos.before <= 0,
+      closed: !buy && pos.after <= 0
+    } : null
+  };
+}
+
+/** minimum-size filter: { minValueNative?, minValueUsd? } */
+export function passesMin(signal, f) {
+  if (!f) return true;
+  if (f.minValueNative != null && !(signal.size.valueNative >= f.minValueNative)) return false;
+  if (f.minValueUsd != null && !(signal.size.valueUsd >= f.minValueUsd)) return false;
+  return true;
+}
+
+export default { runningPositions, shapeSignal, passesMin };
@@ -1,5 +1,6 @@
 // api/util/prices.js
 import { DB } from '../../lib/db.js';
+import { DEFAULT_ADAPTER } from '../../core/dex/index.js';
 
 /** best native price for a token (UZIG-quoted pools preferred) */
 export async function getBestNativePriceForToken(tokenId) {
@@ -31,3 +32,81 @@ export async function listTokenPoolsWithMetrics(tokenId, bucket = '24h') {
   `, [tokenId, bucket]);
   return rows;
 }
+
+const POOL_SORTS = {
+  tvl:     'COALESCE(tvl_zig,0)',
+  volume:  'COALESCE(vol_zig,0)',
+  apr:     'COALESCE(apr,0)',
+  apr7d:   'COALESCE(apr_7d,0)',
+  apr30d:  'COALESCE(apr_30d,0)',
+  tx:      'COALESCE(tx,0)',
+  created: 'created_at'
+};
+
+/**
+ * All pools with last metrics, filtered/sorted/paginated (same shape as
+ * listTokenPoolsWithMetrics() plus tokens, DEX, fee and fee yield).
+ * Fees and APRs come from pool_matrix (jobs/matrix-rollups.js).
+ * @returns {Promise<{ rows:Array, total:number }>}
+ */
+export async function listPoolsWithMetrics({
+  bucket = '24h', dexRef = null, pairType = null, quoteTokenId = null, baseTokenId = null,
+  q = null, sort = 'tvl', dir = 'desc', limit = 50, offset = 0
+} = {}) {
+  const args = [bucket, DEFAULT_ADAPTER];
+  const where = [];
+  const arg = (v) => { args.push(v); return `$${args.length}`; };
+
+  if (dexRef != null) {
+    const a = arg(String(dexRef));
+    where.push(`(d.dex_id::text = ${a} OR lower(d.dex_name) = lower(${a}) OR COALESCE(d.adapter, $2) = ${a})`);
+  }
+  if (pairType) where.push(`p.pair_type ILIKE ${arg(`%${pairType}%`)}`);
+  if (quoteTokenId != null) where.push(`p.quote_token_id = ${arg(quoteTokenId)}`);
+  if (baseTokenId != null) where.push(`p.base_token_id = ${arg(baseTokenId)}`);
+  if (q) {
+    // contract/denom prefix, either symbol, or "BASE/QUOTE"
+    const [l, r] = String(q).split(/[\/\-]/).map(x => x.trim());
+    const exact = arg(String(q).trim());
+    const like = arg(`${String(q).trim()}%`);
+    const parts = [
+      `p.pair_contract = ${exact}`, `p.pair_contract ILIKE ${like}`,
+      `b.symbol ILIKE ${like}`, `qt.symbol ILIKE ${like}`, `b.denom ILIKE ${like}`
+    ];
+    if (l && r) parts.push(`(b.symbol ILIKE ${arg(l)} AND qt.symbol ILIKE ${arg(r)})`);
+    where.push(`(${parts.join(' OR ')})`);
+  }
+
+  const order = POOL_SORTS[sort] || POOL_SORTS.tvl;
+  const direction = String(dir).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+  args.push(limit, offset);
+
+  const { rows } = await DB.query(`
+    WITH base AS (
+      SELECT
+        p.pool_id, p.pair_contract, p.pair_type, p.is_uzig_quote, p.created_at,
+        p.created_height, p.created_tx_hash, p.signer, p.lp_token_denom, p.lp_price_zig,
+        p.base_token_id, b.symbol AS base_symbol, b.denom AS base_denom, b.exponent AS base_exp, b.image_uri AS base_image,
+        p.quote_token_id, qt.symbol AS quote_symbol, qt.denom AS quote_denom, qt.exponent AS quote_exp,
+        d.dex_id, d.dex_name, COALESCE(d.adapter, $2) AS adapter,
+        pm.tvl_zig, pm.reserve_base_disp, pm.reserve_quote_disp,
+        COALESCE(pm.vol_buy_zig,0) + COALESCE(pm.vol_sell_zig,0) AS vol_zig,
+        COALESCE(pm.tx_buy,0) + COALESCE(pm.tx_sell,0) AS tx,
+        pm.unique_traders,
+        pm.fee_rate AS fee, pm.fees_zig, pm.fee_apr AS apr,
+        pm.fees_7d_zig, pm.fees_30d_zig, pm.apr_7d, pm.apr_30d
+      FROM pools p
+      JOIN tokens b  ON b.token_id  = p.base_token_id
+      JOIN tokens qt ON qt.token_id = p.quote_token_id
+      LEFT JOIN dex_catalogue d ON d.dex_id = p.dex_id
+      LEFT JOIN pool_matrix pm  ON pm.pool_id = p.pool_id AND pm.bucket = $1
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    )
+    SELECT *, COUNT(*) OVER() AS total
+    FROM base
+    ORDER BY ${order} ${direction} NULLS LAST, pool_id DESC
+    LIMIT $${args.length - 1} OFFSET $${args.length}
+  `, args);
+
+  return { rows, total: Number(rows[0]?.total ?? 0) };
+}
@@ -0,0 +1,21 @@
+// api/util/resolve-pool.js
+import { DB } from '../../lib/db.js';
+
+/** pool by id or pair contract, with both tokens' display metadata */
+export async function resolvePoolRef(ref) {
+  const { rows } = await DB.query(`
+    SELECT
+      p.pool_id, p.pair_contract, p.pair_type, p.is_uzig_quote, p.created_at,
+      p.base_token_id, p.quote_token_id,
+      b.symbol AS base_symbol, b.denom AS base_denom, COALESCE(b.exponent,6) AS base_exp,
+      q.symbol AS quote_symbol, q.denom AS quote_denom, COALESCE(q.exponent,6) AS quote_exp
+    FROM pools p
+    JOIN tokens b ON b.token_id = p.base_token_id
+    JOIN tokens q ON q.token_id = p.quote_token_id
+    WHERE p.pool_id::text = $1 OR p.pair_contract = $1
+    LIMIT 1
+  `, [String(ref)]);
+  return rows[0] || null;
+}
+
+export default { resolvePoolRef };
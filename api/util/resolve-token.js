@@ -21,9 +21,10 @@ export async function resolveTokenId(idOrSymbolOrDenom) {
   return rows[0] || null;
 }
 
-export async function getZigUsd() {
-  const { rows } = await DB.query(
-    `SELECT zig_usd FROM exchange_rates ORDER BY ts DESC LIMIT 1`
-  );
+/** latest ZIG/USD, or the rate in force at `at` (a Date) */
+export async function getZigUsd(at = null) {
+  const { rows } = at
+    ? await DB.query(`SELECT zig_usd FROM exchange_rates WHERE ts <= $1 ORDER BY ts DESC LIMIT 1`, [at])
+    : await DB.query(`SELECT zig_usd FROM exchange_rates ORDER BY ts DESC LIMIT 1`);
   return rows[0]?.zig_usd ? Number(rows[0].zig_usd) : 0;
 }
@@ -0,0 +1,278 @@
+// api/util/swap-graph.js
+//
+// Token graph over every indexed pool (UZIG and non-UZIG quotes) and a
+// best-output path search for /swap. Pools are edges; each hop is simulated
+// on the pool's own curve with the amount coming out of the previous hop.
+import { DB } from '../../lib/db.js';
+import TTLCache from '../../lib/cache.js';
+import { poolFee } from '../../core/dex/index.js';
+import { isConcentrated, loadClStates, clSpotPrice } from '../../core/cl.js';
+import { isStable, fetchAmp } from '../../core/stableswap.js';
+import { simulatePool, simulatePoolExactOut } from './swap-sim.js';
+import { loadReservesAt } from '../../core/pool_state.js';
+
+const GRAPH_TTL_MS = parseInt(process.env.SWAP_GRAPH_TTL_MS || '5000', 10);
+// keep the search bounded: only the deepest pools per token are expanded
+const MAX_EDGES_PER_TOKEN = parseInt(process.env.SWAP_MAX_EDGES_PER_TOKEN || '12', 10);
+export const SWAP_MAX_HOPS = parseInt(process.env.SWAP_MAX_HOPS || '3', 10);
+
+const graphCache = new TTLCache({ max: 4, ttlMs: GRAPH_TTL_MS });
+
+/**
+ * All pools with live reserves, as edges keyed by token id.
+ * Pools use the swap-sim field names (zigReserve = quote side, tokenReserve = base side).
+ */
+export async function loadPoolGraph({ minTvlZig = 0, at = null } = {}) {
+  let all = graphCache.get('all');
+  if (!all) {
+    const { rows } = await DB.query(`
+      SELECT
+        p.pool_id, p.pair_contract, p.pair_type, p.amp, p.is_uzig_quote,
+        d.adapter, d.router_contract,
+        p.base_token_id, p.quote_token_id,
+        tb.denom AS base_denom, tq.denom AS quote_denom,
+        tb.symbol AS base_symbol, tq.symbol AS quote_symbol,
+        COALESCE(tb.exponent,6) AS base_exp,
+        COALESCE(tq.exponent,6) AS quote_exp,
+        ps.reserve_base_base, ps.reserve_quote_base, ps.height, ps.updated_at,
+        COALESCE(pm.tvl_zig,0) AS tvl_zig
+      FROM pools p
+      JOIN pool_state ps       ON ps.pool_id = p.pool_id
+      JOIN tokens tb           ON tb.token_id = p.base_token_id
+      JOIN tokens tq           ON tq.token_id = p.quote_token_id
+      LEFT JOIN pool_matrix pm ON pm.pool_id = p.pool_id AND pm.bucket = '24h'
+      LEFT JOIN dex_catalogue d ON d.dex_id = p.dex_id
+      WHERE ps.reserve_base_base > 0 AND ps.reserve_quote_base > 0
+    `);
+
+    const clStates = await loadClStates(rows.filter(r => isConcentrated(r.pair_type)).map(r => r.pool_id));
+    await Promise.all(rows.filter(r => isStable(r.pair_type) && r.amp == null).map(async (r) => {
+      r.amp = await fetchAmp(r.pair_contract, r.adapter).catch(() => null);
+    }));
+
+    all = rows.map(r => {
+      const baseExp = Number(r.base_exp), quoteExp = Number(r.quote_exp);
+      const tokenReserve = Number(r.reserve_base_base) / Math.pow(10, baseExp);
+      const zigReserve = Number(r.reserve_quote_base) / Math.pow(10, quoteExp);
+      const cl = clStates.get(String(r.pool_id)) || null;
+      return {
+        poolId:       String(r.pool_id),
+        pairContract: r.pair_contract,
+        pairType:     r.pair_type,
+        adapter:      r.adapter,
+        router:       r.router_contract || null,
+        isUzigQuote:  r.is_uzig_quote === true,
+        baseId:       String(r.base_token_id),
+        quoteId:      String(r.quote_token_id),
+        baseDenom:    r.base_denom,
+        quoteDenom:   r.quote_denom,
+        baseSymbol:   r.base_symbol,
+        quoteSymbol:  r.quote_symbol,
+        baseExp, quoteExp,
+        tokenReserve, zigReserve,
+        // mid = quote per 1 base (display)
+        mid:          cl ? clSpotPrice(cl.sqrtPrice, baseExp, quoteExp) : zigReserve / tokenReserve,
+        tvlZig:       Number(r.tvl_zig || 0),
+        cl,
+        amp:          r.amp != null ? Number(r.amp) : null,
+        fee:          poolFee(r.adapter, r.pair_type),
+        height:       r.height != null ? Number(r.height) : null, // pool_state snapshot
+        updatedAt:    r.updated_at,
+      };
+    });
+    graphCache.set('all', all);
+  }
+
+  const pools = (at ? await poolsAt(all, at) : all).filter(p => p.tvlZig >= minTvlZig);
+  const adj = new Map();
+  for (const p of pools) {
+    for (const t of [p.baseId, p.quoteId]) {
+      if (!adj.has(t)) adj.set(t, []);
+      adj.get(t).push(p);
+    }
+  }
+  for (const list of adj.values()) list.sort((a, b) => b.tvlZig - a.tvlZig);
+  return { pools, adj };
+}
+
+/**
+ * Pools re-based onto their reserves at a past `{ height }` or `{ ts }`.
+ * Pools with no snapshot by then are dropped, as are concentrated pools
+ * (tick state is only kept for the present). tvlZig is recomputed from the
+ * past reserves so minTvl filters on the pool as it was: exact for UZIG
+ * pools, the quote side valued at today's ZIG rate for the rest.
+ */
+export async function poolsAt(pools, at) {
+  const hist = await loadReservesAt(pools.map(p => p.poolId), at);
+  const out = [];
+  for (const p of pools) {
+    const h = hist.get(p.poolId);
+    if (!h || p.cl || isConcentrated(p.pairType)) continue;
+    const tokenReserve = Number(h.reserve_base_base) / Math.pow(10, p.baseExp);
+    const zigReserve = Number(h.reserve_quote_base) / Math.pow(10, p.quoteExp);
+    if (!(tokenReserve > 0) || !(zigReserve > 0)) continue;
+    const mid = zigReserve / tokenReserve;
+    const tvlZig = p.isUzigQuote
+      ? 2 * zigReserve
+      : (p.zigReserve > 0 ? p.tvlZig * zigReserve / p.zigReserve : 0);
+    out.push({
+      ...p, tokenReserve, zigReserve, mid, tvlZig,
+      ...(p.priceInZig !== undefined ? { priceInZig: mid } : {}),
+      height: h.height, updatedAt: h.ts
+    });
+  }
+  return out;
+}
+
+/** swap `amountIn` of token `fromId` through one pool */
+export function simulateEdge(pool, fromId, amountIn) {
+  const fromIsQuote = String(fromId) === pool.quoteId;
+  const sim = simulatePool(pool, { fromIsZig: fromIsQuote, amountIn, fee: pool.fee });
+  if (!sim || !(sim.out > 0)) return null;
+  return { ...sim, fromIsQuote, toId: fromIsQuote ? pool.baseId : pool.quoteId };
+}
+
+/**
+ * Best path from `fromId` to `toId` by simulated output, up to `maxHops` pools.
+ * Layered search: at each depth only the best amount reaching a token is kept
+ * (tokens are not revisited within a path).
+ * @returns {{ amountIn:number, amountOut:number, hops:Array, impact:number }|null}
+ */
+export function findBestRoute(graph, { fromId, toId, amountIn, maxHops = SWAP_MAX_HOPS }) {
+  fromId = String(fromId); toId = String(toId);
+  let frontier = new Map([[fromId, { amount: amountIn, hops: [], visited: new Set([fromId]) }]]);
+  let best = null;
+
+  for (let depth = 1; depth <= maxHops && frontier.size; depth++) {
+    const next = new Map();
+    for (const [tok, st] of frontier) {
+      for (const pool of (graph.adj.get(tok) || []).slice(0, MAX_EDGES_PER_TOKEN)) {
+        const other = tok === pool.quoteId ? pool.baseId : pool.quoteId;
+        if (st.visited.has(other)) continue;
+        const sim = simulateEdge(pool, tok, st.amount);
+        if (!sim) continue;
+
+        const cand = {
+          amount: sim.out,
+          hops: [...st.hops, { pool, fromId: tok, toId: sim.toId, amountIn: st.amount, sim }],
+          visited: new Set([...st.visited, sim.toId])
+        };
+        if (sim.toId === toId) {
+          if (!best || cand.amount > best.amount) best = cand;
+          continue;
+        }
+        const cur = next.get(sim.toId);
+        if (!cur || cand.amount > cur.amount) next.set(sim.toId, cand);
+      }
+    }
+    frontier = next;
+  }
+
+  if (!best) return null;
+  // compounded per-hop impact (each is vs that pool's mid)
+  const impact = best.hops.reduce((acc, h) => acc * (1 + (h.sim.impact || 0)), 1) - 1;
+  return { amountIn, amountOut: best.amount, hops: best.hops, impact };
+}
+
+/** re-run a found route's pools for a different input amount */
+export function simulatePath(route, amountIn) {
+  let amount = amountIn;
+  const hops = [];
+  for (const h of route.hops) {
+    const sim = simulateEdge(h.pool, h.fromId, amount);
+    if (!sim) return null;
+    hops.push({ ...h, amountIn: amount, sim });
+    amount = sim.out;
+  }
+  const impact = hops.reduce((acc, h) => acc * (1 + (h.sim.impact || 0)), 1) - 1;
+  return { amountIn, amountOut: amount, out: amount, hops, impact };
+}
+
+/**
+ * Up to `k` pool-disjoint routes, best first: after each route is found its
+ * pools are taken out of the graph, so split legs never share liquidity.
+ */
+export function findDisjointRoutes(graph, { fromId, toId, amountIn, maxHops = SWAP_MAX_HOPS, k = 4 }) {
+  const used = new Set();
+  const routes = [];
+  for (let i = 0; i < k; i++) {
+    const adj = new Map();
+    for (const [tok, list] of graph.adj) adj.set(tok, list.filter(p => !used.has(p.poolId)));
+    const r = findBestRoute({ ...graph, adj }, { fromId, toId, amountIn, maxHops });
+    if (!r) break;
+    routes.push(r);
+    for (const h of r.hops) used.add(h.pool.poolId);
+  }
+  return routes;
+}
+
+/* ───────────────────────── exact-out ───────────────────────── */
+
+/** input needed through one pool to receive exactly `amountOut` of `toId` */
+export function simulateEdgeExactOut(pool, toId, amountOut) {
+  const fromIsQuote = String(toId) === pool.baseId;
+  const sim = simulatePoolExactOut(pool, { fromIsZig: fromIsQuote, amountOut, fee: pool.fee });
+  if (!sim) return null;
+  return { ...sim, fromIsQuote, fromId: fromIsQuote ? pool.quoteId : pool.baseId };
+}
+
+/**
+ * Exact-out twin of findBestRoute(): layered search backwards from `toId`
+ * keeping the smallest input that reaches each token, then the winning path
+ * is re-run forwards so hops carry the usual simulations.
+ */
+export function findBestRouteExactOut(graph, { fromId, toId, amountOut, maxHops = SWAP_MAX_HOPS }) {
+  fromId = String(fromId); toId = String(toId);
+  let frontier = new Map([[toId, { amount: amountOut, hops: [], visited: new Set([toId]) }]]);
+  let best = null;
+
+  for (let depth = 1; depth <= maxHops && frontier.size; depth++) {
+    const next = new Map();
+    for (const [tok, st] of frontier) {
+      for (const pool of (graph.adj.get(tok) || []).slice(0, MAX_EDGES_PER_TOKEN)) {
+        const other = tok === pool.quoteId ? pool.baseId : pool.quoteId;
+        if (st.visited.has(other)) continue;
+        const sim = simulateEdgeExactOut(pool, tok, st.amount);
+        if (!sim) continue;
+
+        const cand = {
+          amount: sim.in,
+          hops: [{ pool, fromId: other, toId: tok }, ...st.hops],
+          visited: new Set([...st.visited, other])
+        };
+        if (other === fromId) {
+          if (!best || cand.amount < best.amount) best = cand;
+          continue;
+        }
+        const cur = next.get(other);
+        if (!cur || cand.amount < cur.amount) next.set(other, cand);
+      }
+    }
+    frontier = next;
+  }
+
+  return best ? simulatePath({ hops: best.hops }, best.amount) : null;
+}
+
+/** input a found route needs for exactly `amountOut`, re-run forwards (null if it can't fill) */
+export function simulatePathExactOut(route, amountOut) {
+  let amount = amountOut;
+  for (let i = route.hops.length - 1; i >= 0; i--) {
+    const sim = simulateEdgeExactOut(route.hops[i].pool, route.hops[i].toId, amount);
+    if (!sim) return null;
+    amount = sim.in;
+  }
+  return simulatePath(route, amount);
+}
+
+/** ZIG per 1 token from the deepest UZIG pool in the graph (1 for uzig itself) */
+export function zigMidOf(graph, tokenId, denom = null) {
+  if (denom === 'uzig') return 1;
+  const pools = (graph.adj.get(String(tokenId)) || []).filter(p => p.isUzigQuote && p.baseId === String(tokenId));
+  return pools.length ? pools[0].mid : null;
+}
+
+export default {
+  loadPoolGraph, poolsAt, simulateEdge, findBestRoute, simulatePath, findDisjointRoutes,
+  simulateEdgeExactOut, findBestRouteExactOut, simulatePathExactOut, zigMidOf, SWAP_MAX_HOPS
+};
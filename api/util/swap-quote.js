@@ -0,0 +1,165 @@
+// api/util/swap-quote.js
+//
+// Freshness and guarantees for /swap quotes: which pool_state snapshot a quote
+// was simulated on (height + age), an optional live re-read of stale pools,
+// min-received for a slippage tolerance, and a signed quote id that can be
+// re-validated later (GET /swap/quote/:id, POST /swap/build { quoteId }).
+import crypto from 'node:crypto';
+import { fetchPoolReserves } from '../../core/prices.js';
+import { isConcentrated } from '../../core/cl.js';
+import { warn } from '../../lib/log.js';
+
+export const QUOTE_STALE_SEC = parseInt(process.env.QUOTE_STALE_SEC || '60', 10);
+export const QUOTE_TTL_SEC = parseInt(process.env.QUOTE_TTL_SEC || '60', 10);
+export const DEFAULT_SLIPPAGE_BPS = parseInt(process.env.SWAP_DEFAULT_SLIPPAGE_BPS || '50', 10);
+const MAX_SLIPPAGE_BPS = 5000;
+
+// shared by every API replica; a per-process key would break ids across restarts
+const QUOTE_SECRET = process.env.QUOTE_SECRET || '';
+export const QUOTE_IDS_ENABLED = !!QUOTE_SECRET;
+if (!QUOTE_IDS_ENABLED) warn('[swap/quote] QUOTE_SECRET not set; quote ids are disabled');
+
+/** slippage in whole bps from a query/body value; null when not an integer in (0, 5000] */
+export function parseSlippageBps(v) {
+  if (v == null || v === '') return DEFAULT_SLIPPAGE_BPS;
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 && n <= MAX_SLIPPAGE_BPS ? n : null;
+}
+
+export const minReceived = (amountOut, bps) => amountOut * (1 - bps / 10_000);
+/** exact-out: the most input to allow for `bps` of slippage */
+export const maxAmountIn = (amountIn, bps) => amountIn * (1 + bps / 10_000);
+
+/**
+ * Snapshot the quote was simulated on. Pools carry `height`/`updatedAt` from
+ * pool_state; the quote is as old as its oldest pool.
+ */
+export function snapshotOf(pools, now = Date.now()) {
+  let height = null, ageSec = 0;
+  for (const p of pools) {
+    if (p.height != null) height = height == null ? Number(p.height) : Math.min(height, Number(p.height));
+    const age = p.updatedAt ? Math.max(0, (now - new Date(p.updatedAt).getTime()) / 1000) : Infinity;
+    ageSec = Math.max(ageSec, age);
+  }
+  const age_sec = Number.isFinite(ageSec) ? Math.round(ageSec) : null;
+  return {
+    height,
+    age_sec,
+    stale: age_sec == null || age_sec > QUOTE_STALE_SEC,
+    stale_after_sec: QUOTE_STALE_SEC
+  };
+}
+
+const isStalePool = (p, now) =>
+  !p.updatedAt || (now - new Date(p.updatedAt).getTime()) / 1000 > QUOTE_STALE_SEC;
+
+/**
+ * Copy of a pool with reserves read from the contract right now.
+ * CL pools are skipped: their curve comes from ticks, not the pair's reserves.
+ */
+async function withLiveReserves(pool) {
+  if (isConcentrated(pool.pairType) || pool.cl) return null;
+  const reserves = await fetchPoolReserves(pool.pairContract);
+  const rb = reserves.find(r => r.denom === pool.baseDenom);
+  const rq = reserves.find(r => r.denom === pool.quoteDenom);
+  if (!rb || !rq) return null;
+  const tokenReserve = Number(rb.amount_base) / Math.pow(10, pool.baseExp);
+  const zigReserve = Number(rq.amount_base) / Math.pow(10, pool.quoteExp);
+  if (!(tokenReserve > 0) || !(zigReserve > 0)) return null;
+  return { ...pool, tokenReserve, zigReserve, mid: zigReserve / tokenReserve, updatedAt: new Date() };
+}
+
+/**
+ * Re-read every stale pool of a quote and re-run it.
+ * `resimulate(liveById)` gets a Map poolId → live pool and returns the new amount out.
+ * @returns {{ checked:boolean, pools:string[], amount_out:number|null, drift_bps:number|null }}
+ */
+export async function liveRecheck(pools, amountOut, resimulate) {
+  const now = Date.now();
+  const stale = pools.filter(p => isStalePool(p, now));
+  if (!stale.length) return { checked: false, pools: [], amount_out: null, drift_bps: null };
+
+  const liveById = new Map();
+  await Promise.all(stale.map(async (p) => {
+    try {
+      const live = await withLiveReserves(p);
+      if (live) liveById.set(p.poolId, live);
+    } catch (e) {
+      warn('[swap/quote] live reserves', p.pairContract, e.message);
+    }
+  }));
+  if (!liveById.size) return { checked: false, pools: [], amount_out: null, drift_bps: null };
+
+  const out = resimulate(liveById);
+  return {
+    checked: true,
+    pools: [...liveById.keys()],
+    amount_out: out,
+    drift_bps: out != null && amountOut > 0 ? Math.round((out / amountOut - 1) * 10_000) : null
+  };
+}
+
+/* ───────────────────────── signed ids ───────────────────────── */
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const sign = (body) => crypto.createHmac('sha256', QUOTE_SECRET).update(body).digest('base64url');
+
+/** `<base64url(payload)>.<hmac>`; null when quote ids are disabled */
+export function signQuote(payload) {
+  if (!QUOTE_IDS_ENABLED) return null;
+  const body = b64url(JSON.stringify(payload));
+  return `${body}.${sign(body)}`;
+}
+
+/** @returns {{ ok:true, payload:object } | { ok:false, error:string, disabled?:true }} */
+export function verifyQuote(id) {
+  if (!QUOTE_IDS_ENABLED) return { ok: false, disabled: true, error: 'quote ids are disabled (QUOTE_SECRET not set)' };
+  const [body, sig] = String(id || '').split('.');
+  if (!body || !sig) return { ok: false, error: 'malformed quote id' };
+  const want = Buffer.from(sign(body));
+  const got = Buffer.from(sig);
+  if (want.length !== got.length || !crypto.timingSafeEqual(want, got)) {
+    return { ok: false, error: 'bad quote signature' };
+  }
+  try {
+    return { ok: true, payload: JSON.parse(Buffer.from(body, 'base64url').toString('utf8')) };
+  } catch {
+    return { ok: false, error: 'malformed quote id' };
+  }
+}
+
+export const isExpired = (payload, now = Date.now()) => !(payload?.exp > Math.floor(now / 1000));
+
+/**
+ * The `quote` block on /swap responses. min_received uses the live amount
+ * when stale pools were re-read. Exact-out quotes (`exactOut` = requested
+ * amount out) also carry max_amount_in. `id` is null when quote ids are disabled.
+ */
+export function makeQuote({ fromId, toId, route, amountIn, amountOut, slippageBps, snapshot, live = null, exactOut = null }) {
+  const freshOut = live?.checked && live.amount_out != null ? live.amount_out : amountOut;
+  const min = minReceived(freshOut, slippageBps);
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + QUOTE_TTL_SEC;
+  const maxIn = exactOut != null ? maxAmountIn(amountIn, slippageBps) : null;
+  const id = signQuote({
+    v: 1, f: String(fromId), t: String(toId), r: route.map(String),
+    a: amountIn, o: freshOut, m: min, bps: slippageBps, h: snapshot.height, iat, exp,
+    ...(exactOut != null ? { xo: exactOut, mx: maxIn } : {})
+  });
+  return {
+    id,
+    expires_at: new Date(exp * 1000).toISOString(),
+    slippage_bps: slippageBps,
+    amount_in: amountIn,
+    amount_out: freshOut,
+    min_received: min,
+    ...(exactOut != null ? { amount_out_target: exactOut, max_amount_in: maxIn } : {}),
+    snapshot,
+    live
+  };
+}
+
+export default {
+  QUOTE_STALE_SEC, QUOTE_TTL_SEC, DEFAULT_SLIPPAGE_BPS, QUOTE_IDS_ENABLED,
+  parseSlippageBps, minReceived, maxAmountIn, snapshotOf, liveRecheck, signQuote, verifyQuote, isExpired, makeQuote
+};
@@ -0,0 +1,112 @@
+// api/util/swap-sim.js
+//
+// Per-pool swap simulators shared by /swap quoting, routing and tx building.
+// All take display units. "zig" is the quote side: for non-UZIG pools pass the
+// quote reserve as Rz / zigReserve and the base reserve as Rt / tokenReserve.
+import { isConcentrated, simulateCL, clSpotPrice } from '../../core/cl.js';
+import { isStable, simulateStable, computeD, computeY } from '../../core/stableswap.js';
+
+/** XYK simulation (fee-on-input). Rz = zig reserve, Rt = token reserve. */
+export function simulateXYK({ fromIsZig, amountIn, Rz, Rt, fee }) {
+  if (!(Rz > 0 && Rt > 0) || !(amountIn > 0)) {
+    return { out: 0, price: 0, impact: 0 };
+  }
+  const mid = Rz / Rt; // zig per token
+  const xin = amountIn * (1 - fee);
+
+  if (fromIsZig) {
+    // ZIG -> Token
+    const outToken = (xin * Rt) / (Rz + xin);
+    const effZigPerToken = amountIn / Math.max(outToken, 1e-18);
+    const impact = mid > 0 ? (effZigPerToken / mid) - 1 : 0;
+    return { out: outToken, price: effZigPerToken, impact };
+  } else {
+    // Token -> ZIG
+    const outZig = (xin * Rz) / (Rt + xin);
+    const effZigPerToken = outZig / amountIn; // executable zig per 1 token
+    const impact = mid > 0 ? (mid / Math.max(effZigPerToken, 1e-18)) - 1 : 0;
+    return { out: outZig, price: effZigPerToken, impact };
+  }
+}
+
+/** Simulate one pool on its own curve (ticks for concentrated, stableswap, XYK otherwise). */
+export function simulatePool(p, { fromIsZig, amountIn, fee }) {
+  if (isConcentrated(p.pairType)) {
+    return p.cl
+      ? simulateCL({ fromIsZig, amountIn, cl: p.cl, baseExp: p.baseExp, quoteExp: p.quoteExp, fee })
+      : null;
+  }
+  const hasRes = p.zigReserve > 0 && p.tokenReserve > 0;
+  if (!hasRes) return null;
+  if (isStable(p.pairType)) {
+    return p.amp > 0
+      ? simulateStable({ fromIsZig, amountIn, Rz: p.zigReserve, Rt: p.tokenReserve, amp: p.amp, fee })
+      : null;
+  }
+  return simulateXYK({ fromIsZig, amountIn, Rz: p.zigReserve, Rt: p.tokenReserve, fee });
+}
+
+/* ───────────────────────── exact-out ───────────────────────── */
+
+/** XYK inverse: input needed to receive exactly `amountOut` (fee-on-input). null if the pool can't fill it. */
+export function xykAmountIn({ fromIsZig, amountOut, Rz, Rt, fee }) {
+  const [Rin, Rout] = fromIsZig ? [Rz, Rt] : [Rt, Rz];
+  if (!(Rin > 0 && Rout > 0) || !(amountOut > 0) || amountOut >= Rout) return null;
+  const xin = (amountOut * Rin) / (Rout - amountOut);
+  return xin / (1 - fee);
+}
+
+/** Stableswap inverse: fee is on output, so solve the curve for the gross amount. */
+export function stableAmountIn({ fromIsZig, amountOut, Rz, Rt, amp, fee }) {
+  const [Rin, Rout] = fromIsZig ? [Rz, Rt] : [Rt, Rz];
+  const gross = amountOut / (1 - fee);
+  if (!(Rin > 0 && Rout > 0) || !(amountOut > 0) || !(amp > 0) || gross >= Rout) return null;
+  const D = computeD(amp, [Rz, Rt]);
+  const xNew = computeY(amp, Rout - gross, D);
+  return xNew > Rin ? xNew - Rin : null;
+}
+
+/**
+ * Generic inverse for any monotone simulator (used for concentrated pools):
+ * bracket by doubling, then bisect on the input.
+ */
+export function solveAmountIn(simulate, amountOut, guess) {
+  if (!(amountOut > 0)) return null;
+  const outOf = (x) => {
+    const s = simulate(x);
+    return s && !(s.unfilled > 0) ? s.out : 0;
+  };
+  let lo = 0, hi = guess > 0 ? guess : amountOut;
+  for (let i = 0; outOf(hi) < amountOut; i++) {
+    if (i >= 64) return null; // not enough liquidity on this curve
+    lo = hi; hi *= 2;
+  }
+  for (let i = 0; i < 100 && hi - lo > hi * 1e-12; i++) {
+    const mid = (lo + hi) / 2;
+    if (outOf(mid) >= amountOut) hi = mid; else lo = mid;
+  }
+  return hi;
+}
+
+/**
+ * Exact-out on one pool: the input needed for `amountOut`, plus the forward
+ * simulation of that input (same fields as simulatePool(), with `in`).
+ */
+export function simulatePoolExactOut(p, { fromIsZig, amountOut, fee }) {
+  let amountIn = null;
+  if (isConcentrated(p.pairType)) {
+    if (!p.cl) return null;
+    const mid = clSpotPrice(p.cl.sqrtPrice, p.baseExp, p.quoteExp);
+    const guess = mid > 0 ? (fromIsZig ? amountOut * mid : amountOut / mid) : amountOut;
+    amountIn = solveAmountIn((x) => simulatePool(p, { fromIsZig, amountIn: x, fee }), amountOut, guess);
+  } else {
+    const Rz = p.zigReserve, Rt = p.tokenReserve;
+    if (!(Rz > 0 && Rt > 0)) return null;
+    amountIn = isStable(p.pairType)
+      ? (p.amp > 0 ? stableAmountIn({ fromIsZig, amountOut, Rz, Rt, amp: p.amp, fee }) : null)
+      : xykAmountIn({ fromIsZig, amountOut, Rz, Rt, fee });
+  }
+  if (!(amountIn > 0)) return null;
+  const sim = simulatePool(p, { fromIsZig, amountIn, fee });
+  return sim ? { ...sim, in: amountIn } : null;
+}
@@ -0,0 +1,60 @@
+// api/util/swap-split.js
+//
+// Greedy order splitting for /swap?split=1: the amount is cut into equal
+// chunks and each chunk goes to the candidate (pool or path) with the best
+// marginal output given what it already holds. Curves are concave, so this
+// converges to the optimum as the chunk count grows.
+
+const SPLIT_STEPS = parseInt(process.env.SWAP_SPLIT_STEPS || '20', 10);
+
+/**
+ * @param {Array} candidates   pools or routes
+ * @param {number} amountIn
+ * @param {(c:any, amount:number) => ({ out:number, impact?:number }|null)} simulate
+ * @returns {{ allocations:Array<{ candidate:any, amountIn:number, amountOut:number, impact:number, share:number }>,
+ *             amountIn:number, amountOut:number, impact:number }}
+ */
+export function splitAcross(candidates, amountIn, simulate, { steps = SPLIT_STEPS } = {}) {
+  const n = candidates.length;
+  const alloc = new Array(n).fill(0);
+  const outAt = new Array(n).fill(0);
+  const chunk = amountIn / steps;
+
+  for (let s = 0; s < steps; s++) {
+    let bestIdx = -1, bestGain = 0, bestOut = 0;
+    for (let i = 0; i < n; i++) {
+      const out = simulate(candidates[i], alloc[i] + chunk)?.out || 0;
+      const gain = out - outAt[i];
+      if (gain > bestGain) { bestGain = gain; bestIdx = i; bestOut = out; }
+    }
+    if (bestIdx < 0) break; // nothing can absorb more
+    alloc[bestIdx] += chunk;
+    outAt[bestIdx] = bestOut;
+  }
+
+  const allocations = [];
+  for (let i = 0; i < n; i++) {
+    if (!(alloc[i] > 0)) continue;
+    const sim = simulate(candidates[i], alloc[i]);
+    allocations.push({
+      candidate: candidates[i],
+      amountIn: alloc[i],
+      amountOut: sim?.out || 0,
+      impact: sim?.impact || 0,
+      share: alloc[i] / amountIn
+    });
+  }
+
+  const amountOut = allocations.reduce((a, x) => a + x.amountOut, 0);
+  // each leg's no-impact output is out·(1+impact); aggregate against their sum
+  const midOut = allocations.reduce((a, x) => a + x.amountOut * (1 + x.impact), 0);
+  const filled = allocations.reduce((a, x) => a + x.amountIn, 0);
+  return {
+    allocations,
+    amountIn: filled,
+    amountOut,
+    impact: amountOut > 0 ? (midOut / amountOut) - 1 : 0
+  };
+}
+
+export default { splitAcross };
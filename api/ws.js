@@ -2,6 +2,8 @@
 import { WebSocketServer } from 'ws';
 import { DB } from '../lib/db.js';
 import { resolveTokenId, getZigUsd } from './util/resolve-token.js';
+import { labelsFor } from '../core/labels.js';
+import { runningPositions, shapeSignal, passesMin } from './util/follow-feed.js';
 
 /* ---------- helpers shared with REST shaping ---------- */
 
@@ -11,7 +13,7 @@ function scale(base, exp, fallback = 6) {
   return Number(base) / 10 ** e;
 }
 
-function shapeTradeRow(r, zigUsd) {
+function shapeTradeRow(r, zigUsd, labels = new Map()) {
   const offerScaled  = scale(r.offer_amount_base,  r.offer_exp,  r.offer_asset_denom === 'uzig' ? 6 : 6);
   const askScaled    = scale(r.ask_amount_base,    r.ask_exp,    r.ask_asset_denom   === 'uzig' ? 6 : 6);
   const returnScaled = scale(r.return_amount_base, r.qexp, 6);
@@ -55,6 +57,7 @@ function shapeTradeRow(r, zigUsd) {
     txHash: r.tx_hash,
     pairContract: r.pair_contract,
     signer: r.signer,
+    signerLabels: labels.get(r.signer) || [],
     direction: r.direction,
     offerDenom: r.offer_asset_denom,
     offerAmountBase: r.offer_amount_base,
@@ -74,22 +77,27 @@ function shapeTradeRow(r, zigUsd) {
 // - 'trades.stream'
 // - 'trades.stream.token:{idOrSymbolOrDenom}'
 // - 'trades.stream.pair:{pairContract}'
+// - 'trades.stream.wallet:{address}'  swaps as copy-trading signals (size, price,
+//   running position); subscribe may carry { minValueNative, minValueUsd }
 
 export function startWS(server, { path = '/ws' } = {}) {
   const wss = new WebSocketServer({ server, path });
   const subs = new Map(); // topic -> Set<WebSocket>
 
-  function addSub(ws, topic) {
+  function addSub(ws, topic, filter = null) {
     if (!subs.has(topic)) subs.set(topic, new Set());
     subs.get(topic).add(ws);
     ws._topics = ws._topics || new Set();
     ws._topics.add(topic);
+    ws._filters = ws._filters || new Map();
+    if (filter) ws._filters.set(topic, filter); else ws._filters.delete(topic);
   }
 
   function removeSub(ws, topic) {
     const set = subs.get(topic);
     if (set) { set.delete(ws); if (set.size === 0) subs.delete(topic); }
     if (ws._topics) ws._topics.delete(topic);
+    if (ws._filters) ws._filters.delete(topic);
   }
 
   function broadcast(topic, msg) {
@@ -101,6 +109,16 @@ export function startWS(server, { path = '/ws' } = {}) {
     }
   }
 
+  // wallet signals go only to subscribers whose minimum size they meet
+  function broadcastSignal(topic, signal) {
+    const set = subs.get(topic);
+    if (!set || set.size === 0) return;
+    const data = JSON.stringify({ type:'signal', data: signal });
+    for (const ws of set) {
+      if (ws.readyState === ws.OPEN && passesMin(signal, ws._filters?.get(topic))) ws.send(data);
+    }
+  }
+
   // ping keepalive
   const HEARTBEAT_MS = 25000;
   setInterval(() => {
@@ -123,8 +141,19 @@ export function startWS(server, { path = '/ws' } = {}) {
       const topic = String(msg.topic || '');
 
       if (op === 'subscribe') {
-        addSub(ws, topic);
-        ws.send(JSON.stringify({ ok:true, subscribed: topic }));
+        let filter = null;
+        if (topic.startsWith('trades.stream.wallet:') && (msg.minValueNative != null || msg.minValueUsd != null)) {
+          filter = {
+            minValueNative: msg.minValueNative != null ? Number(msg.minValueNative) : null,
+            minValueUsd: msg.minValueUsd != null ? Number(msg.minValueUsd) : null
+          };
+          const bad = (v) => v != null && !(Number.isFinite(v) && v >= 0);   // same rule as the REST optMin
+          if (bad(filter.minValueNative) || bad(filter.minValueUsd)) {
+            return ws.send(JSON.stringify({ ok:false, error:'invalid_min_value' }));
+          }
+        }
+        addSub(ws, topic, filter);
+        ws.send(JSON.stringify({ ok:true, subscribed: topic, ...(filter ? { filter } : {}) }));
         return;
       }
       if (op === 'unsubscribe') {
@@ -153,13 +182,15 @@ export function startWS(server, { path = '/ws' } = {}) {
 
       const params = lastSeenIso ? [lastSeenIso] : [];
       const { rows } = await DB.query(`
-        SELECT t.*, p.pair_contract, p.is_uzig_quote, q.exponent AS qexp,
+        SELECT t.*, p.pair_contract, p.is_uzig_quote, q.exponent AS qexp, q.denom AS quote_denom,
                (SELECT price_in_zig FROM prices WHERE token_id = p.quote_token_id ORDER BY updated_at DESC LIMIT 1) AS pq_price_in_zig,
+               p.base_token_id, b.symbol AS base_symbol, b.denom AS base_denom, b.image_uri AS base_image, b.exponent AS bexp,
                toff.exponent AS offer_exp,
                task.exponent AS ask_exp
         FROM trades t
         JOIN pools  p ON p.pool_id = t.pool_id
         JOIN tokens q ON q.token_id = p.quote_token_id
+        JOIN tokens b ON b.token_id = p.base_token_id
         LEFT JOIN tokens toff ON toff.denom = t.offer_asset_denom
         LEFT JOIN tokens task ON task.denom = t.ask_asset_denom
         WHERE ${tsClause}
@@ -169,8 +200,13 @@ export function startWS(server, { path = '/ws' } = {}) {
       `, params);
 
       if (rows.length) {
+        const labels = await labelsFor(rows.map(r => r.signer));
+        // running positions only for swaps someone follows
+        const followed = rows.filter(r =>
+          (r.direction === 'buy' || r.direction === 'sell') && subs.has(`trades.stream.wallet:${r.signer}`));
+        const positions = followed.length ? await runningPositions(followed) : new Map();
         for (const r of rows) {
-          const shaped = shapeTradeRow(r, zigUsd);
+          const shaped = shapeTradeRow(r, zigUsd, labels);
           // global
           broadcast('trades.stream', { type:'trade', data: shaped });
 
@@ -195,6 +231,11 @@ export function startWS(server, { path = '/ws' } = {}) {
           // per-pair
           broadcast(`trades.stream.pair:${r.pair_contract}`, { type:'trade', data: shaped });
 
+          // per-wallet signal
+          if (positions.has(String(r.trade_id))) {
+            broadcastSignal(`trades.stream.wallet:${r.signer}`, shapeSignal(r, zigUsd, positions, labels));
+          }
+
           lastSeenIso = r.created_at; // advance watermark
         }
       }
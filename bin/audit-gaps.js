@@ -0,0 +1,37 @@
+// bin/audit-gaps.js
+//
+// Reports heights missing from index_ranges and optionally queues them for
+// replay (the indexer's failed-heights worker picks them up).
+//
+// Usage:
+//   node bin/audit-gaps.js [--from <h>] [--to <h>] [--enqueue] [--max 10000]
+
+import 'dotenv/config';
+import { init, close } from '../lib/db.js';
+import { info, err } from '../lib/log.js';
+import { compactRanges, findGaps, enqueueGaps } from '../core/index-ranges.js';
+
+function argValue(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+async function main() {
+  await init();
+  const from = argValue('from') != null ? parseInt(argValue('from'), 10) : null;
+  const to = argValue('to') != null ? parseInt(argValue('to'), 10) : null;
+  const max = parseInt(argValue('max') || '10000', 10);
+
+  info('[gaps] ranges compacted', await compactRanges());
+  const report = await findGaps({ from, to, limit: 100000 });
+  if (report.gaps.length) console.table(report.gaps);
+  info('[gaps]', { from: report.from, to: report.to, gaps: report.gaps.length, missing: report.missing });
+
+  if (process.argv.includes('--enqueue') && report.gaps.length) {
+    const n = await enqueueGaps(report.gaps, { max });
+    info('[gaps] enqueued for replay', n);
+  }
+  await close();
+}
+
+main().catch(async (e) => { err(e); await close(); process.exit(1); });
@@ -0,0 +1,151 @@
+// bin/backfill.js
+//
+// Indexes an arbitrary historical height range in parallel worker processes,
+// without touching the live tip-follower's 'block' checkpoint.
+//
+// Usage:
+//   node bin/backfill.js --from 1200000 --to 1500000 [--workers 4]
+//
+// Notes:
+// - The range is split into contiguous shards, one child process per shard.
+// - Each shard keeps its own index_state row ('backfill:<from>-<to>'), so
+//   re-running the same command resumes where every shard stopped.
+// - Workers only write pools + trades (trades are ON CONFLICT DO NOTHING).
+//   When all shards are done, ohlcv_1m is rebuilt from trades for the touched
+//   pools/minutes; that replaces rows instead of adding, so re-runs are safe.
+// - CL events are stored per height; afterwards every CL pool touched by the
+//   range is refolded from all of its events (positions, ticks, reserves).
+// - pool_state, prices and pair_created notifications stay with the live indexer.
+
+import 'dotenv/config';
+import { fork } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { DB, init, close } from '../lib/db.js';
+import { info, warn, err } from '../lib/log.js';
+import { readCheckpoint, writeCheckpoint } from '../core/checkpoint.js';
+import { recordBlock } from '../core/reorg.js';
+import { markIndexed } from '../core/index-ranges.js';
+import { drainTrades } from '../core/trades.js';
+import { drainOHLCV, rebuildOHLCVRange } from '../core/ohlcv.js';
+import { drainPoolState } from '../core/pool_state.js';
+import { refoldClPools } from '../core/cl.js';
+
+// block-processor is imported lazily (workers only) and reads this at load time
+process.env.INDEXER_ROLE = 'backfill';
+
+const BACKFILL_WORKERS = parseInt(process.env.BACKFILL_WORKERS || '4', 10);
+const BACKFILL_RETRIES = parseInt(process.env.BACKFILL_RETRIES || '3', 10);
+
+const SELF = fileURLToPath(import.meta.url);
+
+function argValue(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+function sleep(ms){ return new Promise(r=>setTimeout(r, ms)); }
+
+const shardId = (from, to) => `backfill:${from}-${to}`;
+
+/** split [from, to] into up to n contiguous, non-overlapping shards */
+function splitRange(from, to, n) {
+  const total = to - from + 1;
+  const k = Math.max(1, Math.min(n, total));
+  const size = Math.ceil(total / k);
+  const out = [];
+  for (let a = from; a <= to; a += size) out.push({ from: a, to: Math.min(to, a + size - 1) });
+  return out;
+}
+
+/* ───────────────────────── worker ───────────────────────── */
+
+async function runWorker(from, to) {
+  const { processHeight } = await import('../core/block-processor.js');
+  const id = shardId(from, to);
+  const saved = await readCheckpoint(id);
+  const start = saved != null ? Number(saved) + 1 : from;
+  info(`[backfill ${id}] start`, { from, to, resume: start });
+
+  for (let h = start; h <= to; h++) {
+    let block = null;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        block = await processHeight(h, { backfill: true });
+        break;
+      } catch (e) {
+        if (attempt >= BACKFILL_RETRIES) throw new Error(`height ${h}: ${e.message}`);
+        warn(`[backfill ${id}] height ${h} attempt ${attempt} failed:`, e.message);
+        await sleep(1000 * attempt);
+      }
+    }
+    await Promise.all([drainTrades(), drainOHLCV(), drainPoolState()]);
+    if (block) await recordBlock(block);
+    await markIndexed(h);
+    await writeCheckpoint(h, { id });
+  }
+  info(`[backfill ${id}] done`);
+}
+
+/* ───────────────────────── coordinator ───────────────────────── */
+
+function runShard(shard) {
+  return new Promise((resolve) => {
+    const child = fork(SELF, ['--worker', '--from', String(shard.from), '--to', String(shard.to)], {
+      env: { ...process.env, INDEXER_ROLE: 'backfill' }
+    });
+    child.on('exit', (code) => resolve({ ...shard, code }));
+    child.on('error', (e) => { err('[backfill] worker spawn', e.message); resolve({ ...shard, code: 1 }); });
+  });
+}
+
+async function rebuildCandles(from, to) {
+  const { rows } = await DB.query(`
+    SELECT array_agg(DISTINCT pool_id) AS pool_ids,
+           date_trunc('minute', MIN(created_at))                      AS t0,
+           date_trunc('minute', MAX(created_at)) + INTERVAL '1 minute' AS t1
+    FROM trades
+    WHERE height BETWEEN $1 AND $2
+  `, [from, to]);
+  const r = rows[0];
+  if (!r?.pool_ids?.length) return 0;
+  return rebuildOHLCVRange({ poolIds: r.pool_ids, from: r.t0, to: r.t1 });
+}
+
+async function runCoordinator(from, to, workers) {
+  const shards = splitRange(from, to, workers);
+  info('[backfill] shards', shards);
+
+  const results = await Promise.all(shards.map(runShard));
+  const failed = results.filter(r => r.code !== 0);
+  for (const f of failed) err(`[backfill] shard ${shardId(f.from, f.to)} exited with code ${f.code}`);
+
+  const candles = await rebuildCandles(from, to);
+  info('[backfill] ohlcv_1m rebuilt', { rows: candles });
+
+  const { rows: clPools } = await DB.query(
+    `SELECT DISTINCT pool_id FROM cl_events WHERE height BETWEEN $1 AND $2`, [from, to]
+  );
+  await refoldClPools(clPools.map(r => r.pool_id));
+  info('[backfill] cl pools refolded', { pools: clPools.length });
+  return failed.length === 0;
+}
+
+async function main() {
+  const from = parseInt(argValue('from'), 10);
+  const to = parseInt(argValue('to'), 10);
+  const workers = parseInt(argValue('workers') || String(BACKFILL_WORKERS), 10);
+
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from <= 0 || to < from) {
+    console.error('Usage: node bin/backfill.js --from <height> --to <height> [--workers N]');
+    process.exit(2);
+  }
+
+  await init();
+  let ok = true;
+  if (process.argv.includes('--worker')) await runWorker(from, to);
+  else ok = await runCoordinator(from, to, Math.max(1, workers));
+  await close();
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch(async (e) => { err(e); await close(); process.exit(1); });
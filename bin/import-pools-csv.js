@@ -15,7 +15,8 @@
 // - If one of asset denoms is 'uzig', we force it to be the QUOTE side.
 // - pair_type falls back to pool_type when missing.
 // - Upserts on (pair_contract) and doesn’t touch core code.
-// - Does NOT insert lp_token_denom into tokens. Ever.
+// - Does NOT insert lp_token_denom into tokens. Ever. It is kept on pools
+//   (LP supply/pricing, jobs/lp-supply.js); an empty column never clears a known denom.
 
 import 'dotenv/config';
 import fs from 'node:fs';
@@ -80,7 +81,7 @@ async function upsertPoolDirect({
       quote_token_id  = EXCLUDED.quote_token_id,
       pair_type       = EXCLUDED.pair_type,
       is_uzig_quote   = EXCLUDED.is_uzig_quote,
-      lp_token_denom  = EXCLUDED.lp_token_denom,
+      lp_token_denom  = COALESCE(EXCLUDED.lp_token_denom, pools.lp_token_denom),
       factory_contract= EXCLUDED.factory_contract,
       -- keep original creation if already present; otherwise set it
       created_at      = COALESCE(pools.created_at, EXCLUDED.created_at),
@@ -155,7 +156,7 @@ async function main() {
 
       const pairType = mapPairType(r.pair_type, r.pool_type);
       const isUzig   = (quote === 'uzig');
-      const lpDenom  = r.lp_token_denom || null;
+      const lpDenom  = String(r.lp_token_denom || '').trim() || null;
       const factory  = r.factory_contract_address || r.factory_contract || null;
       const createdAt = toIso(r.timestamp);
       const txHash    = r.tx_hash || null;
@@ -0,0 +1,76 @@
+// bin/replay-heights.js
+//
+// Re-runs heights through the block processor and reports what changed.
+//
+// Usage:
+//   node bin/replay-heights.js 1234567 1234570 ...     # explicit heights
+//   node bin/replay-heights.js --from 1200000 --to 1200100
+//   node bin/replay-heights.js --failed [--limit 100]   # pending rows in failed_heights
+//
+// Heights are replayed in backfill mode (pools + trades, candles rebuilt for
+// the block's minute); live pool_state/prices are left alone. A replayed
+// height is marked resolved in failed_heights; one that fails again is
+// re-parked with its attempt count bumped.
+
+import 'dotenv/config';
+import { DB, init, close } from '../lib/db.js';
+import { info, err } from '../lib/log.js';
+import { parkHeight } from '../core/failed-heights.js';
+
+// block-processor is loaded below and reads this at import time
+process.env.INDEXER_ROLE = 'backfill';
+
+function argValue(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+async function collectHeights() {
+  if (process.argv.includes('--failed')) {
+    const limit = parseInt(argValue('limit') || '100', 10);
+    const { rows } = await DB.query(
+      `SELECT height FROM failed_heights WHERE status <> 'resolved' ORDER BY height LIMIT $1`,
+      [limit]
+    );
+    return rows.map(r => Number(r.height));
+  }
+
+  const from = parseInt(argValue('from'), 10);
+  const to = parseInt(argValue('to'), 10);
+  if (Number.isFinite(from) && Number.isFinite(to) && to >= from) {
+    return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+  }
+
+  return process.argv.slice(2).filter(a => /^\d+$/.test(a)).map(Number);
+}
+
+async function main() {
+  await init();
+  const heights = await collectHeights();
+  if (!heights.length) {
+    console.error('Usage: node bin/replay-heights.js <h...> | --from <h> --to <h> | --failed [--limit N]');
+    await close();
+    process.exit(2);
+  }
+
+  const { replayHeight } = await import('../core/replay.js');
+  const report = [];
+  for (const h of heights) {
+    try {
+      const r = await replayHeight(h);
+      report.push({ ...r, added: r.tradesAfter - r.tradesBefore, ok: true });
+    } catch (e) {
+      err(`[replay] height ${h}:`, e.message);
+      await parkHeight(h, e, 1);
+      report.push({ height: h, ok: false, error: e.message });
+    }
+  }
+
+  console.table(report);
+  const failed = report.filter(r => !r.ok).length;
+  info('[replay] done', { heights: report.length, failed, tradesAdded: report.reduce((a, r) => a + (r.added || 0), 0) });
+  await close();
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(async (e) => { err(e); await close(); process.exit(1); });
@@ -1,10 +1,15 @@
 // bin/start-indexer.js
 import 'dotenv/config';
-import { init, close } from '../lib/db.js';
+import { init, close, tx } from '../lib/db.js';
 import { getStatus } from '../lib/rpc.js';
-import { info, err } from '../lib/log.js';
+import { info, warn, err } from '../lib/log.js';
 import { readCheckpoint, writeCheckpoint } from '../core/checkpoint.js';
 import { processHeight } from '../core/block-processor.js';
+import { recordBlock, isForked, findForkPoint, rollbackFrom } from '../core/reorg.js';
+import { BlockBatch, commitBlockBatch } from '../core/block-batch.js';
+import { parkHeight } from '../core/failed-heights.js';
+import { markIndexed } from '../core/index-ranges.js';
+import { startFailedHeightsRetry } from '../jobs/failed-heights.js';
 import { drainTrades } from '../core/trades.js';
 import { drainOHLCV } from '../core/ohlcv.js';
 import { drainPoolState } from '../core/pool_state.js';
@@ -14,6 +19,10 @@ const POLL_SLEEP_MS    = parseInt(process.env.POLL_SLEEP_MS || '400', 10);
 const PIPELINE_DEPTH   = parseInt(process.env.PIPELINE_DEPTH || '3', 10);
 const BLOCK_CAP        = Number.isFinite(ENV_MAX_BLOCKS) && ENV_MAX_BLOCKS > 0 ? ENV_MAX_BLOCKS : Infinity;
 const IS_INFINITE_MODE = !Number.isFinite(BLOCK_CAP);
+// EXACTLY_ONCE=1 → each height's writes + checkpoint commit in one transaction
+const EXACTLY_ONCE     = process.env.EXACTLY_ONCE === '1';
+const HEIGHT_RETRIES   = parseInt(process.env.HEIGHT_RETRIES || '3', 10);
+const RETRY_BACKOFF_MS = parseInt(process.env.HEIGHT_RETRY_BACKOFF_MS || '1000', 10);
 
 function sleep(ms){ return new Promise(r=>setTimeout(r, ms)); }
 
@@ -30,34 +39,95 @@ async function drainAll() {
   await Promise.all([drainTrades(), drainOHLCV(), drainPoolState()]);
 }
 
+// retries always collect into a BlockBatch: outside exactly-once mode the
+// failed attempt may already have queued some of the height's candle rows
+async function runHeight(h, { retry = false } = {}) {
+  try {
+    const batch = EXACTLY_ONCE || retry ? new BlockBatch(h) : null;
+    return { ok: true, block: await processHeight(h, { batch }), batch, retry };
+  } catch (e) {
+    return { ok: false, error: e };
+  }
+}
+
+// a failed height gets a few more tries before it is parked in failed_heights
+async function retryHeight(h, r) {
+  for (let attempt = 2; attempt <= HEIGHT_RETRIES && !r.ok; attempt++) {
+    warn(`height ${h} attempt ${attempt - 1} failed:`, r.error?.message || r.error);
+    await sleep(RETRY_BACKOFF_MS * (attempt - 1));
+    if (!EXACTLY_ONCE) await drainAll();
+    r = await runHeight(h, { retry: true });
+  }
+  return r;
+}
+
 async function main() {
   await init();
 
   const tip0 = unwrapStatus(await getStatus());
   if (!tip0) throw new Error('status: no latest_block_height');
   const saved = await readCheckpoint();
-  let current = (saved !== null && saved !== undefined) ? Number(saved) : tip0;
-  info('startup heights:', { tip: tip0, saved, start: current, cap: IS_INFINITE_MODE ? 'infinite' : BLOCK_CAP });
+  // the checkpoint is the last fully committed height → resume after it
+  let current = (saved !== null && saved !== undefined) ? Number(saved) + 1 : tip0;
+  info('startup heights:', { tip: tip0, saved, start: current, exactlyOnce: EXACTLY_ONCE, cap: IS_INFINITE_MODE ? 'infinite' : BLOCK_CAP });
+
+  if (process.env.FAILED_HEIGHTS_RETRY !== '0') startFailedHeightsRetry();
 
   let processed = 0;
   const inflight = new Map(); // height -> Promise
 
+  // fork detected at height h → settle the pipeline, roll back orphaned heights, rewind
+  const handleFork = async (h) => {
+    warn(`[reorg] parent hash mismatch at height ${h}`);
+    await Promise.allSettled(Array.from(inflight.values()));
+    inflight.clear();
+    await drainAll();
+    const forkAt = await findForkPoint(h - 1);
+    current = await rollbackFrom(forkAt);
+    info('[reorg] resuming from height', current);
+  };
+
   const commitInOrder = async () => {
     const keys = Array.from(inflight.keys()).sort((a,b)=>a-b);
     for (const h of keys) {
       const p = inflight.get(h);
       if (!p) continue;
-      const r = await p.catch(e => ({ ok:false, error:e }));
+      let r = await p.catch(e => ({ ok:false, error:e }));
       inflight.delete(h);
-      await writeCheckpoint(h);
+      if (!r.ok) {
+        // let the heights behind it finish queueing, so the candle rebuild on
+        // commit sees all of their trades and none of their rows arrive after
+        if (!EXACTLY_ONCE) await Promise.allSettled(Array.from(inflight.values()));
+        r = await retryHeight(h, r);
+      }
+
+      if (r.ok && r.block && await isForked(r.block)) {
+        await handleFork(h);
+        return;
+      }
+
+      if (!r.ok) {
+        // the checkpoint moves on only once the height is recorded as failed
+        err(`height ${h} failed ${HEIGHT_RETRIES}x, parking:`, r.error?.stack || r.error);
+        await tx(async (client) => {
+          await parkHeight(h, r.error, HEIGHT_RETRIES, client);
+          await writeCheckpoint(h, { db: client });
+        });
+      } else if (r.batch) {
+        const rebuildCandles = r.retry && !EXACTLY_ONCE;
+        if (rebuildCandles) await drainAll();
+        await commitBlockBatch(r.batch, { block: r.block, rebuildCandles });
+      } else {
+        // flush the shared queues first so the checkpoint never runs ahead of them
+        await drainAll();
+        if (r.block) await recordBlock(r.block);
+        await markIndexed(h);
+        await writeCheckpoint(h);
+      }
+
       processed++;
       const progress = IS_INFINITE_MODE ? `(${processed})` : `(${processed}/${BLOCK_CAP})`;
       info('done height', h, progress);
-      await drainAll();
-      if (r && r.ok === false && r.error) {
-        // keep going, but show error
-        err(`height ${h} error:`, r.error.stack || r.error);
-      }
     }
   };
 
@@ -67,10 +137,7 @@ async function main() {
     // fill pipeline
     while (inflight.size < PIPELINE_DEPTH && current <= tipNow && processed + inflight.size < BLOCK_CAP) {
       const h = current++;
-      inflight.set(h, (async () => {
-        try { await processHeight(h); return { ok: true }; }
-        catch (e) { return { ok:false, error:e }; }
-      })());
+      inflight.set(h, runHeight(h));
     }
 
     await commitInOrder();
@@ -13,6 +13,11 @@ import { startFx } from '../jobs/fx-zig.js';
 import matrix from '../jobs/matrix-rollups.js';
 import { startIbcMetaRefresher } from '../jobs/ibc-meta-refresher.js';
 import { startFasttrackListener } from '../jobs/fasttrack-listener.js';
+import { startGapAuditor } from '../jobs/gap-auditor.js';
+import { startLpSupplyRefresher } from '../jobs/lp-supply.js';
+import { startWalletPnl } from '../jobs/wallet-pnl.js';
+import { startPortfolioHistory } from '../jobs/portfolio-history.js';
+import { startWalletLabels } from '../jobs/wallet-labels.js';
 
 async function main() {
   console.log('start-jobs from:', import.meta.url);
@@ -29,6 +34,11 @@ async function main() {
   startTokenSecurityScanner();
   startFx();
   startIbcMetaRefresher();
+  startGapAuditor();
+  startLpSupplyRefresher();
+  startWalletPnl();
+  startPortfolioHistory();
+  startWalletLabels();
 
   // 🔔 fast-track listener
   startFasttrackListener();
@@ -0,0 +1,74 @@
+// core/block-batch.js
+import { tx } from '../lib/db.js';
+import { pgNotify } from '../lib/pg_notify.js';
+import { flushTrades } from './trades.js';
+import { flushPoolState, writePoolStateHistory } from './pool_state.js';
+import { flushOHLCV, rebuildOHLCVRange } from './ohlcv.js';
+import { flushPrices } from './prices.js';
+import { flushCl } from './cl.js';
+import { flushLp } from './lp.js';
+import { recordBlock } from './reorg.js';
+import { writeCheckpoint } from './checkpoint.js';
+import { markIndexed } from './index-ranges.js';
+
+/**
+ * Everything one height writes, held in memory until commitBlockBatch().
+ * Used by the exactly-once mode instead of the shared BatchQueues.
+ */
+export class BlockBatch {
+  constructor(height) {
+    this.height = height;
+    this.trades = [];
+    this.poolState = [];
+    this.poolHistory = [];   // backfill/replay: reserve history only
+    this.ohlcv = [];
+    this.prices = [];
+    this.cl = [];
+    this.lp = [];
+    this.notifies = [];
+  }
+
+  notify(channel, payload) {
+    this.notifies.push({ channel, payload });
+  }
+}
+
+/** replace the batch's candles from trades instead of adding to them */
+async function rebuildBatchCandles(rows, db) {
+  if (!rows.length) return;
+  const poolIds = [...new Set(rows.map(r => r.pool_id))];
+  const times = rows.map(r => new Date(r.bucket_start).getTime());
+  await rebuildOHLCVRange({
+    poolIds,
+    from: new Date(Math.min(...times)).toISOString(),
+    to: new Date(Math.max(...times) + 60_000).toISOString()
+  }, db);
+}
+
+/**
+ * Write the batch, the block hash and the checkpoint in ONE transaction.
+ * NOTIFYs issued inside it are only delivered on COMMIT, so listeners never
+ * see a height that was rolled back.
+ *
+ * rebuildCandles: the height may already have reached the additive candle
+ * queue (a retried, partly processed height), so its minutes are rebuilt
+ * from trades rather than merged.
+ */
+export async function commitBlockBatch(batch, { block = null, checkpointId = 'block', rebuildCandles = false } = {}) {
+  await tx(async (client) => {
+    await flushTrades(batch.trades, client);
+    await flushPoolState(batch.poolState, client);
+    await writePoolStateHistory(batch.poolHistory, client);
+    await flushCl(batch.cl, client);
+    await flushLp(batch.lp, client);
+    if (rebuildCandles) await rebuildBatchCandles(batch.ohlcv, client);
+    else await flushOHLCV(batch.ohlcv, client);
+    await flushPrices(batch.prices, client);
+    for (const n of batch.notifies) await pgNotify(n.channel, n.payload, client);
+    if (block) await recordBlock(block, client);
+    await markIndexed(batch.height, client);
+    await writeCheckpoint(batch.height, { id: checkpointId, db: client });
+  });
+}
+
+export default { BlockBatch, commitBlockBatch };
@@ -1,15 +1,16 @@
 // core/checkpoint.js
 import { DB } from '../lib/db.js';
 
-export async function readCheckpoint() {
-  const { rows } = await DB.query(`SELECT last_height FROM index_state WHERE id='block'`);
+// 'block' is the live tip-follower; backfill shards use their own ids
+export async function readCheckpoint(id = 'block') {
+  const { rows } = await DB.query(`SELECT last_height FROM index_state WHERE id=$1`, [id]);
   return rows[0]?.last_height || null;
 }
 
-export async function writeCheckpoint(h) {
-  await DB.query(`
-    INSERT INTO index_state(id, last_height) VALUES ('block', $1)
+export async function writeCheckpoint(h, { id = 'block', db = DB } = {}) {
+  await db.query(`
+    INSERT INTO index_state(id, last_height) VALUES ($1, $2)
     ON CONFLICT (id) DO UPDATE SET last_height = EXCLUDED.last_height, updated_at = now()`,
-    [h]
+    [id, h]
   );
 }
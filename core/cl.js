@@ -0,0 +1,350 @@
+// core/cl.js — concentrated-liquidity pools (tick/position model)
+//
+// Everything is stored base/quote-oriented, whatever the contract's token0 is:
+//   sqrt_price = sqrt(quote_raw / base_raw), tick = log_1.0001(quote_raw / base_raw)
+// so "base → quote" always moves the price down.
+//
+// Raw events are kept in cl_events (idempotent per height/order). Positions,
+// ticks and pool state are folded from them: incrementally at the tip, and
+// from scratch for a pool when an older height lands (backfill, replay) or
+// when a reorg deletes its orphaned events.
+import { DB, tx } from '../lib/db.js';
+import { debug } from '../lib/log.js';
+import { writePoolStateHistory } from './pool_state.js';
+
+export const isConcentrated = (pairType) => /concentrated/i.test(String(pairType || ''));
+
+export const tickToSqrtPrice = (tick) => Math.pow(1.0001, tick / 2);
+
+/** spot price (quote per base, display units) from a base/quote sqrt price */
+export function clSpotPrice(sqrtPrice, baseExp, quoteExp) {
+  const sp = Number(sqrtPrice);
+  if (!(sp > 0)) return null;
+  return sp * sp * Math.pow(10, baseExp - quoteExp);
+}
+
+/** flip a contract-oriented (token1/token0) value when base is token1 */
+function orient(ev, baseIsToken0) {
+  if (baseIsToken0) return ev;
+  const out = { ...ev };
+  if (ev.sqrtPrice != null) out.sqrtPrice = 1 / Number(ev.sqrtPrice);
+  if (ev.tick != null) out.tick = -Number(ev.tick);
+  if (ev.tickLower != null && ev.tickUpper != null) {
+    out.tickLower = -Number(ev.tickUpper);
+    out.tickUpper = -Number(ev.tickLower);
+  }
+  return out;
+}
+
+/**
+ * Token amounts locked by positions at the current sqrt price (raw units).
+ * Below a range it is all base, above it all quote.
+ */
+export function clAmounts(positions, sqrtPrice) {
+  const sp = Number(sqrtPrice);
+  let base = 0, quote = 0;
+  for (const p of positions) {
+    const L = Number(p.liquidity);
+    if (!(L > 0)) continue;
+    const sa = tickToSqrtPrice(Number(p.tick_lower));
+    const sb = tickToSqrtPrice(Number(p.tick_upper));
+    if (sp <= sa)      base  += L * (1 / sa - 1 / sb);
+    else if (sp >= sb) quote += L * (sb - sa);
+    else {
+      base  += L * (1 / sp - 1 / sb);
+      quote += L * (sp - sa);
+    }
+  }
+  return { base, quote };
+}
+
+/**
+ * Swap simulation across initialized ticks (raw units, fee on input).
+ * ticks: [{ tick, net }] ascending. baseIn=true sells base (price falls).
+ * @returns {{ out:number, sqrtPriceAfter:number, unfilled:number }}
+ */
+export function simulateCLRaw({ sqrtPrice, liquidity, ticks, baseIn, amountIn, fee }) {
+  let sp = Number(sqrtPrice);
+  let L = Number(liquidity);
+  let rem = amountIn * (1 - fee);
+  let out = 0;
+
+  if (baseIn) {
+    const below = ticks.filter(t => tickToSqrtPrice(t.tick) < sp).reverse();
+    for (const t of below) {
+      const sb = tickToSqrtPrice(t.tick);
+      if (L > 0) {
+        const dxMax = L * (1 / sb - 1 / sp);
+        if (rem <= dxMax) break;
+        out += L * (sp - sb);
+        rem -= dxMax;
+      }
+      sp = sb;
+      L -= Number(t.net); // crossing right → left
+    }
+    if (rem > 0 && L > 0) {
+      const spNew = (L * sp) / (L + rem * sp);
+      out += L * (sp - spNew);
+      sp = spNew; rem = 0;
+    }
+  } else {
+    const above = ticks.filter(t => tickToSqrtPrice(t.tick) > sp);
+    for (const t of above) {
+      const sb = tickToSqrtPrice(t.tick);
+      if (L > 0) {
+        const dyMax = L * (sb - sp);
+        if (rem <= dyMax) break;
+        out += L * (1 / sp - 1 / sb);
+        rem -= dyMax;
+      }
+      sp = sb;
+      L += Number(t.net); // crossing left → right
+    }
+    if (rem > 0 && L > 0) {
+      const spNew = sp + rem / L;
+      out += L * (1 / sp - 1 / spNew);
+      sp = spNew; rem = 0;
+    }
+  }
+
+  return { out, sqrtPriceAfter: sp, unfilled: rem / (1 - fee) };
+}
+
+/**
+ * Same shape as simulateXYK() in api/routes/swap.js, for a UZIG-quoted CL pool:
+ * display amounts in/out, price = zig per token, impact vs spot.
+ */
+export function simulateCL({ fromIsZig, amountIn, cl, baseExp, quoteExp, fee }) {
+  const mid = clSpotPrice(cl.sqrtPrice, baseExp, quoteExp);
+  if (!(mid > 0) || !(amountIn > 0)) return { out: 0, price: 0, impact: 0 };
+
+  const inExp = fromIsZig ? quoteExp : baseExp;
+  const outExp = fromIsZig ? baseExp : quoteExp;
+  const r = simulateCLRaw({
+    sqrtPrice: cl.sqrtPrice, liquidity: cl.liquidity, ticks: cl.ticks,
+    baseIn: !fromIsZig, amountIn: amountIn * Math.pow(10, inExp), fee
+  });
+  const out = r.out / Math.pow(10, outExp);
+  const filledIn = amountIn - r.unfilled / Math.pow(10, inExp);
+
+  if (fromIsZig) {
+    const eff = filledIn / Math.max(out, 1e-18);
+    return { out, price: eff, impact: (eff / mid) - 1, unfilled: amountIn - filledIn };
+  }
+  const eff = out / Math.max(filledIn, 1e-18);
+  return { out, price: eff, impact: (mid / Math.max(eff, 1e-18)) - 1, unfilled: amountIn - filledIn };
+}
+
+/* ───────────────────────── persistence ───────────────────────── */
+
+async function applySwap(ev, db) {
+  const e = orient(ev, ev.baseIsToken0);
+  await db.query(`
+    INSERT INTO cl_pool_state(pool_id, sqrt_price, tick, liquidity, base_is_token0, height, updated_at)
+    VALUES ($1,$2,$3,COALESCE($4,0),$5,$6, now())
+    ON CONFLICT (pool_id) DO UPDATE SET
+      sqrt_price     = EXCLUDED.sqrt_price,
+      tick           = COALESCE(EXCLUDED.tick, cl_pool_state.tick),
+      liquidity      = COALESCE($4, cl_pool_state.liquidity),
+      base_is_token0 = EXCLUDED.base_is_token0,
+      height         = EXCLUDED.height,
+      updated_at     = now()
+  `, [e.pool_id, e.sqrtPrice, e.tick ?? null, e.liquidity ?? null, !!ev.baseIsToken0, e.height]);
+}
+
+async function applyPosition(ev, db) {
+  const { rows } = await db.query(
+    `SELECT sqrt_price, tick, base_is_token0 FROM cl_pool_state WHERE pool_id = $1`,
+    [ev.pool_id]
+  );
+  const st = rows[0] || null;
+  const e = orient(ev, ev.baseIsToken0 ?? st?.base_is_token0 ?? true);
+  const d = String(e.liquidityDelta);
+
+  await db.query(`
+    INSERT INTO cl_positions(pool_id, position_id, owner, tick_lower, tick_upper, liquidity, updated_height, updated_at)
+    VALUES ($1,$2,$3,$4,$5,GREATEST($6::numeric,0),$7, now())
+    ON CONFLICT (pool_id, position_id) DO UPDATE SET
+      owner          = COALESCE(EXCLUDED.owner, cl_positions.owner),
+      liquidity      = GREATEST(cl_positions.liquidity + $6::numeric, 0),
+      updated_height = EXCLUDED.updated_height,
+      updated_at     = now()
+  `, [e.pool_id, e.positionId, e.owner || null, e.tickLower, e.tickUpper, d, e.height]);
+
+  await db.query(`
+    INSERT INTO cl_ticks(pool_id, tick, liquidity_net, liquidity_gross)
+    VALUES ($1,$2,$4::numeric, abs($4::numeric)), ($1,$3,-$4::numeric, abs($4::numeric))
+    ON CONFLICT (pool_id, tick) DO UPDATE SET
+      liquidity_net   = cl_ticks.liquidity_net + EXCLUDED.liquidity_net,
+      liquidity_gross = GREATEST(cl_ticks.liquidity_gross + $4::numeric, 0),
+      updated_at      = now()
+  `, [e.pool_id, e.tickLower, e.tickUpper, d]);
+  await db.query(`DELETE FROM cl_ticks WHERE pool_id = $1 AND liquidity_gross = 0`, [e.pool_id]);
+
+  // in-range positions change the active liquidity right away
+  if (st?.tick != null && st.tick >= e.tickLower && st.tick < e.tickUpper) {
+    await db.query(
+      `UPDATE cl_pool_state SET liquidity = GREATEST(liquidity + $2::numeric, 0), updated_at = now() WHERE pool_id = $1`,
+      [e.pool_id, d]
+    );
+  }
+}
+
+/** pool_state reserves for a CL pool = what its positions hold at the current price */
+async function refreshReserves(poolId, { height = null, ts = null }, db) {
+  const { rows: st } = await db.query(`SELECT sqrt_price FROM cl_pool_state WHERE pool_id = $1`, [poolId]);
+  if (st[0]?.sqrt_price == null) return;
+  const { rows: pos } = await db.query(
+    `SELECT tick_lower, tick_upper, liquidity FROM cl_positions WHERE pool_id = $1 AND liquidity > 0`,
+    [poolId]
+  );
+  const { base, quote } = clAmounts(pos, st[0].sqrt_price);
+  await db.query(`
+    INSERT INTO pool_state(pool_id, reserve_base_base, reserve_quote_base, height, updated_at)
+    VALUES ($1, floor($2::numeric), floor($3::numeric), $4, now())
+    ON CONFLICT (pool_id) DO UPDATE SET
+      reserve_base_base  = EXCLUDED.reserve_base_base,
+      reserve_quote_base = EXCLUDED.reserve_quote_base,
+      height             = COALESCE(EXCLUDED.height, pool_state.height),
+      updated_at         = now()
+  `, [poolId, base.toFixed(0), quote.toFixed(0), height]);
+  await writePoolStateHistory([{
+    pool_id: poolId, height, ts, reserve_base_base: base.toFixed(0), reserve_quote_base: quote.toFixed(0)
+  }], db);
+  debug('[cl] reserves', poolId, { base, quote });
+}
+
+/** cl_events row ↔ the in-memory event recordClEvent() receives */
+function eventFromRow(r) {
+  return {
+    kind: r.kind, pool_id: r.pool_id, height: Number(r.height), ts: r.created_at, order: Number(r.event_order),
+    sqrtPrice: r.sqrt_price, tick: r.tick, liquidity: r.liquidity, baseIsToken0: r.base_is_token0 ?? undefined,
+    positionId: r.position_id || null, owner: r.owner, tickLower: r.tick_lower, tickUpper: r.tick_upper,
+    liquidityDelta: r.liquidity_delta
+  };
+}
+
+/** @returns {Promise<boolean>} false when the event was already stored */
+async function storeEvent(ev, db) {
+  const { rowCount } = await db.query(`
+    INSERT INTO cl_events(pool_id, height, event_order, kind, position_id, owner, tick_lower, tick_upper,
+                          liquidity_delta, sqrt_price, tick, liquidity, base_is_token0, created_at)
+    VALUES ($1,$2,$3,$4,COALESCE($5,''),$6,$7,$8,$9,$10,$11,$12,$13,$14)
+    ON CONFLICT (pool_id, height, event_order, kind, position_id) DO NOTHING
+  `, [ev.pool_id, ev.height, ev.order, ev.kind, ev.positionId ?? null, ev.owner || null,
+      ev.tickLower ?? null, ev.tickUpper ?? null, ev.liquidityDelta != null ? String(ev.liquidityDelta) : null,
+      ev.sqrtPrice ?? null, ev.tick ?? null, ev.liquidity ?? null, ev.baseIsToken0 ?? null, ev.ts ?? null]);
+  return rowCount > 0;
+}
+
+/** serialize fold work per pool (backfill shards and the tip can touch the same pool) */
+async function withPoolLock(poolId, db, fn) {
+  const lock = (c) => c.query(`SELECT pg_advisory_xact_lock(hashtext('cl_pool'), $1::int)`, [poolId]);
+  if (db !== DB) { await lock(db); return fn(db); }
+  return tx(async (client) => { await lock(client); return fn(client); });
+}
+
+/** the last event folded into a pool: later arrivals at or before it mean a refold */
+async function setApplied(ev, db) {
+  await db.query(`
+    INSERT INTO cl_pool_state(pool_id, height, event_order, updated_at)
+    VALUES ($1,$2,$3, now())
+    ON CONFLICT (pool_id) DO UPDATE SET
+      height      = EXCLUDED.height,
+      event_order = EXCLUDED.event_order,
+      updated_at  = now()
+  `, [ev.pool_id, ev.height, ev.order]);
+}
+
+async function applyEvent(ev, db) {
+  if (ev.kind === 'swap') await applySwap(ev, db);
+  else if (ev.kind === 'position') await applyPosition(ev, db);
+  await setApplied(ev, db);
+}
+
+/** wipe a pool's positions/ticks/state and replay all of its stored events */
+async function foldPool(poolId, db) {
+  await db.query(`DELETE FROM cl_positions  WHERE pool_id = $1`, [poolId]);
+  await db.query(`DELETE FROM cl_ticks      WHERE pool_id = $1`, [poolId]);
+  await db.query(`DELETE FROM cl_pool_state WHERE pool_id = $1`, [poolId]);
+  const { rows } = await db.query(`
+    SELECT * FROM cl_events WHERE pool_id = $1
+    ORDER BY height, event_order, kind DESC, position_id
+  `, [poolId]);
+  for (const r of rows) await applyEvent(eventFromRow(r), db);
+  const last = rows[rows.length - 1];
+  if (last) await refreshReserves(poolId, { height: Number(last.height), ts: last.created_at }, db);
+  debug('[cl] refolded', poolId, rows.length);
+}
+
+/** rebuild CL state for pools from cl_events (after a reorg delete or a backfill) */
+export async function refoldClPools(poolIds, db = DB) {
+  for (const id of new Set(poolIds)) await withPoolLock(id, db, (c) => foldPool(id, c));
+}
+
+/**
+ * Store CL events (swap state / position deltas) and fold the new ones in
+ * chain order, refreshing the touched pools' reserves. A pool that receives
+ * an event at or before the last one it folded (height, event order) is
+ * refolded instead. With
+ * { apply:false } events are only stored (backfill; see refoldClPools).
+ * Used directly or from a BlockBatch.
+ */
+export async function flushCl(items, db = DB, { apply = true } = {}) {
+  if (!items.length) return;
+  const sorted = [...items].sort((a, b) => (a.height - b.height) || (a.order - b.order));
+  const byPool = new Map();
+  for (const ev of sorted) {
+    if (!byPool.has(ev.pool_id)) byPool.set(ev.pool_id, []);
+    byPool.get(ev.pool_id).push(ev);
+  }
+
+  for (const [poolId, evs] of byPool) {
+    await withPoolLock(poolId, db, async (c) => {
+      const fresh = [];
+      for (const ev of evs) if (await storeEvent(ev, c)) fresh.push(ev);
+      if (!apply || !fresh.length) return;
+
+      // concurrent tasks (or shards) can deliver a pool's events out of order
+      const { rows } = await c.query(`SELECT height, event_order FROM cl_pool_state WHERE pool_id = $1`, [poolId]);
+      const at = rows[0]?.height != null ? { height: Number(rows[0].height), order: Number(rows[0].event_order ?? -1) } : null;
+      const first = fresh[0];
+      if (at && (first.height < at.height || (first.height === at.height && first.order <= at.order))) {
+        return foldPool(poolId, c);
+      }
+
+      for (const ev of fresh) await applyEvent(ev, c);
+      const last = fresh[fresh.length - 1];
+      await refreshReserves(poolId, { height: last.height ?? null, ts: last.ts ?? null }, c);
+    });
+  }
+}
+
+/**
+ * record one CL event; with a BlockBatch it waits for the per-height transaction.
+ * { apply:false } (backfill) only stores it.
+ */
+export async function recordClEvent(ev, batch = null, { apply = true } = {}) {
+  if (batch) batch.cl.push(ev);
+  else await flushCl([ev], DB, { apply });
+}
+
+/** state + initialized ticks for quoting, keyed by pool_id */
+export async function loadClStates(poolIds) {
+  const out = new Map();
+  if (!poolIds.length) return out;
+  const [{ rows: st }, { rows: tk }] = await Promise.all([
+    DB.query(`SELECT pool_id, sqrt_price, liquidity FROM cl_pool_state WHERE pool_id = ANY($1) AND sqrt_price IS NOT NULL`, [poolIds]),
+    DB.query(`SELECT pool_id, tick, liquidity_net FROM cl_ticks WHERE pool_id = ANY($1) ORDER BY pool_id, tick`, [poolIds])
+  ]);
+  for (const s of st) {
+    out.set(String(s.pool_id), { sqrtPrice: Number(s.sqrt_price), liquidity: Number(s.liquidity), ticks: [] });
+  }
+  for (const t of tk) out.get(String(t.pool_id))?.ticks.push({ tick: t.tick, net: Number(t.liquidity_net) });
+  return out;
+}
+
+export default {
+  isConcentrated, tickToSqrtPrice, clSpotPrice, clAmounts, simulateCLRaw, simulateCL,
+  flushCl, recordClEvent, refoldClPools, loadClStates
+};
@@ -0,0 +1,126 @@
+// core/dex/index.js — DEX protocol adapter registry
+//
+// An adapter teaches the indexer one DEX protocol. It is a plain object:
+//
+//   {
+//     key:  'oroswap',                  // stored in dex_catalogue.adapter
+//     name: 'OroSwap',
+//     parsePairCreations(ctx) → [{ factory, poolAddr, pairType, base, quote, lpDenom?, msgIndex }]
+//     parseSwaps(ctx)         → [{ pairContract, offer, ask, offerAmt, askAmt, retAmt,
+//                                  res1d, res1a, res2d, res2a, msgIndex, isRouter,
+//                                  sqrtPrice?, tick?, liquidity? }]      // CL pairs only
+//     parseLiquidity(ctx)     → [{ pairContract, action: 'provide'|'withdraw',
+//                                  res1d, res1a, res2d, res2a, hasReserves, shareBase, msgIndex,
+//                                  assets: [{ denom, amount_base }], owner? }]  // deposited/refunded
+//     parsePositions(ctx)     → [{ pairContract, positionId, owner, tickLower, tickUpper,
+//                                  liquidityDelta, msgIndex }]          // optional, CL pairs
+//     queryAmp(pairContract)  → stableswap amplification (optional, async)
+//     queryLpDenom(pairContract) → LP share denom (optional, async)
+//     buildSwapMsg(args)      → unsigned MsgExecuteContract for a direct pair swap
+//     buildRouterMsg(args)    → unsigned MsgExecuteContract for a multi-hop router swap
+//     pairFee(pairType)       → taker fee fraction
+//     loadPairFees(factory)   → re-read fee config from the factory (optional, async)
+//   }
+//
+// ctx = { wasms, insts, executes } — per-tx events already decoded by parse.byType().
+// Pool creations are kept only when the factory maps to the adapter (dex_catalogue);
+// swaps/liquidity only when the pool belongs to it, so two DEXes may share action names.
+
+import { DB } from '../../lib/db.js';
+import { warn } from '../../lib/log.js';
+import oroswap from './oroswap.js';
+
+const ADAPTERS = new Map();
+export const DEFAULT_ADAPTER = process.env.DEFAULT_DEX_ADAPTER || oroswap.key;
+const FACTORY_MAP_TTL_MS = parseInt(process.env.DEX_FACTORY_TTL_MS || '60000', 10);
+const PAIR_FEE_TTL_MS = parseInt(process.env.DEX_PAIR_FEE_TTL_MS || '600000', 10);
+
+export function registerAdapter(adapter) {
+  if (!adapter?.key) throw new Error('dex adapter: missing key');
+  ADAPTERS.set(adapter.key, adapter);
+}
+
+registerAdapter(oroswap);
+
+export function allAdapters() {
+  return Array.from(ADAPTERS.values());
+}
+
+/** adapter by key; unknown/null keys fall back to the default adapter */
+export function getAdapter(key) {
+  return ADAPTERS.get(key || DEFAULT_ADAPTER) || ADAPTERS.get(DEFAULT_ADAPTER);
+}
+
+let factoryMap = new Map(); // factory_contract -> adapter key
+let factoryMapAt = 0;
+
+/** factory_contract → adapter key from dex_catalogue (cached) */
+export async function factoryAdapters() {
+  if (Date.now() - factoryMapAt < FACTORY_MAP_TTL_MS) return factoryMap;
+  try {
+    const { rows } = await DB.query(`SELECT factory_contract, adapter FROM dex_catalogue`);
+    factoryMap = new Map(rows.map(r => [r.factory_contract, r.adapter || DEFAULT_ADAPTER]));
+    factoryMapAt = Date.now();
+  } catch (e) {
+    warn('[dex] factory map', e.message);
+  }
+  return factoryMap;
+}
+
+/**
+ * Which adapter owns events from `factory`. Factories not in dex_catalogue yet
+ * go to the default adapter (upsertPool registers them on first sight).
+ */
+export function adapterKeyForFactory(map, factory) {
+  return map.get(factory) || DEFAULT_ADAPTER;
+}
+
+let pairFeesAt = 0;
+let pairFeesLoading = null;
+
+/**
+ * Let adapters re-read on-chain fee config from their factories (cached).
+ * poolFee() starts this in the background; the adapter's own fees apply until it lands.
+ */
+export function refreshPairFees() {
+  if (pairFeesLoading) return pairFeesLoading;
+  if (Date.now() - pairFeesAt < PAIR_FEE_TTL_MS) return Promise.resolve();
+  pairFeesAt = Date.now();
+  pairFeesLoading = (async () => {
+    try {
+      for (const [factory, key] of await factoryAdapters()) {
+        await ADAPTERS.get(key)?.loadPairFees?.(factory);
+      }
+    } catch (e) {
+      warn('[dex] pair fees', e.message);
+    } finally {
+      pairFeesLoading = null;
+    }
+  })();
+  return pairFeesLoading;
+}
+
+/** taker fee for a pool row carrying `adapter` + `pair_type` */
+export function poolFee(adapterKey, pairType) {
+  refreshPairFees();
+  return getAdapter(adapterKey).pairFee(pairType);
+}
+
+/**
+ * Swap fee for every (adapter, pair_type) in use, from the DEX adapters,
+ * as a jsonb param SQL can join on (fees live in code, not in the DB).
+ */
+export async function poolFeeTable(db = DB) {
+  await refreshPairFees();
+  const { rows } = await db.query(`
+    SELECT DISTINCT COALESCE(d.adapter, $1) AS adapter, p.pair_type
+    FROM pools p
+    LEFT JOIN dex_catalogue d ON d.dex_id = p.dex_id
+  `, [DEFAULT_ADAPTER]);
+  return JSON.stringify(rows.map(r => ({ adapter: r.adapter, pair_type: r.pair_type, fee: poolFee(r.adapter, r.pair_type) })));
+}
+
+export default {
+  registerAdapter, allAdapters, getAdapter, factoryAdapters, adapterKeyForFactory,
+  refreshPairFees, poolFee, poolFeeTable, DEFAULT_ADAPTER
+};
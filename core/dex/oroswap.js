@@ -0,0 +1,296 @@
+// core/dex/oroswap.js — OroSwap (Astroport-style) pair/factory events
+import {
+  digitsOrNull, wasmByAction, normalizePair, parseReservesKV, parseAssetsList
+} from '../parse.js';
+import { warn } from '../../lib/log.js';
+import { lcdSmart } from '../../lib/lcd.js';
+
+const ROUTER_ADDR = process.env.ROUTER_ADDR || null;
+// router operation key (OroSwap's router is Astroport's)
+const ROUTER_SWAP_OP = process.env.ORO_ROUTER_SWAP_OP || 'astro_swap';
+const MSG_EXECUTE = '/cosmwasm.wasm.v1.MsgExecuteContract';
+
+const decimalOrNull = (x) => { const s = String(x ?? ''); return /^\d+(\.\d+)?$/.test(s) ? s : null; };
+const intOrNull = (x) => { const s = String(x ?? ''); return /^-?\d+$/.test(s) ? Number(s) : null; };
+
+const isCw20 = (denom) => /^zig1[0-9a-z]{38,}$/.test(String(denom || ''));
+// bank denoms only: older pairs log a CW20 share contract, which lp-supply cannot read as a denom
+const bankDenomOrNull = (d) => (d && !isCw20(d) ? d : null);
+
+const lpDenomAttr = (m) =>
+  bankDenomOrNull(m?.get('liquidity_token_denom') || m?.get('lp_denom') || m?.get('liquidity_token'));
+
+/** create_pair on the factory → new pool */
+function parsePairCreations({ wasms, insts }) {
+  const out = [];
+  for (const cp of wasmByAction(wasms, 'create_pair')) {
+    const factory = (cp.m.get('_contract_address') || '').trim();
+    if (!factory) continue;
+
+    const pairType = String(cp.m.get('pair_type') || 'xyk');
+    const { base, quote } = normalizePair(cp.m.get('pair'));
+
+    const reg = wasms.find(w =>
+      w.m.get('action') === 'register' &&
+      w.m.get('_contract_address') === factory
+    );
+
+    const poolAddr = reg?.m.get('pair_contract_addr') || insts.at(-1)?.m.get('_contract_address');
+    if (!poolAddr) { warn('create_pair: could not find pool addr'); continue; }
+
+    // the pair creates its LP denom when instantiated; older factories do not log it
+    const pairInit = wasms.find(w => w.m.get('_contract_address') === poolAddr && lpDenomAttr(w.m));
+    const lpDenom = lpDenomAttr(reg?.m) || lpDenomAttr(pairInit?.m) || null;
+
+    out.push({ factory, poolAddr, pairType, base, quote, lpDenom, msgIndex: Number(cp.m.get('msg_index')) });
+  }
+  return out;
+}
+
+function swapReserves(m) {
+  let res1d = m.get('reserve_asset1_denom') || m.get('asset1_denom') || null;
+  let res1a = digitsOrNull(m.get('reserve_asset1_amount') || m.get('asset1_amount'));
+  let res2d = m.get('reserve_asset2_denom') || m.get('asset2_denom') || null;
+  let res2a = digitsOrNull(m.get('reserve_asset2_amount') || m.get('asset2_amount'));
+  const reservesStr = m.get('reserves');
+  if ((!res1d || !res1a || !res2d || !res2a) && reservesStr) {
+    const kv = parseReservesKV(reservesStr);
+    if (kv?.[0]) { res1d = res1d ?? kv[0].denom; res1a = res1a ?? digitsOrNull(kv[0].amount_base); }
+    if (kv?.[1]) { res2d = res2d ?? kv[1].denom; res2a = res2a ?? digitsOrNull(kv[1].amount_base); }
+  }
+  return { res1d, res1a, res2d, res2a };
+}
+
+/** swap on a pair contract */
+function parseSwaps({ wasms, executes }) {
+  const out = [];
+  const swaps = wasmByAction(wasms, 'swap');
+  for (let idx = 0; idx < swaps.length; idx++) {
+    const s = swaps[idx];
+    const pairContract = s.m.get('_contract_address');
+    if (!pairContract) continue;
+
+    const msgIndex = Number(s.m.get('msg_index') ?? idx);
+    const poolSwapSender = s.m.get('sender') || null;
+    const routerExec = !!ROUTER_ADDR && executes.some(e => e.m.get('_contract_address') === ROUTER_ADDR && Number(e.m.get('msg_index') || -1) === msgIndex);
+
+    out.push({
+      pairContract,
+      offer: s.m.get('offer_asset') || s.m.get('offer_asset_denom'),
+      ask: s.m.get('ask_asset') || s.m.get('ask_asset_denom'),
+      offerAmt: digitsOrNull(s.m.get('offer_amount')),
+      askAmt: digitsOrNull(s.m.get('ask_amount')),
+      retAmt: digitsOrNull(s.m.get('return_amount')),
+      ...swapReserves(s.m),
+      msgIndex,
+      isRouter: !!(ROUTER_ADDR && (poolSwapSender === ROUTER_ADDR || routerExec)),
+      // concentrated pairs report the post-swap curve state (token1/token0 orientation)
+      sqrtPrice: decimalOrNull(s.m.get('sqrt_price')),
+      tick: intOrNull(s.m.get('tick') ?? s.m.get('current_tick')),
+      liquidity: decimalOrNull(s.m.get('liquidity'))
+    });
+  }
+  return out;
+}
+
+/** provide_liquidity / withdraw_liquidity on a pair contract */
+function parseLiquidity({ wasms }) {
+  const out = [];
+  const liqs = [...wasmByAction(wasms, 'provide_liquidity'), ...wasmByAction(wasms, 'withdraw_liquidity')];
+  for (let li = 0; li < liqs.length; li++) {
+    const le = liqs[li];
+    const pairContract = le.m.get('_contract_address');
+    if (!pairContract) continue;
+
+    const isProvide = (le.m.get('action') === 'provide_liquidity');
+
+    let res1d = le.m.get('reserve_asset1_denom') || null;
+    let res1a = digitsOrNull(le.m.get('reserve_asset1_amount'));
+    let res2d = le.m.get('reserve_asset2_denom') || null;
+    let res2a = digitsOrNull(le.m.get('reserve_asset2_amount'));
+
+    const assetsStr = isProvide ? le.m.get('assets') : le.m.get('refund_assets');
+    const parsed = assetsStr ? parseAssetsList(assetsStr) : null;
+    // what the wallet put in / got back (LP cost basis), separate from reserves
+    const assets = [parsed?.a1, parsed?.a2]
+      .filter(a => a?.denom && digitsOrNull(a.amount_base))
+      .map(a => ({ denom: a.denom, amount_base: digitsOrNull(a.amount_base) }));
+    const reservesStr = le.m.get('reserves');
+    if ((!res1d || !res1a || !res2d || !res2a) && reservesStr) {
+      const kv = parseReservesKV(reservesStr);
+      if (kv?.[0]) { res1d = res1d ?? kv[0].denom; res1a = res1a ?? digitsOrNull(kv[0].amount_base); }
+      if (kv?.[1]) { res2d = res2d ?? kv[1].denom; res2a = res2a ?? digitsOrNull(kv[1].amount_base); }
+    }
+    // only logged reserves describe the pool; the assets fill below is for the trade row
+    const hasReserves = !!(res1d && res1a && res2d && res2a);
+    if (!hasReserves && parsed) {
+      if (parsed?.a1) { res1d = res1d ?? parsed.a1.denom; res1a = res1a ?? digitsOrNull(parsed.a1.amount_base); }
+      if (parsed?.a2) { res2d = res2d ?? parsed.a2.denom; res2a = res2a ?? digitsOrNull(parsed.a2.amount_base); }
+    }
+
+    const shareBase = digitsOrNull(
+      isProvide
+        ? (le.m.get('share'))
+        : (le.m.get('withdrawn_share') || le.m.get('withdraw_share') ||
+           le.m.get('liquidity') || le.m.get('burn_share') ||
+           le.m.get('burnt_share') || le.m.get('share'))
+    );
+
+    out.push({
+      pairContract,
+      action: isProvide ? 'provide' : 'withdraw',
+      res1d, res1a, res2d, res2a, hasReserves,
+      assets,
+      owner: (isProvide ? le.m.get('receiver') : le.m.get('sender')) || null,
+      shareBase,
+      msgIndex: Number(le.m.get('msg_index') ?? li)
+    });
+  }
+  return out;
+}
+
+const POSITION_ACTIONS = {
+  create_position: 1,
+  add_to_position: 1,
+  increase_liquidity: 1,
+  withdraw_position: -1,
+  decrease_liquidity: -1
+};
+
+/** concentrated pairs: position opened/changed/closed → liquidity delta over [lower, upper) */
+function parsePositions({ wasms }) {
+  const out = [];
+  for (const w of wasms) {
+    const sign = POSITION_ACTIONS[w.m.get('action')];
+    if (!sign) continue;
+    const pairContract = w.m.get('_contract_address');
+    const tickLower = intOrNull(w.m.get('lower_tick') ?? w.m.get('tick_lower'));
+    const tickUpper = intOrNull(w.m.get('upper_tick') ?? w.m.get('tick_upper'));
+    const liq = decimalOrNull(w.m.get('liquidity') ?? w.m.get('liquidity_amount'));
+    const positionId = w.m.get('position_id');
+    if (!pairContract || tickLower == null || tickUpper == null || liq == null || !positionId) continue;
+
+    out.push({
+      pairContract,
+      positionId: String(positionId),
+      owner: w.m.get('owner') || w.m.get('sender') || null,
+      tickLower,
+      tickUpper,
+      liquidityDelta: sign > 0 ? liq : `-${liq}`,
+      msgIndex: Number(w.m.get('msg_index') ?? 0)
+    });
+  }
+  return out;
+}
+
+// stable pairs: total_fee_bps from the factory's pair_configs (loadPairFees); until
+// that is read, Astroport's stableswap default of 5 bps, which OroSwap's factory forks
+const ASTRO_STABLE_FEE_BPS = 5;
+let stableFeeBps = null;
+
+/** factory { config: {} } → the stable pair_config's total_fee_bps */
+async function loadPairFees(factory) {
+  try {
+    const j = await lcdSmart(factory, { config: {} });
+    const cfg = j?.data || j || {};
+    const stable = (cfg.pair_configs || []).find(pc => pc?.pair_type?.stable !== undefined); // { stable: {} }
+    const bps = Number(stable?.total_fee_bps);
+    if (stable && Number.isFinite(bps) && bps >= 0) stableFeeBps = bps;
+  } catch (e) {
+    warn('[oroswap] factory fees', factory, e.message);
+  }
+}
+
+/** pair type → taker fee fraction */
+function pairFee(pairType) {
+  if (!pairType) return 0.003;
+  const t = String(pairType).toLowerCase();
+  if (t === 'xyk') return 0.0001;
+  if (t === 'concentrated') return 0.01;
+  if (t === 'stable') return (stableFeeBps ?? ASTRO_STABLE_FEE_BPS) / 10_000;
+  const m = t.match(/xyk[_-](\d+)/);
+  if (m) {
+    const bps = Number(m[1]);
+    if (Number.isFinite(bps)) return bps / 10_000;
+  }
+  return 0.003;
+}
+
+/** stable pairs: amp lives in the base64 `params` of { config: {} } */
+async function queryAmp(pairContract) {
+  const j = await lcdSmart(pairContract, { config: {} });
+  const cfg = j?.data || j || {};
+  let params = cfg.params ?? null;
+  if (typeof params === 'string') {
+    try { params = JSON.parse(Buffer.from(params, 'base64').toString('utf8')); } catch { params = null; }
+  }
+  const amp = Number(params?.amp ?? cfg.amp);
+  return Number.isFinite(amp) && amp > 0 ? amp : null;
+}
+
+/** LP share denom from the pair's { pair: {} } info */
+async function queryLpDenom(pairContract) {
+  const j = await lcdSmart(pairContract, { pair: {} });
+  const info = j?.data || j || {};
+  return bankDenomOrNull(info.liquidity_token || info.lp_denom);
+}
+
+/* ───────────────────── unsigned tx messages ───────────────────── */
+
+const assetInfo = (denom) => isCw20(denom)
+  ? { token: { contract_addr: denom } }
+  : { native_token: { denom } };
+const b64json = (o) => Buffer.from(JSON.stringify(o)).toString('base64');
+
+/** cw20 offers go through token.send with the hook msg; natives attach funds */
+function execute(sender, target, offerDenom, offerAmount, hook) {
+  if (isCw20(offerDenom)) {
+    return {
+      typeUrl: MSG_EXECUTE,
+      value: { sender, contract: offerDenom, msg: { send: { contract: target, amount: offerAmount, msg: b64json(hook) } }, funds: [] }
+    };
+  }
+  return {
+    typeUrl: MSG_EXECUTE,
+    value: { sender, contract: target, msg: hook, funds: [{ denom: offerDenom, amount: offerAmount }] }
+  };
+}
+
+/** direct pair swap (amounts are raw integer strings, prices Decimal strings) */
+function buildSwapMsg({ sender, pairContract, offerDenom, offerAmount, beliefPrice, maxSpread, to = null }) {
+  const swap = { belief_price: beliefPrice, max_spread: maxSpread, ...(to ? { to } : {}) };
+  if (isCw20(offerDenom)) return execute(sender, pairContract, offerDenom, offerAmount, { swap });
+  return execute(sender, pairContract, offerDenom, offerAmount, {
+    swap: { offer_asset: { info: assetInfo(offerDenom), amount: offerAmount }, ...swap }
+  });
+}
+
+/** multi-hop through the router; hops: [{ offerDenom, askDenom }] */
+function buildRouterMsg({ sender, router, hops, offerAmount, minimumReceive, maxSpread, to = null }) {
+  const operations = hops.map(h => ({
+    [ROUTER_SWAP_OP]: { offer_asset_info: assetInfo(h.offerDenom), ask_asset_info: assetInfo(h.askDenom) }
+  }));
+  return execute(sender, router, hops[0].offerDenom, offerAmount, {
+    execute_swap_operations: {
+      operations,
+      minimum_receive: minimumReceive,
+      max_spread: maxSpread,
+      ...(to ? { to } : {})
+    }
+  });
+}
+
+export default {
+  key: 'oroswap',
+  name: 'OroSwap',
+  parsePairCreations,
+  parseSwaps,
+  parseLiquidity,
+  parsePositions,
+  queryAmp,
+  queryLpDenom,
+  buildSwapMsg,
+  buildRouterMsg,
+  pairFee,
+  loadPairFees
+};
@@ -0,0 +1,50 @@
+// core/failed-heights.js
+import { DB } from '../lib/db.js';
+
+// retry backoff: base * 2^attempts seconds, capped; give up after MAX attempts
+const FAILED_RETRY_BASE_SEC = parseInt(process.env.FAILED_RETRY_BASE_SEC || '30', 10);
+const FAILED_RETRY_MAX_SEC  = parseInt(process.env.FAILED_RETRY_MAX_SEC || '21600', 10); // 6h
+const FAILED_MAX_ATTEMPTS   = parseInt(process.env.FAILED_MAX_ATTEMPTS || '12', 10);
+
+/**
+ * Park a height that kept failing so the checkpoint can move on without
+ * losing it. Re-parking the same height adds to its attempt count and
+ * pushes the next retry out exponentially.
+ */
+export async function parkHeight(height, error, attempts, db = DB) {
+  await db.query(`
+    INSERT INTO failed_heights(height, error, stack, attempts, next_retry_at)
+    VALUES ($1,$2,$3,$4, now() + LEAST($6::float8, $5::float8 * power(2, $4::int)) * interval '1 second')
+    ON CONFLICT (height) DO UPDATE SET
+      error          = EXCLUDED.error,
+      stack          = EXCLUDED.stack,
+      attempts       = failed_heights.attempts + EXCLUDED.attempts,
+      status         = CASE WHEN failed_heights.attempts + EXCLUDED.attempts >= $7 THEN 'abandoned' ELSE 'pending' END,
+      last_failed_at = now(),
+      next_retry_at  = now() + LEAST($6::float8, $5::float8 * power(2, failed_heights.attempts + EXCLUDED.attempts)) * interval '1 second',
+      resolved_at    = NULL
+  `, [
+    height, String(error?.message || error), error?.stack || null, attempts,
+    FAILED_RETRY_BASE_SEC, FAILED_RETRY_MAX_SEC, FAILED_MAX_ATTEMPTS
+  ]);
+}
+
+export async function resolveHeight(height, db = DB) {
+  await db.query(
+    `UPDATE failed_heights SET status = 'resolved', resolved_at = now() WHERE height = $1`,
+    [height]
+  );
+}
+
+/** pending heights whose backoff has elapsed, oldest first */
+export async function dueHeights(limit = 10) {
+  const { rows } = await DB.query(`
+    SELECT height, attempts FROM failed_heights
+    WHERE status = 'pending' AND next_retry_at <= now()
+    ORDER BY height
+    LIMIT $1
+  `, [limit]);
+  return rows.map(r => ({ height: Number(r.height), attempts: r.attempts }));
+}
+
+export default { parkHeight, resolveHeight, dueHeights };
@@ -0,0 +1,153 @@
+// core/index-ranges.js
+import { DB, tx } from '../lib/db.js';
+import { readCheckpoint } from './checkpoint.js';
+
+/**
+ * Record height `h` as fully processed: extend the range ending at h-1, or
+ * open a new [h,h] range. Overlaps/adjacent ranges (parallel backfill shards)
+ * are merged later by compactRanges().
+ */
+export async function markIndexed(h, db = DB) {
+  await db.query(`
+    WITH ext AS (
+      UPDATE index_ranges SET end_height = $1, updated_at = now()
+      WHERE end_height = $1 - 1
+      RETURNING start_height
+    )
+    INSERT INTO index_ranges(start_height, end_height)
+    SELECT $1, $1
+    WHERE NOT EXISTS (SELECT 1 FROM ext)
+      AND NOT EXISTS (SELECT 1 FROM index_ranges WHERE $1 BETWEEN start_height AND end_height)
+    ON CONFLICT (start_height) DO NOTHING
+  `, [h]);
+}
+
+/** forget everything at or above `h` (reorg rollback) */
+export async function trimRangesFrom(h, db = DB) {
+  await db.query(`DELETE FROM index_ranges WHERE start_height >= $1`, [h]);
+  await db.query(`UPDATE index_ranges SET end_height = $1 - 1, updated_at = now() WHERE end_height >= $1`, [h]);
+}
+
+/**
+ * Merge overlapping/adjacent ranges. Heights in block_hashes below the first
+ * range (indexed before ranges existed) are seeded first, so they are not
+ * all reported as gaps.
+ * @returns {Promise<{before:number, after:number}>}
+ */
+export async function compactRanges() {
+  return tx(async (client) => {
+    await client.query('LOCK TABLE index_ranges IN EXCLUSIVE MODE');
+
+    await client.query(`
+      INSERT INTO index_ranges(start_height, end_height)
+      SELECT MIN(height), MAX(height)
+      FROM (
+        SELECT height, height - ROW_NUMBER() OVER (ORDER BY height) AS grp
+        FROM block_hashes
+        WHERE NOT EXISTS (SELECT 1 FROM index_ranges r WHERE r.start_height <= block_hashes.height)
+      ) x
+      GROUP BY grp
+      ON CONFLICT (start_height) DO NOTHING
+    `);
+
+    const { rows } = await client.query(`
+      WITH o AS (
+        SELECT start_height, end_height,
+               MAX(end_height) OVER (ORDER BY start_height, end_height
+                                     ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING) AS prev_max
+        FROM index_ranges
+      ),
+      g AS (
+        SELECT start_height, end_height,
+               SUM(CASE WHEN prev_max IS NULL OR start_height > prev_max + 1 THEN 1 ELSE 0 END)
+                 OVER (ORDER BY start_height, end_height) AS grp
+        FROM o
+      )
+      SELECT MIN(start_height) AS s, MAX(end_height) AS e, COUNT(*)::int AS n
+      FROM g GROUP BY grp ORDER BY s
+    `);
+
+    const before = rows.reduce((a, r) => a + r.n, 0);
+    if (rows.length < before) {
+      await client.query(`DELETE FROM index_ranges`);
+      await client.query(
+        `INSERT INTO index_ranges(start_height, end_height) SELECT * FROM unnest($1::bigint[], $2::bigint[])`,
+        [rows.map(r => r.s), rows.map(r => r.e)]
+      );
+    }
+    return { before, after: rows.length };
+  });
+}
+
+/**
+ * Holes between indexed ranges inside [from, to]. `to` defaults to the live
+ * checkpoint (heights above it are pending, not missing), `from` to the first
+ * indexed height. Each gap says how many of its heights are already queued
+ * in failed_heights.
+ */
+export async function findGaps({ from = null, to = null, limit = 500 } = {}) {
+  if (to == null) to = await readCheckpoint();
+  if (from == null) {
+    const { rows } = await DB.query(`SELECT MIN(start_height) AS h FROM index_ranges`);
+    from = rows[0]?.h;
+  }
+  if (from == null || to == null || Number(to) < Number(from)) return { from, to, gaps: [], missing: 0 };
+
+  const { rows } = await DB.query(`
+    WITH r AS (
+      SELECT GREATEST(start_height, $1) AS s, LEAST(end_height, $2) AS e
+      FROM index_ranges
+      WHERE end_height >= $1 AND start_height <= $2
+    ),
+    b AS (
+      SELECT s, e, MAX(e) OVER (ORDER BY s ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING) AS prev_e
+      FROM r
+    ),
+    gaps AS (
+      SELECT COALESCE(prev_e, $1 - 1) + 1 AS gap_from, s - 1 AS gap_to
+      FROM b WHERE s > COALESCE(prev_e, $1 - 1) + 1
+      UNION ALL
+      SELECT COALESCE(MAX(e), $1 - 1) + 1, $2
+      FROM r HAVING COALESCE(MAX(e), $1 - 1) < $2
+    )
+    SELECT g.gap_from, g.gap_to, g.gap_to - g.gap_from + 1 AS heights,
+           (SELECT COUNT(*) FROM failed_heights f
+             WHERE f.height BETWEEN g.gap_from AND g.gap_to AND f.status = 'pending')   AS queued,
+           (SELECT COUNT(*) FROM failed_heights f
+             WHERE f.height BETWEEN g.gap_from AND g.gap_to AND f.status = 'abandoned') AS abandoned
+    FROM gaps g
+    ORDER BY g.gap_from
+    LIMIT $3
+  `, [from, to, limit]);
+
+  const gaps = rows.map(r => ({
+    from: Number(r.gap_from), to: Number(r.gap_to), heights: Number(r.heights),
+    queued: Number(r.queued), abandoned: Number(r.abandoned)
+  }));
+  return { from: Number(from), to: Number(to), gaps, missing: gaps.reduce((a, g) => a + g.heights, 0) };
+}
+
+/**
+ * Queue gap heights in failed_heights so the retry worker replays them.
+ * Already-pending heights are left alone; resolved ones are re-opened.
+ * @returns {Promise<number>} heights queued
+ */
+export async function enqueueGaps(gaps, { max = 10000 } = {}) {
+  let queued = 0;
+  for (const g of gaps) {
+    const room = max - queued;
+    if (room <= 0) break;
+    const { rowCount } = await DB.query(`
+      INSERT INTO failed_heights(height, error, attempts, next_retry_at)
+      SELECT h, 'gap: never indexed', 0, now()
+      FROM generate_series($1::bigint, LEAST($2::bigint, $1::bigint + $3 - 1)) AS h
+      ON CONFLICT (height) DO UPDATE SET
+        status = 'pending', next_retry_at = now(), resolved_at = NULL
+      WHERE failed_heights.status = 'resolved'
+    `, [g.from, g.to, room]);
+    queued += rowCount;
+  }
+  return queued;
+}
+
+export default { markIndexed, trimRangesFrom, compactRanges, findGaps, enqueueGaps };
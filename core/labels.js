@@ -0,0 +1,91 @@
+// core/labels.js — wallet labels (smart money, creators, routers, bots)
+//
+// wallet_labels holds one row per (address, label). 'auto' rows are owned by
+// jobs/wallet-labels.js and replaced wholesale on each pass; 'manual' rows come
+// from the admin API and are never touched by the job. Hiding an auto label
+// keeps its row with is_hidden so the next pass does not bring it back.
+import { DB, tx } from '../lib/db.js';
+
+export const AUTO_LABELS = ['token_creator', 'pool_creator', 'router', 'top_trader', 'early_buyer', 'bot'];
+export const LABEL_RX = /^[a-z0-9_:-]{1,48}$/;
+
+/** visible labels for a set of addresses → Map(address → [label]) */
+export async function labelsFor(addresses, db = DB) {
+  const out = new Map();
+  const list = [...new Set((addresses || []).filter(Boolean))];
+  if (!list.length) return out;
+  const { rows } = await db.query(`
+    SELECT address, label
+    FROM wallet_labels
+    WHERE address = ANY($1) AND NOT is_hidden
+    ORDER BY address, source DESC, label
+  `, [list]);
+  for (const r of rows) {
+    if (!out.has(r.address)) out.set(r.address, []);
+    out.get(r.address).push(r.label);
+  }
+  return out;
+}
+
+/**
+ * replace the auto rows of one label with `rows` ([{ address, meta }]);
+ * manual and hidden rows for the same (address, label) are left alone
+ * @returns {Promise<number>} labelled addresses
+ */
+export async function syncAutoLabel(label, rows) {
+  const items = rows.filter(r => r.address).map(r => ({ address: r.address, meta: r.meta ?? null }));
+  await tx(async (client) => {
+    if (items.length) {
+      await client.query(`
+        INSERT INTO wallet_labels(address, label, source, meta)
+        SELECT x.address, $1, 'auto', x.meta
+        FROM jsonb_to_recordset($2::jsonb) AS x(address TEXT, meta JSONB)
+        ON CONFLICT (address, label) DO UPDATE SET
+          meta = EXCLUDED.meta,
+          updated_at = now()
+        WHERE wallet_labels.source = 'auto'
+      `, [label, JSON.stringify(items)]);
+    }
+    await client.query(`
+      DELETE FROM wallet_labels
+      WHERE label = $1 AND source = 'auto' AND NOT is_hidden
+        AND NOT (address = ANY($2))
+    `, [label, items.map(i => i.address)]);
+  });
+  return items.length;
+}
+
+/** add (or re-show) a manual label */
+export async function setManualLabel({ address, label, note = null, createdBy = null }) {
+  const { rows } = await DB.query(`
+    INSERT INTO wallet_labels(address, label, source, note, created_by)
+    VALUES ($1, $2, 'manual', $3, $4)
+    ON CONFLICT (address, label) DO UPDATE SET
+      source = 'manual',
+      note = COALESCE(EXCLUDED.note, wallet_labels.note),
+      created_by = COALESCE(EXCLUDED.created_by, wallet_labels.created_by),
+      is_hidden = FALSE,
+      updated_at = now()
+    RETURNING *
+  `, [address, label, note, createdBy]);
+  return rows[0];
+}
+
+/** manual labels are deleted; auto labels are hidden so the job keeps them off */
+export async function removeLabel(address, label) {
+  const { rows } = await DB.query(`
+    WITH del AS (
+      DELETE FROM wallet_labels
+      WHERE address = $1 AND label = $2 AND source = 'manual'
+      RETURNING address, label, source, FALSE AS is_hidden
+    ), hid AS (
+      UPDATE wallet_labels SET is_hidden = TRUE, updated_at = now()
+      WHERE address = $1 AND label = $2 AND source = 'auto'
+      RETURNING address, label, source, is_hidden
+    )
+    SELECT * FROM del UNION ALL SELECT * FROM hid
+  `, [address, label]);
+  return rows[0] || null;
+}
+
+export default { AUTO_LABELS, LABEL_RX, labelsFor, syncAutoLabel, setManualLabel, removeLabel };
@@ -0,0 +1,208 @@
+// core/lp.js — LP share positions per wallet (XYK / stable pairs)
+//
+// lp_events keeps every provide/withdraw with the assets that went in or came
+// out; lp_positions is rebuilt from a wallet's events in a pool whenever new
+// ones land, so live indexing, backfills, replays and reorg rollbacks all
+// converge on the same state. Cost basis is in the pool's quote token,
+// valued at the pool price of the event's height.
+//
+// The LP share token itself (pools.lp_token_denom) gets its on-chain supply
+// and a ZIG price per share from pool TVL (jobs/lp-supply.js).
+import { DB } from '../lib/db.js';
+import { lcdBankSupply } from '../lib/lcd.js';
+import { debug, warn } from '../lib/log.js';
+
+// XYK / stable pair shares are minted with 6 decimals
+export const LP_SHARE_EXP = 6;
+
+/** adapter parseLiquidity() item + pool row → lp_events fields (null when unattributable) */
+export function lpEventFrom(pool, lq, { owner, height, tx_hash, created_at }) {
+  if (!owner || !lq.shareBase) return null;
+  const amt = (denom) => lq.assets?.find(a => a.denom === denom)?.amount_base ?? '0';
+  // the message's own reserves price it, whatever pool_state_history has flushed yet
+  const res = (denom) => !lq.hasReserves ? null : lq.res1d === denom ? lq.res1a : lq.res2d === denom ? lq.res2a : null;
+  return {
+    pool_id: pool.pool_id,
+    owner,
+    action: lq.action,
+    share_base: lq.shareBase,
+    base_amount_base: amt(pool.base_denom),
+    quote_amount_base: amt(pool.quote_denom),
+    reserve_base_base: res(pool.base_denom),
+    reserve_quote_base: res(pool.quote_denom),
+    height, tx_hash, msg_index: lq.msgIndex, created_at
+  };
+}
+
+/** pool price (quote per base, display) from raw reserves */
+async function priceFromReserves(poolId, baseRaw, quoteRaw, db) {
+  const { rows } = await db.query(`
+    SELECT ($2::numeric / power(10::numeric, COALESCE(q.exponent,6)))
+         / NULLIF($3::numeric / power(10::numeric, COALESCE(b.exponent,6)), 0) AS px
+    FROM pools p
+    JOIN tokens b ON b.token_id = p.base_token_id
+    JOIN tokens q ON q.token_id = p.quote_token_id
+    WHERE p.pool_id = $1
+  `, [poolId, quoteRaw, baseRaw]);
+  return rows[0]?.px != null ? Number(rows[0].px) : null;
+}
+
+/** pool price (quote per base, display) at a height, from reserve history */
+async function priceAt(poolId, height, db) {
+  const { rows } = await db.query(`
+    SELECT (h.reserve_quote_base / power(10::numeric, COALESCE(q.exponent,6)))
+         / NULLIF(h.reserve_base_base / power(10::numeric, COALESCE(b.exponent,6)), 0) AS px
+    FROM pool_state_history h
+    JOIN pools p  ON p.pool_id = h.pool_id
+    JOIN tokens b ON b.token_id = p.base_token_id
+    JOIN tokens q ON q.token_id = p.quote_token_id
+    WHERE h.pool_id = $1 AND h.height <= $2
+    ORDER BY h.height DESC
+    LIMIT 1
+  `, [poolId, height]);
+  return rows[0]?.px != null ? Number(rows[0].px) : null;
+}
+
+/**
+ * Replay a wallet's events in one pool into its position.
+ * Withdrawals take their share's fraction of the deposits and cost basis;
+ * what they returned above that cost is realized. Shares withdrawn beyond the
+ * tracked balance (provided before indexing began) have no cost basis, so
+ * their value is kept apart as unmatched rather than booked as profit.
+ */
+function foldEvents(events) {
+  let share = 0n;
+  let depBase = 0, depQuote = 0, cost = 0, realized = 0, unmatched = 0;
+  let provides = 0, withdraws = 0, unmatchedWithdraws = 0;
+  for (const e of events) {
+    const s = BigInt(e.share_base);
+    const b = Number(e.base_amount_base) / Math.pow(10, Number(e.base_exp));
+    const q = Number(e.quote_amount_base) / Math.pow(10, Number(e.quote_exp));
+    // deposit ratio stands in when there is no reserve history for that height
+    const px = e.price_quote != null ? Number(e.price_quote) : (b > 0 ? q / b : 0);
+    const value = b * px + q;
+
+    if (e.action === 'provide') {
+      share += s;
+      depBase += b; depQuote += q; cost += value;
+      provides++;
+    } else {
+      const matched = s > share ? share : s;                      // shares with a tracked deposit
+      const m = s > 0n ? Number(matched) / Number(s) : 0;          // fraction of this withdraw they are
+      const f = share > 0n ? Number(matched) / Number(share) : 0;  // fraction of the position they close
+      realized += value * m - cost * f;
+      if (m < 1) { unmatched += value * (1 - m); unmatchedWithdraws++; }
+      depBase -= depBase * f; depQuote -= depQuote * f; cost -= cost * f;
+      share -= matched;
+      withdraws++;
+    }
+  }
+  return { share, depBase, depQuote, cost, realized, unmatched, provides, withdraws, unmatchedWithdraws };
+}
+
+/** recompute lp_positions for [{ pool_id, owner }] from lp_events */
+export async function rebuildLpPositions(keys, db = DB) {
+  for (const { pool_id, owner } of keys) {
+    const { rows } = await db.query(`
+      SELECT e.action, e.share_base, e.base_amount_base, e.quote_amount_base, e.price_quote,
+             e.height, e.created_at,
+             COALESCE(b.exponent,6) AS base_exp, COALESCE(q.exponent,6) AS quote_exp
+      FROM lp_events e
+      JOIN pools p  ON p.pool_id = e.pool_id
+      JOIN tokens b ON b.token_id = p.base_token_id
+      JOIN tokens q ON q.token_id = p.quote_token_id
+      WHERE e.pool_id = $1 AND e.owner = $2
+      ORDER BY e.height ASC, e.msg_index ASC
+    `, [pool_id, owner]);
+
+    if (!rows.length) {
+      await db.query(`DELETE FROM lp_positions WHERE pool_id = $1 AND owner = $2`, [pool_id, owner]);
+      continue;
+    }
+    const p = foldEvents(rows);
+    await db.query(`
+      INSERT INTO lp_positions(pool_id, owner, share_base, deposited_base, deposited_quote, cost_quote,
+                               realized_quote, unmatched_quote, provides, withdraws, unmatched_withdraws,
+                               first_height, last_height, opened_at, updated_at)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14, now())
+      ON CONFLICT (pool_id, owner) DO UPDATE SET
+        share_base      = EXCLUDED.share_base,
+        deposited_base  = EXCLUDED.deposited_base,
+        deposited_quote = EXCLUDED.deposited_quote,
+        cost_quote      = EXCLUDED.cost_quote,
+        realized_quote  = EXCLUDED.realized_quote,
+        unmatched_quote = EXCLUDED.unmatched_quote,
+        provides        = EXCLUDED.provides,
+        withdraws       = EXCLUDED.withdraws,
+        unmatched_withdraws = EXCLUDED.unmatched_withdraws,
+        first_height    = EXCLUDED.first_height,
+        last_height     = EXCLUDED.last_height,
+        opened_at       = EXCLUDED.opened_at,
+        updated_at      = now()
+    `, [
+      pool_id, owner, p.share.toString(), p.depBase, p.depQuote, p.cost, p.realized, p.unmatched,
+      p.provides, p.withdraws, p.unmatchedWithdraws, rows[0].height, rows.at(-1).height, rows[0].created_at
+    ]);
+  }
+}
+
+/** store LP events (idempotent per tx/pool/msg) and refresh the touched positions */
+export async function flushLp(items, db = DB) {
+  if (!items.length) return;
+  const touched = new Map();
+  for (const ev of items) {
+    const px = ev.reserve_base_base && ev.reserve_quote_base
+      ? await priceFromReserves(ev.pool_id, ev.reserve_base_base, ev.reserve_quote_base, db)
+      : await priceAt(ev.pool_id, ev.height, db);
+    await db.query(`
+      INSERT INTO lp_events(pool_id, owner, action, share_base, base_amount_base, quote_amount_base,
+                            price_quote, height, tx_hash, msg_index, created_at)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+      ON CONFLICT (tx_hash, pool_id, msg_index) DO NOTHING
+    `, [ev.pool_id, ev.owner, ev.action, ev.share_base, ev.base_amount_base, ev.quote_amount_base,
+        px, ev.height, ev.tx_hash, ev.msg_index, ev.created_at]);
+    touched.set(`${ev.pool_id}:${ev.owner}`, { pool_id: ev.pool_id, owner: ev.owner });
+  }
+  await rebuildLpPositions([...touched.values()], db);
+  debug('[lp] positions', touched.size);
+}
+
+/** record one LP event; with a BlockBatch it waits for the per-height transaction */
+export async function recordLpEvent(ev, batch = null) {
+  if (!ev) return;
+  if (batch) batch.lp.push(ev);
+  else await flushLp([ev]);
+}
+
+/** on-chain total supply of a pool's LP denom → pools.lp_supply_base */
+export async function refreshLpSupply({ pool_id, lp_token_denom }) {
+  try {
+    const j = await lcdBankSupply(lp_token_denom);
+    const amount = String(j?.amount?.amount ?? '');
+    if (!/^\d+$/.test(amount)) { warn('[lp] supply not available', lp_token_denom); return null; }
+    await DB.query(
+      `UPDATE pools SET lp_supply_base = $2::NUMERIC, lp_supply_updated_at = now() WHERE pool_id = $1`,
+      [pool_id, amount]
+    );
+    return amount;
+  } catch (e) {
+    warn('[lp] supply', lp_token_denom, e.message);
+    return null;
+  }
+}
+
+/** ZIG per LP share (display) = pool TVL / share supply, for every pool with a known supply */
+export async function refreshLpPrices(db = DB) {
+  const { rowCount } = await db.query(`
+    UPDATE pools p
+    SET lp_price_zig = pm.tvl_zig / (p.lp_supply_base / power(10::numeric, $1))
+    FROM pool_matrix pm
+    WHERE pm.pool_id = p.pool_id
+      AND pm.bucket = '24h'
+      AND pm.tvl_zig IS NOT NULL
+      AND p.lp_supply_base > 0
+  `, [LP_SHARE_EXP]);
+  debug('[lp] share prices', rowCount);
+}
+
+export default { LP_SHARE_EXP, lpEventFrom, rebuildLpPositions, flushLp, recordLpEvent, refreshLpSupply, refreshLpPrices };
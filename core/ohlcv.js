@@ -52,7 +52,7 @@ function aggregateBatch(items) {
   return Array.from(map.values());
 }
 
-async function fetchPrevCloses(rows) {
+async function fetchPrevCloses(rows, db = DB) {
   if (!rows.length) return new Map();
 
   // Build VALUES table for keys and join to ohlcv_1m at (bucket_start - 1 minute)
@@ -80,7 +80,7 @@ async function fetchPrevCloses(rows) {
     ) o ON TRUE
   `;
 
-  const { rows: prevs } = await DB.query(sql, params);
+  const { rows: prevs } = await db.query(sql, params);
   const out = new Map();
   for (const r of prevs) {
     const k = keyOf(r.pool_id, r.bucket_start);
@@ -126,51 +126,138 @@ function buildInsertSQL(rowsWithOpens) {
   return { sql, args };
 }
 
+export async function flushOHLCV(items, db = DB) {
+  if (!items.length) return;
+
+  // 1) aggregate within the batch to one row per (pool_id, bucket_start)
+  const agg = aggregateBatch(items);
+
+  agg.sort((a, b) => a.bucket_start - b.bucket_start);
+
+  // 2) fetch previous closes in ONE query
+  const prevMap = await fetchPrevCloses(agg, db);
+
+  // 3) build rows with correct OPEN (= prev close if present, else this minute's first price)
+  const rowsWithOpens = agg.map(r => {
+    const k = keyOf(r.pool_id, r.bucket_start);
+    const prevClose = prevMap.get(k);
+    const openVal = (prevClose ?? r.close); // if no prev candle, fall back to close (same as your original)
+    return { ...r, open: openVal };
+  });
+
+  // 4) single INSERT ... ON CONFLICT
+  const { sql, args } = buildInsertSQL(rowsWithOpens);
+  await db.query(sql, args);
+}
+
 const ohlcvQueue = new BatchQueue({
   maxItems: Number(process.env.OHLCV_BATCH_MAX || 600),
   maxWaitMs: Number(process.env.OHLCV_BATCH_WAIT_MS || 120),
-  flushFn: async (items) => {
-    // 1) aggregate within the batch to one row per (pool_id, bucket_start)
-    const agg = aggregateBatch(items);
-    
-    agg.sort((a, b) => a.bucket_start - b.bucket_start);
-
-    // 2) fetch previous closes in ONE query
-    const prevMap = await fetchPrevCloses(agg);
-
-    // 3) build rows with correct OPEN (= prev close if present, else this minute's first price)
-    const rowsWithOpens = agg.map(r => {
-      const k = keyOf(r.pool_id, r.bucket_start);
-      const prevClose = prevMap.get(k);
-      const openVal = (prevClose ?? r.close); // if no prev candle, fall back to close (same as your original)
-      return { ...r, open: openVal };
-    });
-
-    // 4) single INSERT ... ON CONFLICT
-    const { sql, args } = buildInsertSQL(rowsWithOpens);
-    await DB.query(sql, args);
-  }
+  flushFn: (items) => flushOHLCV(items)
 });
 
 /**
  * Public API — same signature you had before
  * price: candle price to merge (display units; already computed upstream)
+ * batch: optional BlockBatch (exactly-once mode) to hold the row instead of queueing it
  */
-export async function upsertOHLCV1m({ pool_id, bucket_start, price, vol_zig, trade_inc, liquidity_zig = null }) {
+export async function upsertOHLCV1m({ pool_id, bucket_start, price, vol_zig, trade_inc, liquidity_zig = null }, batch = null) {
 
   const bucketMs = Math.floor(new Date(bucket_start).getTime() / 60000) * 60000;
   const bucketAligned = new Date(bucketMs);
 
-  ohlcvQueue.push({
+  const row = {
     pool_id,
     bucket_start: bucketAligned,
     price,
     vol_zig: vol_zig || 0,
     trade_inc: trade_inc || 0,
     liquidity_zig
-  });
+  };
+  if (batch) batch.ohlcv.push(row);
+  else ohlcvQueue.push(row);
 }
 
 export async function drainOHLCV() {
   await ohlcvQueue.drain();
 }
+
+/**
+ * Recompute 1m candles for `poolIds` in [from, to) straight from trades
+ * (price from each swap's post-trade reserves, UZIG-quoted pools only;
+ * CL pools hold no reserves in the pair, so they use the execution price).
+ * Rows are replaced rather than accumulated, so re-running is idempotent —
+ * this is what backfill uses instead of the additive live queue.
+ */
+export async function rebuildOHLCVRange({ poolIds, from, to }, db = DB) {
+  if (!poolIds?.length || !from || !to) return 0;
+  const { rowCount } = await db.query(`
+    WITH t AS (
+      SELECT
+        tr.pool_id, tr.created_at, tr.height, tr.msg_index,
+        date_trunc('minute', tr.created_at) AS bucket_start,
+        p.pair_type ~* 'concentrated' AS is_cl,
+        CASE WHEN tr.reserve_asset1_denom = b.denom
+             THEN tr.reserve_asset1_amount_base ELSE tr.reserve_asset2_amount_base END AS rb,
+        CASE WHEN tr.reserve_asset1_denom = b.denom
+             THEN tr.reserve_asset2_amount_base ELSE tr.reserve_asset1_amount_base END AS rq,
+        CASE WHEN tr.offer_asset_denom = q.denom
+             THEN tr.offer_amount_base ELSE tr.return_amount_base END AS quote_raw,
+        CASE WHEN tr.offer_asset_denom = b.denom
+             THEN tr.offer_amount_base ELSE tr.return_amount_base END AS base_raw,
+        COALESCE(b.exponent::int,6) AS bexp,
+        COALESCE(q.exponent::int,6) AS qexp
+      FROM trades tr
+      JOIN pools  p ON p.pool_id  = tr.pool_id
+      JOIN tokens b ON b.token_id = p.base_token_id
+      JOIN tokens q ON q.token_id = p.quote_token_id
+      WHERE tr.action = 'swap'
+        AND p.is_uzig_quote = TRUE
+        AND tr.pool_id = ANY($1)
+        AND tr.created_at >= $2::timestamptz
+        AND tr.created_at <  $3::timestamptz
+    ),
+    priced AS (
+      SELECT pool_id, bucket_start, created_at, height, msg_index,
+             CASE WHEN is_cl
+                  THEN (quote_raw / power(10::numeric, qexp)) / (base_raw / power(10::numeric, bexp))
+                  ELSE (rq / power(10::numeric, qexp)) / (rb / power(10::numeric, bexp)) END AS price,
+             COALESCE(quote_raw, 0) / power(10::numeric, qexp)                              AS vol_zig
+      FROM t
+      WHERE CASE WHEN is_cl THEN base_raw > 0 AND quote_raw > 0 ELSE rb > 0 AND rq > 0 END
+    ),
+    agg AS (
+      SELECT pool_id, bucket_start,
+             (array_agg(price ORDER BY created_at, height, msg_index))[1]                AS first_px,
+             (array_agg(price ORDER BY created_at DESC, height DESC, msg_index DESC))[1] AS close,
+             MAX(price)   AS high,
+             MIN(price)   AS low,
+             SUM(vol_zig) AS volume_zig,
+             COUNT(*)     AS trade_count
+      FROM priced
+      GROUP BY pool_id, bucket_start
+    ),
+    opened AS (
+      SELECT a.*,
+             COALESCE(
+               LAG(a.close) OVER (PARTITION BY a.pool_id ORDER BY a.bucket_start),
+               (SELECT o.close FROM ohlcv_1m o
+                 WHERE o.pool_id = a.pool_id AND o.bucket_start < $2::timestamptz
+                 ORDER BY o.bucket_start DESC LIMIT 1),
+               a.first_px
+             ) AS open
+      FROM agg a
+    )
+    INSERT INTO ohlcv_1m (pool_id, bucket_start, open, high, low, close, volume_zig, trade_count)
+    SELECT pool_id, bucket_start, open, high, low, close, volume_zig, trade_count
+    FROM opened
+    ON CONFLICT (pool_id, bucket_start) DO UPDATE
+      SET open        = EXCLUDED.open,
+          high        = EXCLUDED.high,
+          low         = EXCLUDED.low,
+          close       = EXCLUDED.close,
+          volume_zig  = EXCLUDED.volume_zig,
+          trade_count = EXCLUDED.trade_count
+  `, [poolIds, from, to]);
+  return rowCount;
+}
@@ -0,0 +1,297 @@
+// core/pnl.js — per-wallet, per-token realized/unrealized PnL from swaps
+//
+// Every swap is one or two legs: the base token bought or sold, and — when the
+// pool is not ZIG-quoted — the quote token going the other way. Legs are valued
+// in ZIG at execution (quote amount × ZIG per quote at that minute) and folded
+// into a position per (address, token, method), for both FIFO lots and average
+// cost. New swaps are queued in wallet_pnl_pending as they commit and folded
+// incrementally in chain order; a wallet whose new trades land before what it
+// already folded (backfills) or that lost trades to a reorg is rebuilt from its
+// full history instead.
+import { DB, tx } from '../lib/db.js';
+import { debug } from '../lib/log.js';
+
+export const PNL_METHODS = ['fifo', 'avg'];
+const PAGE = 5000;
+
+/**
+ * Swaps as legs, ZIG-valued at execution. Non-ZIG quotes use the quote token's
+ * last UZIG candle at or before the trade, falling back to its latest price.
+ */
+const LEGS_SQL = (where) => `
+  WITH t AS (
+    SELECT t.trade_id, t.signer AS address, t.direction, t.height, t.msg_index, t.created_at,
+           p.is_uzig_quote, p.base_token_id, p.quote_token_id, b.denom AS base_denom, q.denom AS quote_denom,
+           (CASE WHEN t.direction = 'buy' THEN t.return_amount_base ELSE t.offer_amount_base END)
+             / power(10::numeric, COALESCE(b.exponent,6)) AS base_amt,
+           (CASE WHEN t.direction = 'buy' THEN t.offer_amount_base ELSE t.return_amount_base END)
+             / power(10::numeric, COALESCE(q.exponent,6)) AS quote_amt
+    FROM trades t
+    JOIN pools p  ON p.pool_id = t.pool_id
+    JOIN tokens b ON b.token_id = p.base_token_id
+    JOIN tokens q ON q.token_id = p.quote_token_id
+    WHERE t.action = 'swap' AND t.direction IN ('buy','sell') AND t.signer IS NOT NULL
+      AND ${where}
+  )
+  SELECT t.*,
+         CASE WHEN t.is_uzig_quote THEN 1::numeric
+              ELSE COALESCE(qz.close, (
+                SELECT pr.price_in_zig FROM prices pr
+                JOIN pools pp ON pp.pool_id = pr.pool_id AND pp.is_uzig_quote = TRUE
+                WHERE pr.token_id = t.quote_token_id
+                ORDER BY pr.updated_at DESC LIMIT 1))
+         END AS zig_per_quote
+  FROM t
+  LEFT JOIN LATERAL (
+    SELECT o.close
+    FROM ohlcv_1m o
+    JOIN pools qp ON qp.pool_id = o.pool_id
+    WHERE NOT t.is_uzig_quote
+      AND qp.base_token_id = t.quote_token_id AND qp.is_uzig_quote = TRUE
+      AND o.bucket_start <= t.created_at
+    ORDER BY o.bucket_start DESC
+    LIMIT 1
+  ) qz ON TRUE
+`;
+
+/** one trade row → [{ token_id, side: 'buy'|'sell', qty, value }] (ZIG itself is the numeraire) */
+function legsOf(r) {
+  const base = Number(r.base_amt), quote = Number(r.quote_amt);
+  const zpq = r.zig_per_quote != null ? Number(r.zig_per_quote) : null;
+  if (!(base > 0) || !(quote > 0) || zpq == null) return [];
+  const value = quote * zpq;
+  const out = [];
+  if (r.base_denom !== 'uzig') out.push({ token_id: String(r.base_token_id), side: r.direction, qty: base, value });
+  if (!r.is_uzig_quote && r.quote_denom !== 'uzig') {
+    out.push({ token_id: String(r.quote_token_id), side: r.direction === 'buy' ? 'sell' : 'buy', qty: quote, value });
+  }
+  return out;
+}
+
+const emptyPosition = (method) => ({
+  qty: 0, cost: 0, realized: 0, unmatched: 0,
+  boughtQty: 0, soldQty: 0, buyValue: 0, sellValue: 0, buys: 0, sells: 0,
+  lots: method === 'fifo' ? [] : null,
+  lastHeight: null, lastAt: null
+});
+
+function positionFromRow(r) {
+  return {
+    qty: Number(r.qty), cost: Number(r.cost_zig), realized: Number(r.realized_zig), unmatched: Number(r.unmatched_qty),
+    boughtQty: Number(r.bought_qty), soldQty: Number(r.sold_qty),
+    buyValue: Number(r.buy_value_zig), sellValue: Number(r.sell_value_zig),
+    buys: Number(r.buys), sells: Number(r.sells),
+    lots: r.lots || (r.method === 'fifo' ? [] : null),
+    lastHeight: r.last_height != null ? Number(r.last_height) : null,
+    lastAt: r.last_trade_at
+  };
+}
+
+/**
+ * Fold one leg into a position; returns the realized PnL of the leg.
+ * Sells beyond the tracked quantity (tokens that came in by transfer) have no
+ * cost basis: they realize their full value and count as unmatched.
+ */
+function applyLeg(pos, method, leg) {
+  if (leg.side === 'buy') {
+    pos.qty += leg.qty;
+    pos.cost += leg.value;
+    if (method === 'fifo') pos.lots.push([leg.qty, leg.value / leg.qty]);
+    pos.boughtQty += leg.qty; pos.buyValue += leg.value; pos.buys++;
+    return 0;
+  }
+
+  let basis = 0;
+  let left = leg.qty;
+  if (method === 'fifo') {
+    while (left > 0 && pos.lots.length) {
+      const lot = pos.lots[0];
+      const take = Math.min(left, lot[0]);
+      basis += take * lot[1];
+      lot[0] -= take;
+      left -= take;
+      if (lot[0] <= 1e-12) pos.lots.shift();
+    }
+    pos.cost = pos.lots.reduce((s, l) => s + l[0] * l[1], 0);
+    pos.qty = pos.lots.reduce((s, l) => s + l[0], 0);
+  } else {
+    const matched = Math.min(left, pos.qty);
+    basis = pos.qty > 0 ? pos.cost * (matched / pos.qty) : 0;
+    pos.cost -= basis;
+    pos.qty -= matched;
+    left -= matched;
+    if (pos.qty <= 1e-12) { pos.qty = 0; pos.cost = 0; }
+  }
+  pos.unmatched += Math.max(0, left);
+
+  const realized = leg.value - basis;
+  pos.realized += realized;
+  pos.soldQty += leg.qty; pos.sellValue += leg.value; pos.sells++;
+  return realized;
+}
+
+/** fold trade rows (chronological) into `state` Map key → position, collecting daily deltas */
+function foldTrades(rows, state, daily) {
+  for (const r of rows) {
+    const day = new Date(r.created_at).toISOString().slice(0, 10);
+    for (const leg of legsOf(r)) {
+      for (const method of PNL_METHODS) {
+        const key = `${r.address}|${leg.token_id}|${method}`;
+        const pos = state.get(key) || emptyPosition(method);
+        state.set(key, pos);
+        const realized = applyLeg(pos, method, leg);
+        pos.lastHeight = Number(r.height);
+        pos.lastAt = r.created_at;
+
+        const dkey = `${key}|${day}`;
+        const d = daily.get(dkey) || { realized: 0, buyValue: 0, sellValue: 0, trades: 0 };
+        daily.set(dkey, d);
+        d.realized += realized;
+        if (leg.side === 'buy') d.buyValue += leg.value; else d.sellValue += leg.value;
+        d.trades++;
+        d.qtyEod = pos.qty;
+        d.costEod = pos.cost;
+      }
+    }
+  }
+}
+
+async function writeState(state, daily, db) {
+  for (const [key, p] of state) {
+    const [address, token_id, method] = key.split('|');
+    await db.query(`
+      INSERT INTO wallet_pnl_positions(address, token_id, method, qty, cost_zig, realized_zig, unmatched_qty,
+                                       bought_qty, sold_qty, buy_value_zig, sell_value_zig, buys, sells, lots,
+                                       last_height, last_trade_at, updated_at)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16, now())
+      ON CONFLICT (address, token_id, method) DO UPDATE SET
+        qty = EXCLUDED.qty, cost_zig = EXCLUDED.cost_zig, realized_zig = EXCLUDED.realized_zig,
+        unmatched_qty = EXCLUDED.unmatched_qty,
+        bought_qty = EXCLUDED.bought_qty, sold_qty = EXCLUDED.sold_qty,
+        buy_value_zig = EXCLUDED.buy_value_zig, sell_value_zig = EXCLUDED.sell_value_zig,
+        buys = EXCLUDED.buys, sells = EXCLUDED.sells, lots = EXCLUDED.lots,
+        last_height = EXCLUDED.last_height, last_trade_at = EXCLUDED.last_trade_at,
+        updated_at = now()
+    `, [address, token_id, method, p.qty, p.cost, p.realized, p.unmatched,
+        p.boughtQty, p.soldQty, p.buyValue, p.sellValue, p.buys, p.sells,
+        p.lots ? JSON.stringify(p.lots) : null, p.lastHeight, p.lastAt]);
+  }
+  for (const [key, d] of daily) {
+    const [address, token_id, method, day] = key.split('|');
+    await db.query(`
+      INSERT INTO wallet_pnl_daily(address, token_id, method, day, realized_zig, buy_value_zig, sell_value_zig,
+                                   trades, qty_eod, cost_eod)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+      ON CONFLICT (address, token_id, method, day) DO UPDATE SET
+        realized_zig   = wallet_pnl_daily.realized_zig   + EXCLUDED.realized_zig,
+        buy_value_zig  = wallet_pnl_daily.buy_value_zig  + EXCLUDED.buy_value_zig,
+        sell_value_zig = wallet_pnl_daily.sell_value_zig + EXCLUDED.sell_value_zig,
+        trades         = wallet_pnl_daily.trades         + EXCLUDED.trades,
+        qty_eod        = EXCLUDED.qty_eod,
+        cost_eod       = EXCLUDED.cost_eod
+    `, [address, token_id, method, day, d.realized, d.buyValue, d.sellValue, d.trades, d.qtyEod, d.costEod]);
+  }
+}
+
+/**
+ * Drop a wallet's PnL and replay every swap it made that is no longer pending.
+ * Swaps still queued (committed after the batch was taken) stay for a later batch.
+ */
+export async function rebuildWalletPnl(address, db = DB) {
+  await db.query(`DELETE FROM wallet_pnl_positions WHERE address = $1`, [address]);
+  await db.query(`DELETE FROM wallet_pnl_daily WHERE address = $1`, [address]);
+
+  const state = new Map(), daily = new Map();
+  let after = { height: -1, msg: -1, id: 0 };
+  while (true) {
+    const { rows } = await db.query(`${LEGS_SQL(`t.signer = $1
+        AND NOT EXISTS (SELECT 1 FROM wallet_pnl_pending pp WHERE pp.trade_id = t.trade_id)
+        AND (t.height, COALESCE(t.msg_index,0), t.trade_id) > ($2, $3, $4)`)}
+      ORDER BY t.height, COALESCE(t.msg_index,0), t.trade_id
+      LIMIT ${PAGE}
+    `, [address, after.height, after.msg, after.id]);
+    if (!rows.length) break;
+    foldTrades(rows, state, daily);
+    const last = rows.at(-1);
+    after = { height: Number(last.height), msg: Number(last.msg_index ?? 0), id: Number(last.trade_id) };
+    if (rows.length < PAGE) break;
+  }
+  await writeState(state, daily, db);
+}
+
+/**
+ * Fold a batch of pending swaps into positions (one batch, one transaction).
+ * Wallets queued in wallet_pnl_rebuild, or with a trade older than their last
+ * folded height, are rebuilt from every swap no longer pending.
+ * @returns {Promise<number>} pending swaps taken
+ */
+export async function processPnlBatch(limit = PAGE) {
+  return tx(async (client) => {
+    const { rows: pending } = await client.query(`
+      DELETE FROM wallet_pnl_pending
+      WHERE trade_id IN (
+        SELECT trade_id FROM wallet_pnl_pending ORDER BY trade_id LIMIT $1 FOR UPDATE SKIP LOCKED
+      )
+      RETURNING trade_id
+    `, [limit]);
+    const { rows } = pending.length
+      ? await client.query(LEGS_SQL('t.trade_id = ANY($1)'), [pending.map(r => r.trade_id)])
+      : { rows: [] };
+    const { rows: queued } = await client.query(`DELETE FROM wallet_pnl_rebuild RETURNING address`);
+    if (!pending.length && !queued.length) return 0;
+
+    const rebuild = new Set(queued.map(r => r.address));
+
+    // current positions of every wallet in the batch
+    const addresses = [...new Set(rows.map(r => r.address))].filter(a => !rebuild.has(a));
+    const { rows: posRows } = addresses.length
+      ? await client.query(`SELECT * FROM wallet_pnl_positions WHERE address = ANY($1)`, [addresses])
+      : { rows: [] };
+    const state = new Map(posRows.map(r => [`${r.address}|${r.token_id}|${r.method}`, positionFromRow(r)]));
+    const lastHeight = new Map();
+    for (const r of posRows) {
+      if (r.last_height != null) lastHeight.set(r.address, Math.max(lastHeight.get(r.address) ?? 0, Number(r.last_height)));
+    }
+
+    const byWallet = new Map();
+    for (const r of rows) {
+      if (rebuild.has(r.address)) continue;
+      if (lastHeight.has(r.address) && Number(r.height) < lastHeight.get(r.address)) {
+        rebuild.add(r.address);
+        continue;
+      }
+      if (!byWallet.has(r.address)) byWallet.set(r.address, []);
+      byWallet.get(r.address).push(r);
+    }
+
+    const daily = new Map();
+    for (const [address, list] of byWallet) {
+      if (rebuild.has(address)) continue;
+      list.sort((a, b) => (Number(a.height) - Number(b.height)) ||
+        (Number(a.msg_index ?? 0) - Number(b.msg_index ?? 0)) || (Number(a.trade_id) - Number(b.trade_id)));
+      foldTrades(list, state, daily);
+    }
+    const touched = new Map([...state].filter(([key]) => {
+      const address = key.split('|')[0];
+      return byWallet.has(address) && !rebuild.has(address);
+    }));
+    await writeState(touched, new Map([...daily].filter(([key]) => !rebuild.has(key.split('|')[0]))), client);
+
+    for (const address of rebuild) await rebuildWalletPnl(address, client);
+
+    debug('[pnl] batch', { trades: rows.length, wallets: byWallet.size, rebuilt: rebuild.size });
+    return pending.length;
+  });
+}
+
+/** queue wallets for a full rebuild (their trades changed under them, e.g. a reorg) */
+export async function queuePnlRebuild(addresses, db = DB) {
+  if (!addresses.length) return;
+  await db.query(`
+    INSERT INTO wallet_pnl_rebuild(address, requested_at)
+    SELECT unnest($1::text[]), now()
+    ON CONFLICT (address) DO UPDATE SET requested_at = now()
+  `, [addresses]);
+}
+
+export default { PNL_METHODS, processPnlBatch, rebuildWalletPnl, queuePnlRebuild };
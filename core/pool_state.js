@@ -3,11 +3,12 @@ import { DB } from '../lib/db.js';
 import BatchQueue from '../lib/batch.js';
 
 const UPSERT_SQL = `
-  INSERT INTO pool_state(pool_id, reserve_base_base, reserve_quote_base, updated_at)
+  INSERT INTO pool_state(pool_id, reserve_base_base, reserve_quote_base, height, updated_at)
   VALUES %VALUES%
   ON CONFLICT (pool_id) DO UPDATE SET
     reserve_base_base  = EXCLUDED.reserve_base_base,
     reserve_quote_base = EXCLUDED.reserve_quote_base,
+    height             = COALESCE(EXCLUDED.height, pool_state.height),
     updated_at         = now()
 `;
 
@@ -16,12 +17,42 @@ function sqlValues(rows) {
   const args = [];
   let i = 1;
   for (const r of rows) {
-    vals.push(`($${i++},$${i++},$${i++}, now())`);
-    args.push(r.pool_id, r.reserve_base_base, r.reserve_quote_base);
+    vals.push(`($${i++},$${i++},$${i++},$${i++}, now())`);
+    args.push(r.pool_id, r.reserve_base_base, r.reserve_quote_base, r.height ?? null);
   }
   return { text: UPSERT_SQL.replace('%VALUES%', vals.join(',')), args };
 }
 
+// one row per pool per height (partitioned on block time, so the key carries it):
+// what quotes with `at=` replay against and /pools/:ref/reserves charts
+const HISTORY_SQL = `
+  INSERT INTO pool_state_history(pool_id, height, reserve_base_base, reserve_quote_base, created_at)
+  VALUES %VALUES%
+  ON CONFLICT (pool_id, height, created_at) DO UPDATE SET
+    reserve_base_base  = EXCLUDED.reserve_base_base,
+    reserve_quote_base = EXCLUDED.reserve_quote_base
+`;
+
+function historyValues(rows) {
+  const vals = [];
+  const args = [];
+  let i = 1;
+  for (const r of rows) {
+    vals.push(`($${i++},$${i++},$${i++},$${i++}, COALESCE($${i++}::timestamptz, now()))`);
+    args.push(r.pool_id, r.height, r.reserve_base_base, r.reserve_quote_base, r.ts ?? null);
+  }
+  return { text: HISTORY_SQL.replace('%VALUES%', vals.join(',')), args };
+}
+
+/** append reserve snapshots to pool_state_history (last write per pool+height wins) */
+export async function writePoolStateHistory(items, db = DB) {
+  const m = new Map();
+  for (const it of items) if (it.height != null) m.set(`${it.pool_id}:${it.height}`, it);
+  if (m.size === 0) return;
+  const { text, args } = historyValues(Array.from(m.values()));
+  await db.query(text, args);
+}
+
 function dedupeLastWins(items) {
   // Map by pool_id; keep the LAST occurrence (latest state in the batch)
   const m = new Map();
@@ -29,27 +60,98 @@ function dedupeLastWins(items) {
   return Array.from(m.values());
 }
 
+export async function flushPoolState(items, db = DB) {
+  // collapse duplicates to avoid "ON CONFLICT ... affect row a second time"
+  const compact = dedupeLastWins(items);
+  if (compact.length === 0) return;
+  const { text, args } = sqlValues(compact);
+  await db.query(text, args);
+  await writePoolStateHistory(items, db);
+}
+
 const stateQueue = new BatchQueue({
   maxItems: Number(process.env.STATE_BATCH_MAX || 400),
   maxWaitMs: Number(process.env.STATE_BATCH_WAIT_MS || 120),
-  flushFn: async (items) => {
-    // collapse duplicates to avoid "ON CONFLICT ... affect row a second time"
-    const compact = dedupeLastWins(items);
-    if (compact.length === 0) return;
-    const { text, args } = sqlValues(compact);
-    await DB.query(text, args);
-  }
+  flushFn: (items) => flushPoolState(items)
+});
+
+const historyQueue = new BatchQueue({
+  maxItems: Number(process.env.STATE_BATCH_MAX || 400),
+  maxWaitMs: Number(process.env.STATE_BATCH_WAIT_MS || 120),
+  flushFn: (items) => writePoolStateHistory(items)
 });
 
-export async function upsertPoolState(pool_id, baseDenom, quoteDenom, res1d, res1a, res2d, res2a) {
+/**
+ * `at.height` / `at.ts` are the block the reserves were read at: quotes report
+ * the height as their snapshot, and history rows are keyed by it.
+ * `historyOnly` (backfill/replay of a past height) appends to pool_state_history
+ * without moving live pool_state.
+ */
+export async function upsertPoolState(pool_id, baseDenom, quoteDenom, res1d, res1a, res2d, res2a, batch = null,
+                                      { height = batch?.height ?? null, ts = null, historyOnly = false } = {}) {
   if (!res1d || !res2d || !res1a || !res2a) return;
   let base = null, quote = null;
   if (res1d === baseDenom && res2d === quoteDenom) { base = res1a; quote = res2a; }
   else if (res2d === baseDenom && res1d === quoteDenom) { base = res2a; quote = res1a; }
   if (!base || !quote) return;
-  stateQueue.push({ pool_id, reserve_base_base: base, reserve_quote_base: quote });
+  const row = { pool_id, reserve_base_base: base, reserve_quote_base: quote, height, ts };
+  if (historyOnly) {
+    if (batch) batch.poolHistory.push(row);
+    else historyQueue.push(row);
+  } else if (batch) batch.poolState.push(row);
+  else stateQueue.push(row);
 }
 
 export async function drainPoolState() {
-  await stateQueue.drain();
+  await Promise.all([stateQueue.drain(), historyQueue.drain()]);
+}
+
+/**
+ * Raw reserves per pool as of a past height or time (`{ height }` or `{ ts }`),
+ * from pool_state_history, falling back to the reserve snapshots on trades for
+ * pools the history table doesn't cover yet.
+ * @returns {Promise<Map<string,{ reserve_base_base:string, reserve_quote_base:string, height:number|null, ts:Date }>>}
+ */
+export async function loadReservesAt(poolIds, at) {
+  const out = new Map();
+  if (!poolIds.length) return out;
+  const byHeight = at.height != null;
+  const bound = byHeight ? at.height : at.ts;
+
+  const { rows } = await DB.query(`
+    SELECT DISTINCT ON (pool_id) pool_id, height, reserve_base_base, reserve_quote_base, created_at
+    FROM pool_state_history
+    WHERE pool_id = ANY($1) AND ${byHeight ? 'height' : 'created_at'} <= $2
+    ORDER BY pool_id, height DESC
+  `, [poolIds, bound]);
+  for (const r of rows) {
+    out.set(String(r.pool_id), {
+      reserve_base_base: r.reserve_base_base, reserve_quote_base: r.reserve_quote_base,
+      height: r.height != null ? Number(r.height) : null, ts: r.created_at
+    });
+  }
+
+  const missing = poolIds.filter(id => !out.has(String(id)));
+  if (!missing.length) return out;
+  const { rows: tr } = await DB.query(`
+    SELECT DISTINCT ON (t.pool_id)
+           t.pool_id, t.height, t.created_at,
+           CASE WHEN t.reserve_asset1_denom = b.denom THEN t.reserve_asset1_amount_base ELSE t.reserve_asset2_amount_base END AS reserve_base_base,
+           CASE WHEN t.reserve_asset1_denom = b.denom THEN t.reserve_asset2_amount_base ELSE t.reserve_asset1_amount_base END AS reserve_quote_base
+    FROM trades t
+    JOIN pools p  ON p.pool_id  = t.pool_id
+    JOIN tokens b ON b.token_id = p.base_token_id
+    WHERE t.pool_id = ANY($1)
+      AND t.reserve_asset1_amount_base IS NOT NULL
+      AND t.reserve_asset2_amount_base IS NOT NULL
+      AND t.${byHeight ? 'height' : 'created_at'} <= $2
+    ORDER BY t.pool_id, t.height DESC, t.msg_index DESC
+  `, [missing, bound]);
+  for (const r of tr) {
+    out.set(String(r.pool_id), {
+      reserve_base_base: r.reserve_base_base, reserve_quote_base: r.reserve_quote_base,
+      height: r.height != null ? Number(r.height) : null, ts: r.created_at
+    });
+  }
+  return out;
 }
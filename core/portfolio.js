@@ -37,6 +37,16 @@ export async function updateWalletPortfolio(walletAddress) {
       last_updated = now()
   `, [walletAddress, totalZig, totalUsd, tokenCount]);
 
+  // one history point per wallet per hour; the latest refresh in the hour wins
+  await DB.query(`
+    INSERT INTO wallet_portfolio_history(address, ts, total_value_zig, total_value_usd, total_tokens)
+    VALUES ($1, date_trunc('hour', now()), $2, $3, $4)
+    ON CONFLICT (address, ts) DO UPDATE SET
+      total_value_zig = EXCLUDED.total_value_zig,
+      total_value_usd = EXCLUDED.total_value_usd,
+      total_tokens    = EXCLUDED.total_tokens
+  `, [walletAddress, totalZig, totalUsd, tokenCount]);
+
   // ───────────────────────────────────────────────
   // Per-token breakdown into wallet_portfolio_tokens
   // ───────────────────────────────────────────────
@@ -66,3 +76,134 @@ export async function updateWalletPortfolio(walletAddress) {
   }
 
 }
+
+/** last UZIG-pool close per token per UTC day since `fromDay` → Map(token_id → Map(day → close)) */
+export async function dailyTokenCloses(tokenIds, fromDay) {
+  const out = new Map();
+  if (!tokenIds.length) return out;
+  const { rows } = await DB.query(`
+    SELECT DISTINCT ON (p.base_token_id, date_trunc('day', o.bucket_start))
+           p.base_token_id AS token_id,
+           to_char(date_trunc('day', o.bucket_start), 'YYYY-MM-DD') AS day,
+           o.close
+    FROM ohlcv_1m o
+    JOIN pools p ON p.pool_id = o.pool_id AND p.is_uzig_quote = TRUE
+    WHERE p.base_token_id = ANY($1) AND o.bucket_start >= $2::date
+    ORDER BY p.base_token_id, date_trunc('day', o.bucket_start), o.bucket_start DESC
+  `, [tokenIds, fromDay]);
+  for (const r of rows) {
+    const k = String(r.token_id);
+    if (!out.has(k)) out.set(k, new Map());
+    out.get(k).set(r.day, Number(r.close));
+  }
+  return out;
+}
+
+const dayStr = (t) => new Date(t).toISOString().slice(0, 10);
+
+/**
+ * End-of-day values for [fromDay, toDay] (UTC dates) that predate the wallet's
+ * snapshots. Balances are walked back from today's holders by the wallet's swap
+ * flows and valued on each day's UZIG close. Transfers are not indexed, so days
+ * before one are approximate. Computed on read and never stored, so they follow
+ * corrected candles and trades.
+ * @returns {Promise<Array<{ ts:string, total_value_zig:number, total_value_usd:number|null, total_tokens:number, source:'reconstructed' }>>}
+ */
+export async function reconstructPortfolioHistory(address, fromDay, toDay) {
+  if (!address || fromDay > toDay) return [];
+  const today = dayStr(Date.now());
+
+  const [{ rows: bal }, { rows: flows }, { rows: fx }] = await Promise.all([
+    DB.query(`
+      SELECT h.token_id, h.balance_base::NUMERIC / power(10::numeric, COALESCE(t.exponent,6)) AS balance
+      FROM holders h
+      JOIN tokens t ON t.token_id = h.token_id
+      WHERE h.address = $1 AND h.balance_base::NUMERIC > 0 AND t.denom <> 'uzig'
+    `, [address]),
+    // net display-unit flow per token per day, from the wallet's swaps (both legs)
+    DB.query(`
+      WITH s AS (
+        SELECT t.direction, t.created_at, p.base_token_id, p.quote_token_id, q.denom AS quote_denom,
+               (CASE WHEN t.direction = 'buy' THEN t.return_amount_base ELSE t.offer_amount_base END)
+                 / power(10::numeric, COALESCE(b.exponent,6)) AS base_amt,
+               (CASE WHEN t.direction = 'buy' THEN t.offer_amount_base ELSE t.return_amount_base END)
+                 / power(10::numeric, COALESCE(q.exponent,6)) AS quote_amt
+        FROM trades t
+        JOIN pools p  ON p.pool_id = t.pool_id
+        JOIN tokens b ON b.token_id = p.base_token_id
+        JOIN tokens q ON q.token_id = p.quote_token_id
+        WHERE t.signer = $1 AND t.action = 'swap' AND t.direction IN ('buy','sell')
+          AND t.created_at >= $2::date
+      )
+      SELECT token_id, to_char(date_trunc('day', created_at), 'YYYY-MM-DD') AS day, SUM(delta) AS delta
+      FROM (
+        SELECT base_token_id AS token_id, created_at,
+               CASE WHEN direction = 'buy' THEN base_amt ELSE -base_amt END AS delta
+        FROM s
+        UNION ALL
+        SELECT quote_token_id, created_at,
+               CASE WHEN direction = 'buy' THEN -quote_amt ELSE quote_amt END
+        FROM s WHERE quote_denom <> 'uzig'
+      ) legs
+      WHERE delta IS NOT NULL
+      GROUP BY 1, 2
+    `, [address, fromDay]),
+    DB.query(`
+      SELECT DISTINCT ON (date_trunc('day', ts)) to_char(date_trunc('day', ts), 'YYYY-MM-DD') AS day, zig_usd
+      FROM exchange_rates
+      WHERE ts >= $1::date
+      ORDER BY date_trunc('day', ts), ts DESC
+    `, [fromDay])
+  ]);
+
+  if (!bal.length && !flows.length) return [];  // nothing to value; leave unknown wallets empty
+
+  const balances = new Map(bal.map(r => [String(r.token_id), Number(r.balance)]));
+  const flowByDay = new Map();
+  for (const f of flows) {
+    const k = String(f.token_id);
+    if (!balances.has(k)) balances.set(k, 0);
+    if (!flowByDay.has(f.day)) flowByDay.set(f.day, []);
+    flowByDay.get(f.day).push([k, Number(f.delta)]);
+  }
+  const tokenIds = [...balances.keys()];
+  const closes = await dailyTokenCloses(tokenIds, fromDay);
+  const { rows: latest } = tokenIds.length ? await DB.query(`
+    SELECT DISTINCT ON (pr.token_id) pr.token_id, pr.price_in_zig
+    FROM prices pr
+    JOIN pools p ON p.pool_id = pr.pool_id AND p.is_uzig_quote = TRUE
+    WHERE pr.token_id = ANY($1)
+    ORDER BY pr.token_id, pr.updated_at DESC
+  `, [tokenIds]) : { rows: [] };
+  const latestPx = new Map(latest.map(r => [String(r.token_id), Number(r.price_in_zig)]));
+  const fxByDay = new Map(fx.map(r => [r.day, Number(r.zig_usd)]));
+
+  // balances at the end of each day, walking back from now
+  const eod = new Map();
+  for (let t = Date.parse(`${today}T00:00:00Z`); dayStr(t) >= fromDay; t -= 86400_000) {
+    const day = dayStr(t);
+    eod.set(day, new Map(balances));
+    for (const [k, delta] of flowByDay.get(day) || []) balances.set(k, Math.max(0, balances.get(k) - delta));
+  }
+
+  // value forward so a token's last known close (then its latest price) carries over
+  const lastClose = new Map();
+  let lastFx = null;
+  const out = [];
+  for (let t = Date.parse(`${fromDay}T00:00:00Z`); dayStr(t) <= toDay; t += 86400_000) {
+    const day = dayStr(t);
+    if (fxByDay.has(day)) lastFx = fxByDay.get(day);
+    let zig = 0, tokens = 0;
+    for (const [k, qty] of eod.get(day) || []) {
+      const c = closes.get(k)?.get(day);
+      if (c != null) lastClose.set(k, c);
+      const px = lastClose.get(k) ?? latestPx.get(k) ?? 0;
+      if (qty > 0) { zig += qty * px; tokens++; }
+    }
+    out.push({
+      ts: `${day}T23:59:59Z`, total_value_zig: zig, total_value_usd: lastFx != null ? zig * lastFx : null,
+      total_tokens: tokens, source: 'reconstructed'
+    });
+  }
+  return out;
+}
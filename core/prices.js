@@ -7,10 +7,18 @@ import TTLCache from '../lib/cache.js';
 const reservesCache = new TTLCache({ max: 1000, ttlMs: 2000 }); // 2s is enough per block
 const inflight = new Map(); // pair_contract -> Promise
 
-export async function upsertPrice(token_id, pool_id, price_in_zig, is_native) {
+export async function upsertPrice(token_id, pool_id, price_in_zig, is_native, batch = null) {
   console.log("the price being updated",price_in_zig);
-  
-  await DB.query(`
+  if (batch) {
+    batch.prices.push({ token_id, pool_id, price_in_zig, is_native });
+    return;
+  }
+
+  await writePrice({ token_id, pool_id, price_in_zig, is_native });
+}
+
+async function writePrice({ token_id, pool_id, price_in_zig, is_native }, db = DB) {
+  await db.query(`
     INSERT INTO prices(token_id, pool_id, price_in_zig, is_pair_native, updated_at)
     VALUES ($1,$2,$3,$4, now())
     ON CONFLICT (token_id, pool_id) DO UPDATE
@@ -18,7 +26,7 @@ export async function upsertPrice(token_id, pool_id, price_in_zig, is_native) {
           updated_at   = now()
   `, [token_id, pool_id, price_in_zig, is_native]);
 
-  await DB.query(
+  await db.query(
     `INSERT INTO price_ticks(pool_id, token_id, price_in_zig)
      VALUES ($1,$2,$3)
      ON CONFLICT DO NOTHING`,
@@ -26,6 +34,11 @@ export async function upsertPrice(token_id, pool_id, price_in_zig, is_native) {
   );
 }
 
+/** write prices held in a BlockBatch (in order, so the last price per pool wins) */
+export async function flushPrices(items, db = DB) {
+  for (const it of items) await writePrice(it, db);
+}
+
 /**
  * Fetch pool reserves via LCD smart query `{ pool: {} }` with:
  *  - TTL cache (~2s)
@@ -0,0 +1,207 @@
+// core/reorg.js
+import { DB, tx } from '../lib/db.js';
+import { getBlock, unwrapBlock } from '../lib/rpc.js';
+import { info, warn } from '../lib/log.js';
+import { writeCheckpoint } from './checkpoint.js';
+import { trimRangesFrom } from './index-ranges.js';
+import { rebuildLpPositions } from './lp.js';
+import { queuePnlRebuild } from './pnl.js';
+import { refoldClPools } from './cl.js';
+
+const REORG_MAX_DEPTH = parseInt(process.env.REORG_MAX_DEPTH || '100', 10);
+
+/**
+ * Remember the hash/parent of a fully processed height so the next height
+ * can be checked against it.
+ */
+export async function recordBlock({ height, hash, parentHash, time }, db = DB) {
+  if (!hash) return;
+  await db.query(`
+    INSERT INTO block_hashes(height, block_hash, parent_hash, block_time, indexed_at)
+    VALUES ($1,$2,$3,$4, now())
+    ON CONFLICT (height) DO UPDATE SET
+      block_hash  = EXCLUDED.block_hash,
+      parent_hash = EXCLUDED.parent_hash,
+      block_time  = EXCLUDED.block_time,
+      indexed_at  = now()
+  `, [height, hash, parentHash || null, time || null]);
+}
+
+/**
+ * true when the block's parent hash does not match what we indexed at height-1.
+ * Unknown parents (first run, pruned rows) are treated as linked.
+ */
+export async function isForked({ height, parentHash }) {
+  if (!parentHash) return false;
+  const { rows } = await DB.query(
+    `SELECT block_hash FROM block_hashes WHERE height = $1`,
+    [height - 1]
+  );
+  const stored = rows[0]?.block_hash;
+  return !!stored && stored.toUpperCase() !== String(parentHash).toUpperCase();
+}
+
+/**
+ * Walk back from `fromHeight` comparing our stored hashes with the chain and
+ * return the first height that is NOT on the canonical chain.
+ */
+export async function findForkPoint(fromHeight) {
+  for (let h = fromHeight, depth = 0; depth < REORG_MAX_DEPTH; h--, depth++) {
+    const { rows } = await DB.query(`SELECT block_hash FROM block_hashes WHERE height = $1`, [h]);
+    const stored = rows[0]?.block_hash;
+    if (!stored) return h + 1;
+
+    const blk = unwrapBlock(await getBlock(h));
+    if (blk?.hash && blk.hash.toUpperCase() === stored.toUpperCase()) return h + 1;
+    warn('[reorg] orphaned height', h, { stored, chain: blk?.hash || null });
+  }
+  throw new Error(`reorg deeper than REORG_MAX_DEPTH=${REORG_MAX_DEPTH} below ${fromHeight}`);
+}
+
+/**
+ * Remove everything written for heights >= forkHeight and rewind the checkpoint.
+ *
+ * Candles are per-minute, so we rewind to the first height of the fork's
+ * minute and drop that whole bucket; re-indexing rebuilds it from scratch.
+ * pool_state and prices are restored from the last surviving reserve snapshot
+ * (swap reserves for XYK/stable pools, pool_state_history for CL pools, whose
+ * positions/ticks/state are then refolded from their surviving cl_events).
+ * Pools created on the orphaned fork are kept; re-indexing upserts them again.
+ *
+ * @returns {Promise<number>} the height to resume indexing from
+ */
+export async function rollbackFrom(forkHeight) {
+  return tx(async (client) => {
+    // findForkPoint can land on a height we never stored a hash for, so fall
+    // back to the orphaned trades' own time; otherwise their candles would
+    // survive the delete and be added to again on re-index
+    const { rows: tRows } = await client.query(`
+      SELECT COALESCE(
+        (SELECT date_trunc('minute', block_time) FROM block_hashes WHERE height = $1),
+        (SELECT date_trunc('minute', MIN(created_at)) FROM trades WHERE height >= $1)
+      ) AS minute
+    `, [forkHeight]);
+    const minute = tRows[0]?.minute || null;
+
+    let rewind = forkHeight;
+    if (minute) {
+      const { rows } = await client.query(`
+        SELECT LEAST(
+          (SELECT MIN(height) FROM block_hashes WHERE block_time >= $1 AND height <= $2),
+          (SELECT MIN(height) FROM trades WHERE created_at >= $1 AND height <= $2)
+        ) AS h
+      `, [minute, forkHeight]);
+      if (rows[0]?.h != null) rewind = Math.min(rewind, Number(rows[0].h));
+    }
+
+    const { rows: poolRows } = await client.query(
+      `SELECT DISTINCT pool_id FROM trades WHERE height >= $1`,
+      [rewind]
+    );
+    const poolIds = poolRows.map(r => r.pool_id);
+
+    // wallets whose PnL folded orphaned swaps are replayed by jobs/wallet-pnl.js
+    const { rows: signerRows } = await client.query(
+      `SELECT DISTINCT signer FROM trades WHERE height >= $1 AND action = 'swap' AND signer IS NOT NULL`,
+      [rewind]
+    );
+    await queuePnlRebuild(signerRows.map(r => r.signer), client);
+
+    const del = await client.query(`DELETE FROM trades WHERE height >= $1`, [rewind]);
+    await client.query(`DELETE FROM pool_state_history WHERE height >= $1`, [rewind]);
+
+    const { rows: clRows } = await client.query(
+      `DELETE FROM cl_events WHERE height >= $1 RETURNING pool_id`,
+      [rewind]
+    );
+    const clPoolIds = [...new Set(clRows.map(r => r.pool_id))];
+
+    const { rows: lpKeys } = await client.query(
+      `DELETE FROM lp_events WHERE height >= $1 RETURNING pool_id, owner`,
+      [rewind]
+    );
+    await rebuildLpPositions(
+      [...new Map(lpKeys.map(k => [`${k.pool_id}:${k.owner}`, k])).values()],
+      client
+    );
+
+    if (poolIds.length) {
+      if (minute) {
+        await client.query(
+          `DELETE FROM ohlcv_1m WHERE pool_id = ANY($1) AND bucket_start >= $2`,
+          [poolIds, minute]
+        );
+      }
+
+      // restore reserves from the last surviving snapshot per pool
+      await client.query(`
+        WITH last AS (
+          SELECT DISTINCT ON (t.pool_id)
+                 t.pool_id,
+                 t.reserve_asset1_denom AS d1, t.reserve_asset1_amount_base AS a1,
+                 t.reserve_asset2_denom AS d2, t.reserve_asset2_amount_base AS a2
+          FROM trades t
+          WHERE t.pool_id = ANY($1)
+            AND t.reserve_asset1_amount_base IS NOT NULL
+            AND t.reserve_asset2_amount_base IS NOT NULL
+          ORDER BY t.pool_id, t.height DESC, t.msg_index DESC
+        )
+        UPDATE pool_state ps
+        SET reserve_base_base  = CASE WHEN l.d1 = b.denom THEN l.a1 ELSE l.a2 END,
+            reserve_quote_base = CASE WHEN l.d1 = b.denom THEN l.a2 ELSE l.a1 END,
+            updated_at         = now()
+        FROM last l
+        JOIN pools p  ON p.pool_id  = l.pool_id
+        JOIN tokens b ON b.token_id = p.base_token_id
+        WHERE ps.pool_id = l.pool_id
+          AND p.pair_type NOT ILIKE '%concentrated%'
+      `, [poolIds]);
+
+      // CL reserves come from positions, not from swap attributes
+      await client.query(`
+        WITH last AS (
+          SELECT DISTINCT ON (h.pool_id) h.pool_id, h.height, h.reserve_base_base, h.reserve_quote_base
+          FROM pool_state_history h
+          JOIN pools p ON p.pool_id = h.pool_id
+          WHERE h.pool_id = ANY($1) AND p.pair_type ILIKE '%concentrated%'
+          ORDER BY h.pool_id, h.height DESC
+        )
+        UPDATE pool_state ps
+        SET reserve_base_base  = l.reserve_base_base,
+            reserve_quote_base = l.reserve_quote_base,
+            height             = l.height,
+            updated_at         = now()
+        FROM last l
+        WHERE ps.pool_id = l.pool_id
+      `, [poolIds]);
+
+      // re-derive UZIG-quoted prices from the restored reserves
+      await client.query(`
+        UPDATE prices pr
+        SET price_in_zig = (ps.reserve_quote_base / 1e6)
+                         / (ps.reserve_base_base / power(10::numeric, COALESCE(b.exponent::int,6))),
+            updated_at   = now()
+        FROM pools p
+        JOIN pool_state ps ON ps.pool_id = p.pool_id
+        JOIN tokens b      ON b.token_id = p.base_token_id
+        WHERE pr.pool_id = p.pool_id
+          AND pr.token_id = p.base_token_id
+          AND p.pool_id = ANY($1)
+          AND p.is_uzig_quote = TRUE
+          AND ps.reserve_base_base > 0
+          AND ps.reserve_quote_base > 0
+      `, [poolIds]);
+    }
+
+    await refoldClPools(clPoolIds, client);
+
+    await client.query(`DELETE FROM block_hashes WHERE height >= $1`, [rewind]);
+    await trimRangesFrom(rewind, client);
+    await writeCheckpoint(rewind - 1, { db: client });
+
+    info('[reorg] rolled back', { fork: forkHeight, rewind, trades: del.rowCount, pools: poolIds.length });
+    return rewind;
+  });
+}
+
+export default { recordBlock, isForked, findForkPoint, rollbackFrom };
@@ -0,0 +1,59 @@
+// core/replay.js
+import { DB, tx } from '../lib/db.js';
+import { processHeight } from './block-processor.js';
+import { BlockBatch } from './block-batch.js';
+import { flushTrades } from './trades.js';
+import { writePoolStateHistory } from './pool_state.js';
+import { flushLp } from './lp.js';
+import { flushCl, refoldClPools } from './cl.js';
+import { rebuildOHLCVRange } from './ohlcv.js';
+import { recordBlock } from './reorg.js';
+import { resolveHeight } from './failed-heights.js';
+import { markIndexed } from './index-ranges.js';
+
+async function tradeCount(height, db = DB) {
+  const { rows } = await db.query(`SELECT COUNT(*)::int AS n FROM trades WHERE height = $1`, [height]);
+  return rows[0]?.n ?? 0;
+}
+
+/**
+ * Re-run one height that is already behind the checkpoint.
+ *
+ * Runs in backfill mode (pools, trades and reserve history) so an old height
+ * never overwrites live pool_state/prices, then rebuilds that minute's candles
+ * from trades. Trades are ON CONFLICT DO NOTHING and candles are replaced, so
+ * replaying a height that did (partly) land is harmless.
+ *
+ * @returns {Promise<{height:number, tradesBefore:number, tradesAfter:number, candles:number}>}
+ */
+export async function replayHeight(height) {
+  const tradesBefore = await tradeCount(height);
+  const batch = new BlockBatch(height);
+  const block = await processHeight(height, { backfill: true, batch });
+
+  const tradesAfter = await tx(async (client) => {
+    await flushTrades(batch.trades, client);
+    await writePoolStateHistory(batch.poolHistory, client);
+    await flushLp(batch.lp, client); // idempotent, rebuilt from events
+    await flushCl(batch.cl, client, { apply: false }); // stored; refolded below
+    if (block) await recordBlock(block, client);
+    await markIndexed(height, client);
+    await resolveHeight(height, client);
+    return tradeCount(height, client);
+  });
+
+  // the height is behind the tip, so its CL pools are folded again in order
+  if (batch.cl.length) await refoldClPools(batch.cl.map(e => e.pool_id));
+
+  let candles = 0;
+  const poolIds = [...new Set(batch.trades.map(t => t.pool_id))];
+  if (poolIds.length && block?.time) {
+    const from = new Date(Math.floor(new Date(block.time).getTime() / 60000) * 60000);
+    const to = new Date(from.getTime() + 60000);
+    candles = await rebuildOHLCVRange({ poolIds, from, to });
+  }
+
+  return { height, tradesBefore, tradesAfter, candles };
+}
+
+export default { replayHeight };
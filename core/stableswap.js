@@ -0,0 +1,98 @@
+// core/stableswap.js — Curve-style stableswap invariant (2 coins) + amp capture
+//
+// Works in display units: Astroport-style stable pairs normalise both assets to
+// a common precision before applying the invariant, which is the same thing.
+import { DB } from '../lib/db.js';
+import { warn, debug } from '../lib/log.js';
+import TTLCache from '../lib/cache.js';
+import { getAdapter } from './dex/index.js';
+
+const N = 2;
+const MAX_ITER = 255;
+const ampCache = new TTLCache({ max: 1000, ttlMs: 5 * 60_000 });
+
+export const isStable = (pairType) => /stable/i.test(String(pairType || ''));
+
+/** invariant D for balances [x, y] */
+export function computeD(amp, balances) {
+  const S = balances.reduce((a, b) => a + b, 0);
+  if (!(S > 0)) return 0;
+  const Ann = amp * N;
+  let D = S;
+  for (let k = 0; k < MAX_ITER; k++) {
+    let Dp = D;
+    for (const x of balances) Dp = (Dp * D) / (x * N);
+    const prev = D;
+    D = ((Ann * S + Dp * N) * D) / ((Ann - 1) * D + (N + 1) * Dp);
+    if (Math.abs(D - prev) <= D * 1e-15) break;
+  }
+  return D;
+}
+
+/** balance of the other coin once one side is `x`, keeping D constant */
+export function computeY(amp, x, D) {
+  const Ann = amp * N;
+  const c = (D * D * D) / (x * N * N * Ann);
+  const b = x + D / Ann;
+  let y = D;
+  for (let k = 0; k < MAX_ITER; k++) {
+    const prev = y;
+    y = (y * y + c) / (2 * y + b - D);
+    if (Math.abs(y - prev) <= y * 1e-15) break;
+  }
+  return y;
+}
+
+/**
+ * Same shape as simulateXYK() in api/routes/swap.js (Rz = zig reserve,
+ * Rt = token reserve, display units). The fee is taken from the output,
+ * like the pair contract does.
+ */
+export function simulateStable({ fromIsZig, amountIn, Rz, Rt, amp, fee }) {
+  if (!(Rz > 0 && Rt > 0) || !(amountIn > 0) || !(amp > 0)) {
+    return { out: 0, price: 0, impact: 0 };
+  }
+  const D = computeD(amp, [Rz, Rt]);
+  const [xIn, yOut] = fromIsZig ? [Rz, Rt] : [Rt, Rz];
+  const yNew = computeY(amp, xIn + amountIn, D);
+  const out = Math.max(0, (yOut - yNew) * (1 - fee));
+
+  // marginal (spot) zig per token: tiny trade through the same curve
+  const eps = Math.min(Rz, Rt) * 1e-9;
+  const spotTokPerZig = Rt - computeY(amp, Rz + eps, D);
+  const mid = spotTokPerZig > 0 ? eps / spotTokPerZig : Rz / Rt;
+
+  if (fromIsZig) {
+    const eff = amountIn / Math.max(out, 1e-18);
+    return { out, price: eff, impact: (eff / mid) - 1 };
+  }
+  const eff = out / amountIn;
+  return { out, price: eff, impact: (mid / Math.max(eff, 1e-18)) - 1 };
+}
+
+/** ask the pair contract (through its DEX adapter) for the amplification */
+export async function fetchAmp(pairContract, adapterKey = null) {
+  const cached = ampCache.get(pairContract);
+  if (cached != null) return cached;
+  const adapter = getAdapter(adapterKey);
+  if (!adapter.queryAmp) return null;
+  const amp = await adapter.queryAmp(pairContract);
+  if (amp != null) ampCache.set(pairContract, amp);
+  return amp;
+}
+
+/** store amp on pools (called when a stable pair is created) */
+export async function capturePoolAmp(pairContract, adapterKey = null) {
+  try {
+    const amp = await fetchAmp(pairContract, adapterKey);
+    if (amp == null) { warn('[stable] amp not available', pairContract); return null; }
+    await DB.query(`UPDATE pools SET amp = $2 WHERE pair_contract = $1`, [pairContract, amp]);
+    debug('[stable] amp', pairContract, amp);
+    return amp;
+  } catch (e) {
+    warn('[stable] amp', pairContract, e.message);
+    return null;
+  }
+}
+
+export default { isStable, computeD, computeY, simulateStable, fetchAmp, capturePoolAmp };
@@ -2,17 +2,25 @@
 import { DB } from '../lib/db.js';
 import BatchQueue from '../lib/batch.js';
 
+// new swaps are queued for wallet PnL (core/pnl.js) in the same statement
 const INSERT_SQL = `
-  INSERT INTO trades
-   (pool_id, pair_contract, action, direction,
-    offer_asset_denom, offer_amount_base,
-    ask_asset_denom, ask_amount_base,
-    return_amount_base, is_router,
-    reserve_asset1_denom, reserve_asset1_amount_base,
-    reserve_asset2_denom, reserve_asset2_amount_base,
-    height, tx_hash, signer, msg_index, created_at, class)
-  VALUES %VALUES%
-  ON CONFLICT (created_at, tx_hash, pool_id, msg_index) DO NOTHING
+  WITH ins AS (
+    INSERT INTO trades
+     (pool_id, pair_contract, action, direction,
+      offer_asset_denom, offer_amount_base,
+      ask_asset_denom, ask_amount_base,
+      return_amount_base, is_router,
+      reserve_asset1_denom, reserve_asset1_amount_base,
+      reserve_asset2_denom, reserve_asset2_amount_base,
+      height, tx_hash, signer, msg_index, created_at, class)
+    VALUES %VALUES%
+    ON CONFLICT (created_at, tx_hash, pool_id, msg_index) DO NOTHING
+    RETURNING trade_id, action, signer
+  )
+  INSERT INTO wallet_pnl_pending(trade_id)
+  SELECT trade_id FROM ins
+  WHERE action = 'swap' AND signer IS NOT NULL
+  ON CONFLICT (trade_id) DO NOTHING
 `;
 
 function sqlValues(rows) {
@@ -38,16 +46,20 @@ function sqlValues(rows) {
   return { text: INSERT_SQL.replace('%VALUES%', vals.join(',')), args };
 }
 
+export async function flushTrades(items, db = DB) {
+  if (!items.length) return;
+  const { text, args } = sqlValues(items);
+  await db.query(text, args);
+}
+
 const tradesQueue = new BatchQueue({
   maxItems: Number(process.env.TRADES_BATCH_MAX || 800),
   maxWaitMs: Number(process.env.TRADES_BATCH_WAIT_MS || 120),
-  flushFn: async (items) => {
-    const { text, args } = sqlValues(items);
-    await DB.query(text, args);
-  }
+  flushFn: (items) => flushTrades(items)
 });
 
-export async function insertTrade(t) {
+/** queue a trade; with a BlockBatch it is held for the per-height transaction instead */
+export async function insertTrade(t, batch = null) {
   console.log('[insertTrade]', t.pool_id, t.offer_asset_denom, t.ask_asset_denom, t.offer_amount_base, t.return_amount_base);
   let zigAmount = 0;
 
@@ -65,7 +77,8 @@ export async function insertTrade(t) {
     t.class = null; // or 'none'
   }
 
-  tradesQueue.push(t);
+  if (batch) batch.trades.push(t);
+  else tradesQueue.push(t);
 }
 
 export async function drainTrades() {
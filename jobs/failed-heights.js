@@ -0,0 +1,33 @@
+// jobs/failed-heights.js
+import { info, warn, debug } from '../lib/log.js';
+import { dueHeights, parkHeight } from '../core/failed-heights.js';
+import { replayHeight } from '../core/replay.js';
+
+const FAILED_HEIGHTS_SEC   = parseInt(process.env.FAILED_HEIGHTS_SEC || '30', 10);
+const FAILED_HEIGHTS_BATCH = parseInt(process.env.FAILED_HEIGHTS_BATCH || '10', 10);
+
+/**
+ * Retry parked heights once their backoff has elapsed. Runs inside the
+ * indexer process (it needs the block processor); a failure re-parks the
+ * height with one more attempt, which doubles its next delay.
+ */
+export function startFailedHeightsRetry() {
+  (async function loop () {
+    while (true) {
+      try {
+        const due = await dueHeights(FAILED_HEIGHTS_BATCH);
+        for (const { height, attempts } of due) {
+          try {
+            const r = await replayHeight(height);
+            info('[failed-heights] resolved', r);
+          } catch (e) {
+            warn(`[failed-heights] height ${height} retry ${attempts + 1} failed:`, e.message);
+            await parkHeight(height, e, 1);
+          }
+        }
+        if (!due.length) debug('[failed-heights] nothing due');
+      } catch (e) { warn('[failed-heights]', e.message); }
+      await new Promise(r => setTimeout(r, FAILED_HEIGHTS_SEC * 1000));
+    }
+  })().catch(()=>{});
+}
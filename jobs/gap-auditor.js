@@ -0,0 +1,32 @@
+// jobs/gap-auditor.js
+import { info, warn, debug } from '../lib/log.js';
+import { compactRanges, findGaps, enqueueGaps } from '../core/index-ranges.js';
+
+const GAP_AUDIT_SEC     = parseInt(process.env.GAP_AUDIT_SEC || '600', 10);
+// GAP_AUTO_ENQUEUE=1 → hand new gaps to the failed-heights retry worker
+const GAP_AUTO_ENQUEUE  = process.env.GAP_AUTO_ENQUEUE === '1';
+const GAP_ENQUEUE_MAX   = parseInt(process.env.GAP_ENQUEUE_MAX || '5000', 10);
+
+export function startGapAuditor() {
+  (async function loop () {
+    while (true) {
+      try {
+        const c = await compactRanges();
+        debug('[gaps] ranges compacted', c);
+
+        const { from, to, gaps, missing } = await findGaps();
+        if (gaps.length) {
+          warn('[gaps] missing heights', { from, to, gaps: gaps.length, missing });
+          const unqueued = gaps.filter(g => g.queued + g.abandoned < g.heights);
+          if (GAP_AUTO_ENQUEUE && unqueued.length) {
+            const n = await enqueueGaps(unqueued, { max: GAP_ENQUEUE_MAX });
+            info('[gaps] enqueued for replay', n);
+          }
+        } else {
+          debug('[gaps] none', { from, to });
+        }
+      } catch (e) { warn('[gaps]', e.message); }
+      await new Promise(r => setTimeout(r, GAP_AUDIT_SEC * 1000));
+    }
+  })().catch(()=>{});
+}
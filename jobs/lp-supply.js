@@ -0,0 +1,72 @@
+// jobs/lp-supply.js — LP share tokens: missing denoms, on-chain supply, ZIG per share
+import { DB } from '../lib/db.js';
+import { info, warn, debug } from '../lib/log.js';
+import { captureLpDenom } from '../core/pools.js';
+import { refreshLpSupply, refreshLpPrices } from '../core/lp.js';
+
+const LP_SUPPLY_SEC = parseInt(process.env.LP_SUPPLY_SEC || '60', 10);
+// re-read supply at least this often even without provide/withdraw events
+const LP_SUPPLY_MAX_AGE_SEC = parseInt(process.env.LP_SUPPLY_MAX_AGE_SEC || '1800', 10);
+const LP_SUPPLY_BATCH = parseInt(process.env.LP_SUPPLY_BATCH || '25', 10);
+const LP_DENOM_BATCH = parseInt(process.env.LP_DENOM_BATCH || '10', 10);
+
+// pairs whose info query gave no denom are not asked again until restart
+const denomTried = new Set();
+
+/** pools created before denom capture (or whose create_pair did not log it) */
+async function fillMissingDenoms() {
+  const { rows } = await DB.query(`
+    SELECT p.pair_contract, d.adapter
+    FROM pools p
+    LEFT JOIN dex_catalogue d ON d.dex_id = p.dex_id
+    WHERE p.lp_token_denom IS NULL
+      AND p.pair_type NOT ILIKE '%concentrated%'
+      AND NOT (p.pair_contract = ANY($2))
+    ORDER BY p.pool_id DESC
+    LIMIT $1
+  `, [LP_DENOM_BATCH, [...denomTried]]);
+  for (const r of rows) {
+    denomTried.add(r.pair_contract);
+    await captureLpDenom(r.pair_contract, r.adapter);
+  }
+}
+
+/** never-read supplies first, then pools with LP events since the last read, then stale ones */
+async function refreshSupplies() {
+  const { rows } = await DB.query(`
+    SELECT p.pool_id, p.lp_token_denom
+    FROM pools p
+    WHERE p.lp_token_denom IS NOT NULL
+      AND p.lp_token_denom !~ '^zig1[0-9a-z]{38,}$'   -- CW20 share contracts (CSV imports) have no bank supply
+      AND (
+        p.lp_supply_updated_at IS NULL
+        OR p.lp_supply_updated_at < now() - ($2 || ' seconds')::interval
+        OR EXISTS (
+          SELECT 1 FROM lp_events e
+          WHERE e.pool_id = p.pool_id AND e.created_at > p.lp_supply_updated_at
+        )
+      )
+    ORDER BY p.lp_supply_updated_at ASC NULLS FIRST
+    LIMIT $1
+  `, [LP_SUPPLY_BATCH, LP_SUPPLY_MAX_AGE_SEC]);
+  for (const r of rows) await refreshLpSupply(r);
+  if (rows.length) debug('[lp-supply] refreshed', rows.length);
+}
+
+export function startLpSupplyRefresher() {
+  info(`[lp-supply] starting loop (every ${LP_SUPPLY_SEC}s)`);
+  (async function loop() {
+    while (true) {
+      try {
+        await fillMissingDenoms();
+        await refreshSupplies();
+        await refreshLpPrices();
+      } catch (e) {
+        warn('[lp-supply]', e.message);
+      }
+      await new Promise(r => setTimeout(r, LP_SUPPLY_SEC * 1000));
+    }
+  })().catch(() => {});
+}
+
+export default { startLpSupplyRefresher };
@@ -1,8 +1,11 @@
 // jobs/matrix-rollups.js
 import { DB } from '../lib/db.js';
 import log from '../lib/log.js';
+import { poolFeeTable, DEFAULT_ADAPTER } from '../core/dex/index.js';
 
 const LOOP_SEC = parseInt(process.env.MATRIX_ROLLUP_SEC || '60', 10);
+// 7d/30d yields scan a month of trades; no need to redo that every loop
+const YIELD_SEC = parseInt(process.env.POOL_YIELD_ROLLUP_SEC || '900', 10);
 const BUCKETS = [['30m',30], ['1h',60], ['4h',240], ['24h',1440]];
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
@@ -12,6 +15,10 @@ const sleep = (ms) => new Promise(r => setTimeout(r, ms));
  * - ohlcv_1m.close: price in DISPLAY units.
  * - *_base columns in trades/pool_state are RAW; convert RAW→DISPLAY by /10^exp.
  * - UZIG RAW exponent is always 6.
+ *
+ * FEE RULES
+ * - fee rates live in the DEX adapters; poolFeeTable() hands them to SQL as jsonb.
+ * - fees_zig = bucket volume (ZIG) * fee rate; APRs are in %, annualised over current TVL.
  */
 
 async function rollPoolVolumes(label, mins, onlyPoolId = null) {
@@ -160,6 +167,86 @@ async function rollPoolTVL(label, onlyPoolId = null) {
   `, onlyPoolId ? [label, onlyPoolId] : [label]);
 }
 
+/** fees earned by LPs in the bucket and their APR; runs after volumes + TVL */
+async function rollPoolFees(label, mins, fees, onlyPoolId = null) {
+  await DB.query(`
+    WITH fees AS (
+      SELECT * FROM jsonb_to_recordset($3::jsonb) AS f(adapter text, pair_type text, fee numeric)
+    ),
+    pf AS (
+      SELECT p.pool_id, f.fee
+      FROM pools p
+      LEFT JOIN dex_catalogue d ON d.dex_id = p.dex_id
+      JOIN fees f ON f.adapter = COALESCE(d.adapter, $4) AND f.pair_type = p.pair_type
+      ${onlyPoolId ? 'WHERE p.pool_id = $5' : ''}
+    )
+    UPDATE pool_matrix pm
+    SET fee_rate = pf.fee,
+        fees_zig = (pm.vol_buy_zig + pm.vol_sell_zig) * pf.fee,
+        fee_apr  = CASE WHEN pm.tvl_zig > 0
+                        THEN (pm.vol_buy_zig + pm.vol_sell_zig) * pf.fee * (525600.0 / $2) / pm.tvl_zig * 100
+                   END
+    FROM pf
+    WHERE pm.pool_id = pf.pool_id
+      AND pm.bucket = $1
+  `, onlyPoolId ? [label, mins, fees, DEFAULT_ADAPTER, onlyPoolId] : [label, mins, fees, DEFAULT_ADAPTER]);
+}
+
+/** trailing 7d / 30d fees and their annualised yield, copied onto every bucket row of a pool */
+async function rollPoolYield(fees, onlyPoolId = null) {
+  await DB.query(`
+    WITH fees AS (
+      SELECT * FROM jsonb_to_recordset($1::jsonb) AS f(adapter text, pair_type text, fee numeric)
+    ),
+    q AS (
+      SELECT
+        t.pool_id,
+        SUM(CASE WHEN t.created_at >= now() - INTERVAL '7 days'
+                 THEN (CASE WHEN t.direction='buy' THEN t.offer_amount_base ELSE t.return_amount_base END)::NUMERIC
+                 ELSE 0 END) AS q7_base,
+        SUM((CASE WHEN t.direction='buy' THEN t.offer_amount_base ELSE t.return_amount_base END)::NUMERIC) AS q30_base
+      FROM trades t
+      WHERE t.action='swap'
+        AND t.direction IN ('buy','sell')
+        AND t.created_at >= now() - INTERVAL '30 days'
+        ${onlyPoolId ? 'AND t.pool_id = $3' : ''}
+      GROUP BY t.pool_id
+    ),
+    y AS (
+      SELECT
+        p.pool_id,
+        f.fee,
+        tvl.tvl_zig,
+        /* quote volume DISPLAY * quote price in ZIG * fee */
+        COALESCE(q.q7_base, 0)  / power(10::numeric, CASE WHEN p.is_uzig_quote THEN 6 ELSE COALESCE(qtk.exponent::int,6) END)
+          * CASE WHEN p.is_uzig_quote THEN 1 ELSE COALESCE(pr.price_in_zig, 0) END * f.fee AS fees_7d_zig,
+        COALESCE(q.q30_base, 0) / power(10::numeric, CASE WHEN p.is_uzig_quote THEN 6 ELSE COALESCE(qtk.exponent::int,6) END)
+          * CASE WHEN p.is_uzig_quote THEN 1 ELSE COALESCE(pr.price_in_zig, 0) END * f.fee AS fees_30d_zig
+      FROM pools p
+      JOIN tokens qtk ON qtk.token_id = p.quote_token_id
+      LEFT JOIN dex_catalogue d ON d.dex_id = p.dex_id
+      JOIN fees f ON f.adapter = COALESCE(d.adapter, $2) AND f.pair_type = p.pair_type
+      LEFT JOIN q ON q.pool_id = p.pool_id
+      LEFT JOIN pool_matrix tvl ON tvl.pool_id = p.pool_id AND tvl.bucket = '24h'
+      /* quote price in ZIG from its UZIG-quoted pool (uzig itself has no prices row) */
+      LEFT JOIN LATERAL (
+        SELECT pr.price_in_zig FROM prices pr
+        JOIN pools pp ON pp.pool_id = pr.pool_id AND pp.is_uzig_quote = TRUE
+        WHERE pr.token_id = p.quote_token_id
+        ORDER BY pr.updated_at DESC LIMIT 1
+      ) pr ON NOT p.is_uzig_quote
+      ${onlyPoolId ? 'WHERE p.pool_id = $3' : ''}
+    )
+    UPDATE pool_matrix pm
+    SET fees_7d_zig  = y.fees_7d_zig,
+        fees_30d_zig = y.fees_30d_zig,
+        apr_7d  = CASE WHEN y.tvl_zig > 0 THEN y.fees_7d_zig  * (365.0 / 7)  / y.tvl_zig * 100 END,
+        apr_30d = CASE WHEN y.tvl_zig > 0 THEN y.fees_30d_zig * (365.0 / 30) / y.tvl_zig * 100 END
+    FROM y
+    WHERE pm.pool_id = y.pool_id
+  `, onlyPoolId ? [fees, DEFAULT_ADAPTER, onlyPoolId] : [fees, DEFAULT_ADAPTER]);
+}
+
 async function rollTokenMatrix(label, onlyTokenId = null) {
   await DB.query(`
     /* 1) Candidate price from PRICES (DISPLAY) */
@@ -249,12 +336,21 @@ async function rollTokenMatrix(label, onlyTokenId = null) {
   `, onlyTokenId ? [label, onlyTokenId] : [label]);
 }
 
+let lastYieldAt = 0;
+
 async function once() {
+  const fees = await poolFeeTable();
   for (const [label, mins] of BUCKETS) {
     await rollPoolVolumes(label, mins);
     await rollPoolTVL(label);
+    await rollPoolFees(label, mins, fees);
     await rollTokenMatrix(label);
   }
+  if (Date.now() - lastYieldAt >= YIELD_SEC * 1000) {
+    await rollPoolYield(fees);
+    lastYieldAt = Date.now();
+    log.debug('[matrix] pool 7d/30d yield done');
+  }
   log.debug('[matrix] pools & tokens rollups done');
 }
 
@@ -271,10 +367,13 @@ async function start() {
 /** ➕ One-shots for fast-track */
 export async function refreshPoolMatrixOnce(poolId) {
   if (!poolId) return;
+  const fees = await poolFeeTable();
   for (const [label, mins] of BUCKETS) {
     await rollPoolVolumes(label, mins, poolId);
     await rollPoolTVL(label, poolId);
+    await rollPoolFees(label, mins, fees, poolId);
   }
+  await rollPoolYield(fees, poolId);
   log.info('[matrix/once] pool', poolId, 'updated for all buckets');
 }
 
@@ -1,9 +1,12 @@
 // jobs/partitions.js
-import { DB } from '../lib/db.js';
+import { tx } from '../lib/db.js';
 import { warn, debug } from '../lib/log.js';
 
 const PARTITIONS_SEC = parseInt(process.env.PARTITIONS_SEC || '1800', 10); // 30m
 const PARTITION_MONTHS_AHEAD = parseInt(process.env.PARTITION_MONTHS_AHEAD || '3', 10);
+const PARTITIONED = [
+  'trades', 'price_ticks', 'ohlcv_1m', 'leaderboard_traders', 'pool_state_history', 'wallet_portfolio_history',
+];
 
 function monthRange(ym) {
   const [y, m] = ym.split('-').map(Number);
@@ -15,23 +18,42 @@ function fmtYYYYMM(d) {
   return `${d.getUTCFullYear()}-${String(d.getUTCMonth()+1).padStart(2,'0')}`;
 }
 
+/**
+ * Create `<parent>_YYYY_MM` if missing. When the parent has a DEFAULT partition,
+ * that month's rows are moved out of it first (Postgres refuses a new partition
+ * whose range the default already holds rows for), all in one transaction.
+ */
 async function ensureMonthlyPartition(parent, ym) {
   const { from, to } = monthRange(ym);
   const child = `${parent}_${ym.replace('-','_')}`;
-  const sql = `
-    DO $$
-    BEGIN
-      IF to_regclass('${child}') IS NULL THEN
-        EXECUTE format(
-          'CREATE TABLE %I PARTITION OF %I FOR VALUES FROM (%L) TO (%L)',
-          '${child}', '${parent}', to_timestamp(${from.getTime()/1000}), to_timestamp(${to.getTime()/1000})
-        );
-      END IF;
-    EXCEPTION WHEN undefined_table THEN
-      NULL;
-    END$$;
-  `;
-  await DB.query(sql);
+  const range = `FOR VALUES FROM ('${from.toISOString()}') TO ('${to.toISOString()}')`;
+  await tx(async (client) => {
+    const { rows } = await client.query(`
+      SELECT to_regclass($1) IS NOT NULL AS has_child,
+             pg_get_partkeydef(c.oid) AS keydef,
+             CASE WHEN pt.partdefid <> 0 THEN pt.partdefid::regclass::text END AS def
+      FROM pg_class c
+      JOIN pg_partitioned_table pt ON pt.partrelid = c.oid
+      WHERE c.oid = to_regclass($2)
+    `, [child, parent]);
+    const r = rows[0];
+    if (!r || r.has_child) return; // not partitioned in this DB, or already there
+
+    if (!r.def) {
+      await client.query(`CREATE TABLE "${child}" PARTITION OF "${parent}" ${range}`);
+      return;
+    }
+    const key = /RANGE \((\w+)\)/.exec(r.keydef)?.[1];
+    if (!key) throw new Error(`${parent}: unsupported partition key ${r.keydef}`);
+    await client.query(`LOCK TABLE ${r.def} IN EXCLUSIVE MODE`);
+    await client.query(`CREATE TABLE "${child}" (LIKE "${parent}" INCLUDING DEFAULTS INCLUDING CONSTRAINTS)`);
+    const { rowCount } = await client.query(`
+      WITH moved AS (DELETE FROM ${r.def} WHERE ${key} >= $1 AND ${key} < $2 RETURNING *)
+      INSERT INTO "${child}" SELECT * FROM moved
+    `, [from, to]);
+    await client.query(`ALTER TABLE "${parent}" ATTACH PARTITION "${child}" ${range}`);
+    if (rowCount) debug(`[partitions] ${child}: moved ${rowCount} rows out of ${r.def}`);
+  });
 }
 
 export function startPartitionsMaintainer() {
@@ -39,15 +61,14 @@ export function startPartitionsMaintainer() {
     while (true) {
       try {
         const now = new Date();
+        // each table/month on its own: one failure must not skip the rest
         for (let k = 0; k <= PARTITION_MONTHS_AHEAD; k++) {
           const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth()+k, 1));
           const ym = fmtYYYYMM(d);
-          await Promise.all([
-            ensureMonthlyPartition('trades', ym),
-            ensureMonthlyPartition('price_ticks', ym),
-            ensureMonthlyPartition('ohlcv_1m', ym),
-            ensureMonthlyPartition('leaderboard_traders', ym),
-          ]);
+          const results = await Promise.allSettled(PARTITIONED.map(t => ensureMonthlyPartition(t, ym)));
+          results.forEach((r, i) => {
+            if (r.status === 'rejected') warn(`[partitions] ${PARTITIONED[i]} ${ym}:`, r.reason?.message);
+          });
         }
         debug('[partitions] ensured');
       } catch (e) { warn('[partitions]', e.message); }
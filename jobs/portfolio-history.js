@@ -0,0 +1,41 @@
+// jobs/portfolio-history.js — hourly wallet value snapshots (core/portfolio.js)
+import { DB } from '../lib/db.js';
+import { info, warn, debug } from '../lib/log.js';
+import { updateWalletPortfolio } from '../core/portfolio.js';
+
+const PORTFOLIO_SNAPSHOT_SEC = parseInt(process.env.PORTFOLIO_SNAPSHOT_SEC || '300', 10);
+const PORTFOLIO_SNAPSHOT_BATCH = parseInt(process.env.PORTFOLIO_SNAPSHOT_BATCH || '200', 10);
+
+/**
+ * holders sweeps only revalue wallets whose tokens they touch; this revalues
+ * the rest so every tracked wallet gets a history point each hour
+ */
+async function snapshotStale() {
+  const { rows } = await DB.query(`
+    SELECT address
+    FROM wallet_portfolios
+    WHERE last_updated < date_trunc('hour', now())
+    ORDER BY last_updated ASC
+    LIMIT $1
+  `, [PORTFOLIO_SNAPSHOT_BATCH]);
+  for (const r of rows) {
+    await updateWalletPortfolio(r.address).catch(e => warn('[portfolio-history]', r.address, e.message));
+  }
+  if (rows.length) debug('[portfolio-history] snapshots', rows.length);
+}
+
+export function startPortfolioHistory() {
+  info(`[portfolio-history] starting loop (every ${PORTFOLIO_SNAPSHOT_SEC}s)`);
+  (async function loop() {
+    while (true) {
+      try {
+        await snapshotStale();
+      } catch (e) {
+        warn('[portfolio-history]', e.message);
+      }
+      await new Promise(r => setTimeout(r, PORTFOLIO_SNAPSHOT_SEC * 1000));
+    }
+  })().catch(() => {});
+}
+
+export default { startPortfolioHistory };
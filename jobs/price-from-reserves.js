@@ -22,7 +22,8 @@ export function startPriceFromReserves() {
   (async function loop () {
     while (true) {
       try {
-        // Only UZIG-quoted pools here; non-uzig handled elsewhere (via fx chain)
+        // Only UZIG-quoted pools here; non-uzig handled elsewhere (via fx chain).
+        // Concentrated pools are priced from sqrt price on swaps, not reserves.
         const { rows } = await DB.query(`
           SELECT
             p.pool_id,
@@ -33,6 +34,7 @@ export function startPriceFromReserves() {
           FROM pools p
           JOIN tokens b ON b.token_id = p.base_token_id
           WHERE p.is_uzig_quote = TRUE
+            AND p.pair_type NOT ILIKE '%concentrated%'
           ORDER BY p.pool_id DESC
         `);
 
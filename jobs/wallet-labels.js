@@ -0,0 +1,143 @@
+// jobs/wallet-labels.js — auto labels for wallets (core/labels.js)
+import { DB } from '../lib/db.js';
+import { info, warn, debug } from '../lib/log.js';
+import { syncAutoLabel } from '../core/labels.js';
+
+const WALLET_LABELS_SEC = parseInt(process.env.WALLET_LABELS_SEC || '3600', 10);
+// top_trader: best realized FIFO PnL
+const LABEL_TOP_TRADERS = parseInt(process.env.LABEL_TOP_TRADERS || '100', 10);
+// early_buyer: among the first N buyers of at least M tokens
+const LABEL_EARLY_RANK = parseInt(process.env.LABEL_EARLY_RANK || '20', 10);
+const LABEL_EARLY_MIN_TOKENS = parseInt(process.env.LABEL_EARLY_MIN_TOKENS || '3', 10);
+// bot: enough swap txs in the window, and either fast or machine-regular cadence
+const LABEL_BOT_DAYS = parseInt(process.env.LABEL_BOT_DAYS || '7', 10);
+const LABEL_BOT_MIN_TXS = parseInt(process.env.LABEL_BOT_MIN_TXS || '200', 10);
+const LABEL_BOT_MEDIAN_GAP_SEC = parseInt(process.env.LABEL_BOT_MEDIAN_GAP_SEC || '30', 10);
+const LABEL_BOT_MAX_GAP_CV = Number(process.env.LABEL_BOT_MAX_GAP_CV || '0.15');
+
+const ROUTER_ADDR = process.env.ROUTER_ADDR || null;
+
+const RULES = {
+  async token_creator() {
+    const { rows } = await DB.query(`
+      SELECT creator_address AS address, array_agg(token_id ORDER BY token_id) AS token_ids
+      FROM token_security
+      WHERE creator_address IS NOT NULL AND creator_address <> ''
+      GROUP BY creator_address
+    `);
+    return rows.map(r => ({ address: r.address, meta: { tokenIds: r.token_ids } }));
+  },
+
+  async pool_creator() {
+    const { rows } = await DB.query(`
+      SELECT signer AS address, array_agg(pool_id ORDER BY pool_id) AS pool_ids
+      FROM pools
+      WHERE signer IS NOT NULL AND signer <> ''
+      GROUP BY signer
+    `);
+    return rows.map(r => ({ address: r.address, meta: { poolIds: r.pool_ids } }));
+  },
+
+  async router() {
+    const { rows } = await DB.query(`
+      SELECT router_contract AS address, COUNT(*)::int AS pools
+      FROM pools
+      WHERE router_contract IS NOT NULL AND router_contract <> ''
+      GROUP BY router_contract
+    `);
+    const out = rows.map(r => ({ address: r.address, meta: { pools: r.pools } }));
+    if (ROUTER_ADDR && !out.some(r => r.address === ROUTER_ADDR)) out.push({ address: ROUTER_ADDR, meta: { source: 'env' } });
+    return out;
+  },
+
+  async top_trader() {
+    const { rows } = await DB.query(`
+      SELECT address, SUM(realized_zig) AS realized_zig,
+             ROW_NUMBER() OVER (ORDER BY SUM(realized_zig) DESC) AS rank
+      FROM wallet_pnl_positions
+      WHERE method = 'fifo'
+      GROUP BY address
+      HAVING SUM(realized_zig) > 0
+      ORDER BY realized_zig DESC
+      LIMIT $1
+    `, [LABEL_TOP_TRADERS]);
+    return rows.map(r => ({ address: r.address, meta: { rank: Number(r.rank), realizedNative: Number(r.realized_zig) } }));
+  },
+
+  async early_buyer() {
+    const { rows } = await DB.query(`
+      WITH first_buys AS (
+        SELECT p.base_token_id, t.signer, MIN(t.created_at) AS first_at
+        FROM trades t
+        JOIN pools p ON p.pool_id = t.pool_id
+        WHERE t.action = 'swap' AND t.direction = 'buy' AND t.signer IS NOT NULL
+        GROUP BY p.base_token_id, t.signer
+      ), ranked AS (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY base_token_id ORDER BY first_at) AS rn
+        FROM first_buys
+      )
+      SELECT signer AS address, COUNT(*)::int AS tokens, array_agg(base_token_id ORDER BY first_at DESC) AS token_ids
+      FROM ranked
+      WHERE rn <= $1
+      GROUP BY signer
+      HAVING COUNT(*) >= $2
+    `, [LABEL_EARLY_RANK, LABEL_EARLY_MIN_TOKENS]);
+    return rows.map(r => ({ address: r.address, meta: { tokens: r.tokens, tokenIds: r.token_ids.slice(0, 50) } }));
+  },
+
+  async bot() {
+    // gaps between the wallet's swap txs (a multi-hop tx counts once)
+    const { rows } = await DB.query(`
+      WITH txs AS (
+        SELECT signer, tx_hash, MIN(created_at) AS at
+        FROM trades
+        WHERE action = 'swap' AND signer IS NOT NULL
+          AND created_at >= now() - ($1 || ' days')::interval
+        GROUP BY signer, tx_hash
+      ), gaps AS (
+        SELECT signer, EXTRACT(EPOCH FROM at - LAG(at) OVER (PARTITION BY signer ORDER BY at)) AS gap
+        FROM txs
+      )
+      SELECT signer AS address, COUNT(*)::int + 1 AS txs,
+             percentile_cont(0.5) WITHIN GROUP (ORDER BY gap) AS median_gap,
+             STDDEV_SAMP(gap) / NULLIF(AVG(gap), 0) AS gap_cv
+      FROM gaps
+      WHERE gap IS NOT NULL
+      GROUP BY signer
+      HAVING COUNT(*) + 1 >= $2
+         AND (percentile_cont(0.5) WITHIN GROUP (ORDER BY gap) <= $3
+              OR STDDEV_SAMP(gap) / NULLIF(AVG(gap), 0) <= $4)
+    `, [LABEL_BOT_DAYS, LABEL_BOT_MIN_TXS, LABEL_BOT_MEDIAN_GAP_SEC, LABEL_BOT_MAX_GAP_CV]);
+    return rows.map(r => ({
+      address: r.address,
+      meta: { txs: r.txs, days: LABEL_BOT_DAYS, medianGapSec: Number(r.median_gap), gapCv: r.gap_cv != null ? Number(r.gap_cv) : null }
+    }));
+  }
+};
+
+async function labelOnce() {
+  for (const [label, rule] of Object.entries(RULES)) {
+    try {
+      const n = await syncAutoLabel(label, await rule());
+      debug(`[labels] ${label}`, n);
+    } catch (e) {
+      warn(`[labels] ${label}`, e.message);
+    }
+  }
+}
+
+export function startWalletLabels() {
+  info(`[labels] starting loop (every ${WALLET_LABELS_SEC}s)`);
+  (async function loop() {
+    while (true) {
+      try {
+        await labelOnce();
+      } catch (e) {
+        warn('[labels]', e.message);
+      }
+      await new Promise(r => setTimeout(r, WALLET_LABELS_SEC * 1000));
+    }
+  })().catch(() => {});
+}
+
+export default { startWalletLabels };
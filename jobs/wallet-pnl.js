@@ -0,0 +1,23 @@
+// jobs/wallet-pnl.js — fold new swaps into wallet PnL positions (core/pnl.js)
+import { info, warn } from '../lib/log.js';
+import { processPnlBatch } from '../core/pnl.js';
+
+const PNL_SEC = parseInt(process.env.WALLET_PNL_SEC || '30', 10);
+const PNL_BATCH = parseInt(process.env.WALLET_PNL_BATCH || '5000', 10);
+
+export function startWalletPnl() {
+  info(`[pnl] starting loop (every ${PNL_SEC}s)`);
+  (async function loop() {
+    while (true) {
+      try {
+        // drain the backlog before sleeping (first run walks all history)
+        while (await processPnlBatch(PNL_BATCH) >= PNL_BATCH) { /* next batch */ }
+      } catch (e) {
+        warn('[pnl]', e.message);
+      }
+      await new Promise(r => setTimeout(r, PNL_SEC * 1000));
+    }
+  })().catch(() => {});
+}
+
+export default { startWalletPnl };
@@ -38,6 +38,9 @@ export const lcdDenomOwners = (denom, nextKey) => {
   return lcd(`/cosmos/bank/v1beta1/denom_owners/${encodeURIComponent(denom)}${q}`);
 };
 
+export const lcdBankSupply = (denom) =>
+  lcd(`/cosmos/bank/v1beta1/supply/by_denom?denom=${encodeURIComponent(denom)}`);
+
 export const lcdSmart = (contract, msgObj) => {
   const msg = Buffer.from(JSON.stringify(msgObj)).toString('base64');
   return lcd(`/cosmwasm/wasm/v1/contract/${contract}/smart/${msg}`);
@@ -55,6 +58,7 @@ export default {
   lcdDenomsMetadata,
   lcdFactoryDenom,
   lcdDenomOwners,
+  lcdBankSupply,
   lcdSmart,
   lcdIbcDenomTrace,  // <-- export
 };
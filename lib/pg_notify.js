@@ -7,16 +7,20 @@ const CHAN_RX = /^[a-z_][a-z0-9_]*$/i;
 
 /**
  * Send a Postgres NOTIFY <channel> with JSON payload (safe & parametric).
+ * Pass a transaction client as `db` to have it delivered only on COMMIT;
+ * errors then propagate, since a failed statement has already aborted the
+ * caller's transaction. On the pool, failures are only logged.
  */
-export async function pgNotify(channel, payload) {
+export async function pgNotify(channel, payload, db = DB) {
   try {
     if (!CHAN_RX.test(channel)) throw new Error(`invalid channel: ${channel}`);
     // Use the function form to keep both channel and payload parameterized.
     const json = JSON.stringify(payload ?? {});
-    await DB.query('SELECT pg_notify($1, $2)', [channel, json]);
+    await db.query('SELECT pg_notify($1, $2)', [channel, json]);
     // optional: uncomment if you want to see every notify
     // info('[pgNotify] sent', channel, json);
   } catch (e) {
+    if (db !== DB) throw e;
     warn('[pgNotify]', channel, e.message);
   }
 }
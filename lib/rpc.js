@@ -36,7 +36,12 @@ export const unwrapStatus = j =>
   j?.result?.sync_info?.latest_block_height ? Number(j.result.sync_info.latest_block_height) : null;
 
 export const unwrapBlock = j =>
-  (j?.result?.block ? { header: j.result.block.header, txs: j.result.block.data?.txs || [] } : null);
+  (j?.result?.block ? {
+    header: j.result.block.header,
+    txs: j.result.block.data?.txs || [],
+    hash: j.result.block_id?.hash || null,
+    parentHash: j.result.block.header?.last_block_id?.hash || null
+  } : null);
 
 export const unwrapBlockResults = j =>
   ({ txs_results: j?.result?.txs_results || [] });
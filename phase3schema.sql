@@ -67,12 +67,24 @@ ALTER TABLE public.pools
 ADD COLUMN IF NOT EXISTS dex_id BIGINT REFERENCES public.dex_catalogue(dex_id),
 ADD COLUMN IF NOT EXISTS chain_id BIGINT REFERENCES public.chain_catalogue(chain_id);
 
+-- stableswap amplification, captured from the pair contract at create_pair
+ALTER TABLE public.pools
+ADD COLUMN IF NOT EXISTS amp NUMERIC;
+
+-- LP share token: denom from create_pair / the pair's info, on-chain supply and
+-- ZIG value per share (jobs/lp-supply.js). LP denoms are never rows in tokens.
+ALTER TABLE public.pools
+ADD COLUMN IF NOT EXISTS lp_supply_base       NUMERIC(78,0),
+ADD COLUMN IF NOT EXISTS lp_supply_updated_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS lp_price_zig         NUMERIC;
+
 CREATE INDEX IF NOT EXISTS idx_pools_created_at      ON public.pools(created_at);
 CREATE INDEX IF NOT EXISTS idx_pools_pair_contract   ON public.pools(pair_contract);
 CREATE INDEX IF NOT EXISTS idx_pools_base_token_id   ON public.pools(base_token_id);
 CREATE INDEX IF NOT EXISTS idx_pools_quote_token_id  ON public.pools(quote_token_id);
 CREATE INDEX IF NOT EXISTS idx_pools_base_quote      ON public.pools(base_token_id, quote_token_id);
 CREATE INDEX IF NOT EXISTS idx_pools_pair_type       ON public.pools(pair_type);
+CREATE INDEX IF NOT EXISTS idx_pools_lp_token_denom  ON public.pools(lp_token_denom);
 
 -- ====================================================================
 -- TRADES (flat table, always has PK)
@@ -112,6 +124,9 @@ CREATE INDEX IF NOT EXISTS idx_trades_pool_time          ON public.trades(pool_i
 CREATE INDEX IF NOT EXISTS idx_trades_height             ON public.trades(height);
 CREATE INDEX IF NOT EXISTS idx_trades_tx                 ON public.trades(tx_hash);
 
+-- size class of ZIG-legged swaps (core/trades.js insertTrade): shrimp | shark | whale
+ALTER TABLE public.trades ADD COLUMN IF NOT EXISTS class TEXT;
+
 -- ====================================================================
 -- HOLDERS + HOLDER STATS
 -- ====================================================================
@@ -182,8 +197,27 @@ CREATE TABLE IF NOT EXISTS public.pool_state (
   pool_id            BIGINT PRIMARY KEY REFERENCES public.pools(pool_id),
   reserve_base_base  NUMERIC(78,0),
   reserve_quote_base NUMERIC(78,0),
+  height             BIGINT,
   updated_at         TIMESTAMPTZ NOT NULL DEFAULT now()
 );
+ALTER TABLE public.pool_state ADD COLUMN IF NOT EXISTS height BIGINT;
+
+-- reserve snapshot per pool per height (written with pool_state; /swap?at= replays it,
+-- /pools/:ref/reserves charts it). Monthly partitions on block time, kept by jobs/partitions.js.
+CREATE TABLE IF NOT EXISTS public.pool_state_history (
+  pool_id            BIGINT NOT NULL REFERENCES public.pools(pool_id),
+  height             BIGINT NOT NULL,
+  reserve_base_base  NUMERIC(78,0),
+  reserve_quote_base NUMERIC(78,0),
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (pool_id, height, created_at)
+) PARTITION BY RANGE (created_at);
+-- catches heights indexed from before the maintained months (catch-up, replays)
+CREATE TABLE IF NOT EXISTS public.pool_state_history_default
+  PARTITION OF public.pool_state_history DEFAULT;
+CREATE INDEX IF NOT EXISTS idx_psh_pool_time   ON public.pool_state_history(pool_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_psh_pool_height ON public.pool_state_history(pool_id, height DESC);
+CREATE INDEX IF NOT EXISTS idx_psh_height      ON public.pool_state_history(height);
 
 -- ====================================================================
 -- MATRIX TABLES (not partitioned)
@@ -206,6 +240,17 @@ CREATE TABLE IF NOT EXISTS public.pool_matrix (
 );
 CREATE INDEX IF NOT EXISTS idx_pool_matrix_updated ON public.pool_matrix(updated_at DESC);
 
+-- LP fee yield (jobs/matrix-rollups.js). fees_zig/fee_apr cover the row's bucket;
+-- the 7d/30d figures are per pool and repeated on each of its buckets.
+ALTER TABLE public.pool_matrix
+  ADD COLUMN IF NOT EXISTS fee_rate     NUMERIC(10,6),
+  ADD COLUMN IF NOT EXISTS fees_zig     NUMERIC(38,8),
+  ADD COLUMN IF NOT EXISTS fee_apr      NUMERIC,
+  ADD COLUMN IF NOT EXISTS fees_7d_zig  NUMERIC(38,8),
+  ADD COLUMN IF NOT EXISTS fees_30d_zig NUMERIC(38,8),
+  ADD COLUMN IF NOT EXISTS apr_7d       NUMERIC,
+  ADD COLUMN IF NOT EXISTS apr_30d      NUMERIC;
+
 CREATE TABLE IF NOT EXISTS public.token_matrix (
   id           BIGSERIAL PRIMARY KEY,
   token_id     BIGINT NOT NULL REFERENCES public.tokens(token_id),
@@ -449,3 +494,276 @@ CREATE TABLE IF NOT EXISTS public.dex_catalogue (
   CONSTRAINT uq_dex_catalogue_factory UNIQUE (factory_contract),
   CONSTRAINT uq_dex_catalogue_name_chain UNIQUE (dex_name, chain_id)
 );
+
+-- protocol adapter used to parse this factory's pools (core/dex/<adapter>.js)
+ALTER TABLE public.dex_catalogue
+  ADD COLUMN IF NOT EXISTS adapter TEXT NOT NULL DEFAULT 'oroswap';
+
+-- ====================================================================
+-- BLOCK HASHES (fork / reorg detection)
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.block_hashes (
+  height       BIGINT PRIMARY KEY,
+  block_hash   TEXT NOT NULL,
+  parent_hash  TEXT,
+  block_time   TIMESTAMPTZ,
+  indexed_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_block_hashes_time ON public.block_hashes(block_time);
+
+-- ====================================================================
+-- FAILED HEIGHTS (dead-letter for heights that kept failing)
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.failed_heights (
+  height          BIGINT PRIMARY KEY,
+  error           TEXT,
+  stack           TEXT,
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  status          TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','resolved','abandoned')),
+  first_failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_failed_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  next_retry_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  resolved_at     TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_failed_heights_status ON public.failed_heights(status, height);
+CREATE INDEX IF NOT EXISTS idx_failed_heights_due ON public.failed_heights(next_retry_at) WHERE status = 'pending';
+
+-- ====================================================================
+-- INDEX RANGES (contiguous runs of fully processed heights)
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.index_ranges (
+  start_height BIGINT PRIMARY KEY,
+  end_height   BIGINT NOT NULL,
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (end_height >= start_height)
+);
+CREATE INDEX IF NOT EXISTS idx_index_ranges_end ON public.index_ranges(end_height);
+
+-- ====================================================================
+-- CONCENTRATED LIQUIDITY (pair_type 'concentrated' / 'custom-concentrated')
+-- All prices/ticks are stored base/quote-oriented: sqrt_price = sqrt(quote_raw / base_raw).
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.cl_pool_state (
+  pool_id         BIGINT PRIMARY KEY REFERENCES public.pools(pool_id) ON DELETE CASCADE,
+  sqrt_price      NUMERIC,                      -- null until the pool's first swap
+  tick            INTEGER,
+  liquidity       NUMERIC NOT NULL DEFAULT 0,   -- active liquidity at the current tick
+  base_is_token0  BOOLEAN NOT NULL DEFAULT TRUE,
+  height          BIGINT,                       -- last folded event (height, event_order)
+  event_order     BIGINT,
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.cl_ticks (
+  pool_id          BIGINT NOT NULL REFERENCES public.pools(pool_id) ON DELETE CASCADE,
+  tick             INTEGER NOT NULL,
+  liquidity_net    NUMERIC NOT NULL DEFAULT 0,
+  liquidity_gross  NUMERIC NOT NULL DEFAULT 0,
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (pool_id, tick)
+);
+
+CREATE TABLE IF NOT EXISTS public.cl_positions (
+  pool_id         BIGINT NOT NULL REFERENCES public.pools(pool_id) ON DELETE CASCADE,
+  position_id     TEXT NOT NULL,
+  owner           TEXT,
+  tick_lower      INTEGER NOT NULL,
+  tick_upper      INTEGER NOT NULL,
+  liquidity       NUMERIC NOT NULL DEFAULT 0,
+  updated_height  BIGINT,
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (pool_id, position_id)
+);
+CREATE INDEX IF NOT EXISTS idx_cl_positions_owner ON public.cl_positions(owner);
+
+-- raw CL events per height (contract orientation, as parsed). cl_positions, cl_ticks
+-- and cl_pool_state are folded from these, so reorgs delete + refold and backfills
+-- can land out of order. Pools indexed before this table existed need their CL
+-- history backfilled once, otherwise a refold only sees the later events.
+CREATE TABLE IF NOT EXISTS public.cl_events (
+  pool_id          BIGINT NOT NULL REFERENCES public.pools(pool_id) ON DELETE CASCADE,
+  height           BIGINT NOT NULL,
+  event_order      BIGINT NOT NULL,          -- tx index * 1000 + msg index
+  kind             TEXT NOT NULL CHECK (kind IN ('swap','position')),
+  position_id      TEXT NOT NULL DEFAULT '', -- '' for swaps
+  owner            TEXT,
+  tick_lower       INTEGER,
+  tick_upper       INTEGER,
+  liquidity_delta  NUMERIC,
+  sqrt_price       NUMERIC,
+  tick             INTEGER,
+  liquidity        NUMERIC,
+  base_is_token0   BOOLEAN,
+  created_at       TIMESTAMPTZ,
+  PRIMARY KEY (pool_id, height, event_order, kind, position_id)
+);
+CREATE INDEX IF NOT EXISTS idx_cl_events_height ON public.cl_events(height);
+
+-- ====================================================================
+-- LP POSITIONS (provide/withdraw per wallet; positions rebuilt from events)
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.lp_events (
+  id                 BIGSERIAL PRIMARY KEY,
+  pool_id            BIGINT NOT NULL REFERENCES public.pools(pool_id) ON DELETE CASCADE,
+  owner              TEXT NOT NULL,
+  action             TEXT NOT NULL CHECK (action IN ('provide','withdraw')),
+  share_base         NUMERIC(78,0) NOT NULL,
+  base_amount_base   NUMERIC(78,0) NOT NULL DEFAULT 0,
+  quote_amount_base  NUMERIC(78,0) NOT NULL DEFAULT 0,
+  price_quote        NUMERIC,                 -- pool price (quote per base) at that height
+  height             BIGINT NOT NULL,
+  tx_hash            TEXT NOT NULL,
+  msg_index          INT NOT NULL,
+  created_at         TIMESTAMPTZ NOT NULL,
+  CONSTRAINT uq_lp_events_tx UNIQUE (tx_hash, pool_id, msg_index)
+);
+CREATE INDEX IF NOT EXISTS idx_lp_events_owner_pool ON public.lp_events(owner, pool_id, height);
+CREATE INDEX IF NOT EXISTS idx_lp_events_height     ON public.lp_events(height);
+CREATE INDEX IF NOT EXISTS idx_lp_events_pool_time  ON public.lp_events(pool_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.lp_positions (
+  pool_id          BIGINT NOT NULL REFERENCES public.pools(pool_id) ON DELETE CASCADE,
+  owner            TEXT NOT NULL,
+  share_base       NUMERIC(78,0) NOT NULL DEFAULT 0,
+  deposited_base   NUMERIC(38,18) NOT NULL DEFAULT 0,   -- display units still attributed to the share
+  deposited_quote  NUMERIC(38,18) NOT NULL DEFAULT 0,
+  cost_quote       NUMERIC(38,18) NOT NULL DEFAULT 0,   -- cost basis, in the pool's quote token
+  realized_quote   NUMERIC(38,18) NOT NULL DEFAULT 0,
+  provides         INT NOT NULL DEFAULT 0,
+  withdraws        INT NOT NULL DEFAULT 0,
+  unmatched_quote  NUMERIC(38,18) NOT NULL DEFAULT 0,   -- withdrawn with no tracked deposit (provided before
+  unmatched_withdraws INT NOT NULL DEFAULT 0,         -- indexing began): no cost basis, not realized
+  first_height     BIGINT,
+  last_height      BIGINT,
+  opened_at        TIMESTAMPTZ,
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (pool_id, owner)
+);
+CREATE INDEX IF NOT EXISTS idx_lp_positions_owner ON public.lp_positions(owner);
+
+-- ====================================================================
+-- WALLET PnL (core/pnl.js; swaps folded per wallet/token/cost method)
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.wallet_pnl_positions (
+  address          TEXT   NOT NULL,
+  token_id         BIGINT NOT NULL REFERENCES public.tokens(token_id),
+  method           TEXT   NOT NULL CHECK (method IN ('fifo','avg')),
+  qty              NUMERIC NOT NULL DEFAULT 0,          -- display units bought and not yet sold
+  cost_zig         NUMERIC(38,8) NOT NULL DEFAULT 0,    -- cost basis of qty
+  realized_zig     NUMERIC(38,8) NOT NULL DEFAULT 0,
+  unmatched_qty    NUMERIC NOT NULL DEFAULT 0,          -- sold without a tracked buy (zero cost)
+  bought_qty       NUMERIC NOT NULL DEFAULT 0,
+  sold_qty         NUMERIC NOT NULL DEFAULT 0,
+  buy_value_zig    NUMERIC(38,8) NOT NULL DEFAULT 0,
+  sell_value_zig   NUMERIC(38,8) NOT NULL DEFAULT 0,
+  buys             INT NOT NULL DEFAULT 0,
+  sells            INT NOT NULL DEFAULT 0,
+  lots             JSONB,                               -- fifo: open [qty, zig per unit] lots
+  last_height      BIGINT,
+  last_trade_at    TIMESTAMPTZ,
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (address, token_id, method)
+);
+CREATE INDEX IF NOT EXISTS idx_wallet_pnl_positions_token ON public.wallet_pnl_positions(token_id, method);
+
+CREATE TABLE IF NOT EXISTS public.wallet_pnl_daily (
+  address          TEXT   NOT NULL,
+  token_id         BIGINT NOT NULL REFERENCES public.tokens(token_id),
+  method           TEXT   NOT NULL CHECK (method IN ('fifo','avg')),
+  day              DATE   NOT NULL,
+  realized_zig     NUMERIC(38,8) NOT NULL DEFAULT 0,
+  buy_value_zig    NUMERIC(38,8) NOT NULL DEFAULT 0,
+  sell_value_zig   NUMERIC(38,8) NOT NULL DEFAULT 0,
+  trades           INT NOT NULL DEFAULT 0,
+  qty_eod          NUMERIC,                             -- position after the day's last trade
+  cost_eod         NUMERIC(38,8),
+  PRIMARY KEY (address, token_id, method, day)
+);
+CREATE INDEX IF NOT EXISTS idx_wallet_pnl_daily_addr_day ON public.wallet_pnl_daily(address, method, day);
+
+-- swaps not yet folded into positions: core/trades.js adds a row in the same statement
+-- that inserts the trade, so a trade is queued exactly when it commits (a trade_id cursor
+-- would skip lower ids that commit after higher ones). Swaps indexed before the table
+-- existed are queued when it is created.
+DO $$
+BEGIN
+  IF to_regclass('public.wallet_pnl_pending') IS NULL THEN
+    CREATE TABLE public.wallet_pnl_pending (
+      trade_id    BIGINT PRIMARY KEY
+    );
+    INSERT INTO public.wallet_pnl_pending(trade_id)
+    SELECT trade_id FROM public.trades
+    WHERE action = 'swap' AND signer IS NOT NULL;
+  END IF;
+END$$;
+
+-- wallets to replay from scratch (reorged trades)
+CREATE TABLE IF NOT EXISTS public.wallet_pnl_rebuild (
+  address         TEXT PRIMARY KEY,
+  requested_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- ====================================================================
+-- WALLET PORTFOLIOS (core/portfolio.js, refreshed with holders)
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.wallet_portfolios (
+  address          TEXT PRIMARY KEY,
+  total_value_zig  NUMERIC(38,8),
+  total_value_usd  NUMERIC(38,8),
+  total_tokens     INT,
+  last_updated     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.wallet_portfolio_tokens (
+  address     TEXT   NOT NULL,
+  token_id    BIGINT NOT NULL REFERENCES public.tokens(token_id),
+  value_zig   NUMERIC(38,8),
+  value_usd   NUMERIC(38,8),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (address, token_id)
+);
+
+-- value over time per wallet: hourly snapshots from updateWalletPortfolio(). Days before
+-- them are reconstructed per request (core/portfolio.js) and not stored here.
+-- Monthly partitions on ts, kept by jobs/partitions.js.
+CREATE TABLE IF NOT EXISTS public.wallet_portfolio_history (
+  address          TEXT NOT NULL,
+  ts               TIMESTAMPTZ NOT NULL,
+  total_value_zig  NUMERIC(38,8),
+  total_value_usd  NUMERIC(38,8),
+  total_tokens     INT,
+  PRIMARY KEY (address, ts)
+) PARTITION BY RANGE (ts);
+CREATE TABLE IF NOT EXISTS public.wallet_portfolio_history_default
+  PARTITION OF public.wallet_portfolio_history DEFAULT;
+CREATE INDEX IF NOT EXISTS idx_wph_address_ts ON public.wallet_portfolio_history(address, ts DESC);
+
+-- wallet labels: 'auto' rows are rebuilt by jobs/wallet-labels.js, 'manual' rows come
+-- from the admin API. is_hidden suppresses an auto label without the job re-adding it.
+CREATE TABLE IF NOT EXISTS public.wallet_labels (
+  address     TEXT NOT NULL,
+  label       TEXT NOT NULL,
+  source      TEXT NOT NULL DEFAULT 'auto' CHECK (source IN ('auto','manual')),
+  note        TEXT,
+  meta        JSONB,
+  is_hidden   BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by  TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (address, label)
+);
+CREATE INDEX IF NOT EXISTS idx_wallet_labels_label ON public.wallet_labels(label) WHERE NOT is_hidden;
+
+-- copy-trading follows: a user wallet (wallets.wallet_id) following a trader address,
+-- with optional per-follow minimum swap size for the feed
+CREATE TABLE IF NOT EXISTS public.wallet_follows (
+  id             BIGSERIAL PRIMARY KEY,
+  wallet_id      BIGINT NOT NULL REFERENCES public.wallets(wallet_id) ON DELETE CASCADE,
+  address        TEXT NOT NULL,
+  min_value_zig  NUMERIC(38,8),
+  min_value_usd  NUMERIC(38,8),
+  note           TEXT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT uq_wallet_follows_wallet_address UNIQUE (wallet_id, address)
+);
+CREATE INDEX IF NOT EXISTS idx_wallet_follows_address ON public.wallet_follows(address);